@@ -2,9 +2,19 @@
  * Main App Controller for Visitor Book PWA
  */
 
-import { initCamera, getCurrentPhoto, setCurrentPhoto, clearPhoto, createPhotoURL, revokePhotoURL } from './camera.js';
-import { initCanvas, setColor, setThickness, clearCanvas, getCanvasDataURL, hasContent, resetDrawnState, setEraserMode } from './canvas.js';
-import { initDB, saveEntry, getAllEntries, blobToDataURL, dataURLToBlob, addVisitor, getAllVisitors, deleteVisitor, getVisitor, deleteEntry } from './storage.js';
+import { initCamera, closeLiveCamera, getCurrentPhoto, setCurrentPhoto, clearPhoto, createPhotoURL, revokePhotoURL } from './camera.js';
+import { cropPhoto, autoCropPhoto, closeCropEditor } from './crop.js';
+import { resizePhoto, resizeImage, createThumbnail, getImageSettings, setImageSettings, getSupportedFormats, IMAGE_FORMATS } from './image.js';
+import { initCanvas, setColor, setThickness, clearCanvas, getCanvasBlob, getInkData, hasContent, resetDrawnState, setEraserMode, setPenType, getColor, setInputMode, getInputMode, undo, redo, clearStrokes } from './canvas.js';
+import { createInkPlayer, isInkEmpty, REPLAY_PAUSE_LIMIT_MS } from './ink.js';
+import { buildJSONExport, buildCSVExport, buildZipExport, buildPDFExport, exportFileName, downloadBlob } from './export.js';
+import { readImportFile, planImport, applyImport, readGuestList, readPhotoFiles, planGuestList, applyGuestList } from './import.js';
+import { initBackups, isBackupSupported, isDirectoryPickerSupported, chooseBackupDirectory, forgetBackupDirectory, getBackupLocation, getBackupSettings, setBackupSettings, createSnapshot, listSnapshots, restoreSnapshot, deleteSnapshot } from './backup.js';
+import { buildBundle, readBundle, shareBundle, isShareSupported, bundleFrames, scanBundle, isQRScanSupported, setTransferCode, hasTransferCode } from './transfer.js';
+import { encodeQR, drawQR } from './qr.js';
+import { initSync, getSyncSettings, setSyncSettings, isSyncEnabled, getEntrySyncStatus, syncNow, requestSync } from './sync.js';
+import { initAuth, hasPin, setPin, verifyPin, validatePinFormat, isUnlocked, lock, PIN_MAX_LENGTH } from './auth.js';
+import { initDB, migrateMediaToBlobs, saveEntry, updateEntry, getAllEntries, queryEntries, iterateEntries, countEntries, getEntryCount, getEntryMedia, getThumbnail, saveThumbnail, dataURLToBlob, addVisitor, updateVisitor, getAllVisitors, deleteVisitor, deleteVisitors, getVisitor, deleteEntry, getTrash, restoreFromTrash, emptyTrash, purgeExpiredTrash, getOutbox, requestPersistentStorage, getStorageStatus, isQuotaExceededError, getSetting, setSetting, addEvent, updateEvent, getAllEvents, getEvent, getActiveEventId, setActiveEventId } from './storage.js';
 
 // Screen elements
 const screens = {
@@ -24,11 +34,62 @@ let currentVisitorName = '';
 let currentVisitorDesignation = '';
 let selectedVisitorId = null;
 
-// Browse state
+// Browse state (entries are loaded a page at a time as the list scrolls)
+const BROWSE_PAGE_SIZE = 100;
 let browseEntries = [];
+let browseTotal = 0;
+let browseNext = null;
+let browseLoading = null;
+let browseLoadId = 0;
 let browseCurrentIndex = 0;
 let browseIsAnimating = false;
 let browseDeleteMode = false;
+let browseSelectedIds = new Set();
+
+// Browse search and filter chips
+const BROWSE_SEARCH_DELAY_MS = 250;
+const BROWSE_DATE_RANGES = { today: 0, week: 6, month: 29 }; // Days before today
+let browseFilters = { text: '', date: null, photo: null };
+let browseQueryOptions = {};
+let browseSearchTimer = null;
+
+// Browse list rows are a fixed height so only the visible ones are rendered
+const BROWSE_ROW_HEIGHT = 64;
+const BROWSE_LIST_OVERSCAN = 6;
+let browseListFrame = null;
+
+// Full-size media of the slides around the current one, by entry ID. Each
+// record is { loading, slides (showing its URL), cached }; the URL is revoked
+// once the record has left the cache and no slide shows it.
+const browseMedia = new Map();
+const browseSlideMedia = new WeakMap();
+
+const thumbnailLoads = new Map();
+
+// Handwriting replay state
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+let browseReplay = null;
+let browseReplaySpeed = 1;
+// Pauses between strokes are replayed as written unless this is set
+let browseReplaySkipPauses = false;
+
+// Home screen background when the event has no cover image
+const DEFAULT_HOME_BACKGROUND = "url('./front.jpg') center/cover no-repeat";
+
+// Event being edited in the admin screen (null = creating a new one)
+let editingEventId = null;
+let adminEventCover = null;
+
+// Object URLs for stored images, per view, revoked when the view reloads
+const mediaURLGroups = new Map();
+
+// Kiosk mode state
+const KIOSK_SCREENS = ['splash', 'home', 'photo', 'feedback', 'thankyou'];
+const KIOSK_IDLE_TIMEOUT_MS = 90 * 1000;
+const KIOSK_HOTSPOT_HOLD_MS = 3000;
+let kioskMode = false;
+let kioskIdleTimer = null;
+let currentScreen = 'splash';
 
 // PWA install prompt
 let deferredInstallPrompt = null;
@@ -38,7 +99,7 @@ async function registerServiceWorker() {
     const hadController = Boolean(navigator.serviceWorker.controller);
 
     try {
-        const registration = await navigator.serviceWorker.register('/sw.js');
+        const registration = await navigator.serviceWorker.register('/sw.js', { type: 'module' });
         console.log('Service worker registered');
 
         if (hadController) {
@@ -75,15 +136,38 @@ async function init() {
 
     // Initialize storage
     await initDB();
+    await updateHomeEvent();
+
+    // Ask the browser not to evict the book, then warn if space is short
+    requestPersistentStorage().then(checkStorage);
+
+    // Convert images saved as data URLs by earlier versions (runs once)
+    migrateMediaToBlobs().catch(error => {
+        console.error('Error converting stored images:', error);
+    });
+
+    // Permanently remove trash older than the retention period
+    purgeExpiredTrash(await getSetting(TRASH_RETENTION_SETTING, DEFAULT_TRASH_RETENTION_DAYS)).catch(error => {
+        console.error('Error purging trash:', error);
+    });
 
     // Initialize camera
     initCamera(handlePhotoSelected);
 
     // Initialize canvas (will be set up when feedback screen is shown)
-    initCanvas(handleDrawStart);
+    initCanvas(handleDrawStart, handleCanvasHistoryChange);
+    setInputMode(await getSetting('inputMode', getInputMode()));
 
     // Set up event listeners
     setupEventListeners();
+    initAuth(handleAdminLock);
+    setupKioskMode(await getSetting('kioskMode', false));
+
+    // Scheduled snapshots only run while nobody is signing
+    initBackups(() => screens.home.classList.contains('active'), handleSnapshotSaved);
+    initSync(handleSyncChange).catch(error => {
+        console.error('Error starting sync:', error);
+    });
 
     // Show splash screen, then transition to home
     showScreen('splash');
@@ -95,6 +179,12 @@ async function init() {
     screens.splash.addEventListener('click', () => {
         showScreen('home');
     });
+
+    // First run: the admin PIN has to be set before anything else
+    if (!(await hasPin())) {
+        await promptSetupPin(false);
+        lock();
+    }
 }
 
 /**
@@ -108,15 +198,26 @@ function setupEventListeners() {
     });
 
     document.getElementById('btn-browse-feedback').addEventListener('click', () => {
+        resetBrowseFilters();
         loadBrowseScreen();
         showScreen('browse');
     });
 
-    document.getElementById('btn-admin').addEventListener('click', () => {
+    document.getElementById('btn-admin').addEventListener('click', async () => {
+        if (!(await requireAdmin())) return;
+        loadAdminEvents();
         loadAdminVisitors();
+        loadAdminSettings();
+        loadAdminPhotoSettings();
+        loadAdminStorage();
+        loadAdminBackups();
+        loadAdminSync();
+        loadAdminTransfer();
         showScreen('admin');
     });
 
+    setupKioskHotspot();
+
     // Photo screen
     document.getElementById('btn-retake-photo').addEventListener('click', resetPhotoSelection);
     document.getElementById('btn-continue-photo').addEventListener('click', () => {
@@ -133,11 +234,12 @@ function setupEventListeners() {
 
     // Feedback screen
     setupColorButtons();
+    setupPenButtons();
     setupThicknessButtons();
-    document.getElementById('btn-clear-canvas').addEventListener('click', () => {
-        clearCanvas();
-        document.getElementById('canvas-hint').classList.remove('hidden');
-    });
+    document.getElementById('btn-clear-canvas').addEventListener('click', clearStrokes);
+    document.getElementById('btn-undo').addEventListener('click', undo);
+    document.getElementById('btn-redo').addEventListener('click', redo);
+    setupUndoShortcuts();
     document.getElementById('btn-back-feedback').addEventListener('click', () => {
         showScreen('photo');
     });
@@ -150,11 +252,26 @@ function setupEventListeners() {
 
     // Browse screen
     document.getElementById('btn-back-browse').addEventListener('click', () => {
+        stopBrowseReplay();
+        if (kioskMode) lock();
         showScreen('home');
     });
-    document.getElementById('btn-export-json').addEventListener('click', handleExportJSON);
-    document.getElementById('btn-delete-all').addEventListener('click', toggleDeleteMode);
+    document.getElementById('btn-replay-toggle').addEventListener('click', toggleBrowseReplay);
+    document.getElementById('btn-replay-speed').addEventListener('click', cycleBrowseReplaySpeed);
+    document.getElementById('btn-replay-pauses').addEventListener('click', toggleBrowseReplayPauses);
+    window.addEventListener('resize', layoutBrowseReplay);
+    setupExportMenu();
+    document.getElementById('btn-delete-all').addEventListener('click', async () => {
+        if (!(await requireAdmin())) return;
+        toggleDeleteMode();
+    });
     document.getElementById('btn-delete-selected').addEventListener('click', handleDeleteSelected);
+    document.getElementById('btn-transfer-selected').addEventListener('click', handleTransferSelected);
+    document.getElementById('btn-edit-entry').addEventListener('click', handleEditEntry);
+    document.getElementById('entry-form').addEventListener('submit', handleSaveEntryEdit);
+    document.getElementById('btn-entry-cancel').addEventListener('click', closeEntryEditor);
+    document.getElementById('entry-edit-photo-input').addEventListener('change', handleEntryPhotoSelect);
+    document.getElementById('btn-entry-remove-photo').addEventListener('click', handleEntryPhotoRemove);
     document.getElementById('btn-cancel-delete').addEventListener('click', toggleDeleteMode);
     document.getElementById('btn-prev-page').addEventListener('click', () => {
         navigateBrowse('prev');
@@ -163,14 +280,76 @@ function setupEventListeners() {
         navigateBrowse('next');
     });
     setupBrowseSwipe();
+    setupBrowseFilters();
+    document.getElementById('browse-visitor-list').addEventListener('scroll', scheduleBrowseListRender, { passive: true });
+    window.addEventListener('resize', scheduleBrowseListRender);
 
     // Admin screen
     document.getElementById('btn-back-admin').addEventListener('click', () => {
         resetAdminForm();
+        resetImportPanel();
+        resetGuestListPanel();
+        setAdminSelectMode(false);
+        resetEventForm();
+        lock();
         showScreen('home');
     });
+    document.getElementById('admin-event-select').addEventListener('change', handleEventSwitch);
+    document.getElementById('btn-new-event').addEventListener('click', () => showEventForm(null));
+    document.getElementById('btn-edit-event').addEventListener('click', async () => {
+        showEventForm(await getEvent(await getActiveEventId()));
+    });
+    document.getElementById('admin-event-cover-input').addEventListener('change', handleEventCoverSelect);
+    document.getElementById('btn-save-event').addEventListener('click', handleSaveEvent);
+    document.getElementById('btn-cancel-event').addEventListener('click', resetEventForm);
     document.getElementById('admin-photo-input').addEventListener('change', handleAdminPhotoSelect);
     document.getElementById('btn-add-visitor').addEventListener('click', handleAddVisitor);
+    document.getElementById('visitor-form').addEventListener('submit', handleSaveVisitorEdit);
+    document.getElementById('btn-visitor-cancel').addEventListener('click', closeVisitorEditor);
+    document.getElementById('visitor-edit-photo-input').addEventListener('change', handleVisitorPhotoSelect);
+    document.getElementById('btn-visitor-remove-photo').addEventListener('click', handleVisitorPhotoRemove);
+    document.getElementById('btn-select-visitors').addEventListener('click', () => setAdminSelectMode(true));
+    document.getElementById('btn-cancel-visitor-select').addEventListener('click', () => setAdminSelectMode(false));
+    document.getElementById('btn-select-all-visitors').addEventListener('click', handleSelectAllVisitors);
+    document.getElementById('btn-delete-visitors').addEventListener('click', handleDeleteSelectedVisitors);
+    document.getElementById('admin-guest-list-input').addEventListener('change', handleGuestListSelect);
+    document.getElementById('admin-guest-photos-folder').addEventListener('change', handleGuestPhotosSelect);
+    document.getElementById('admin-guest-photos-zip').addEventListener('change', handleGuestPhotosSelect);
+    document.getElementById('btn-guest-list-import').addEventListener('click', handleGuestListImport);
+    document.getElementById('btn-guest-list-cancel').addEventListener('click', resetGuestListPanel);
+    document.getElementById('btn-open-trash').addEventListener('click', openTrash);
+    document.getElementById('btn-close-trash').addEventListener('click', closeTrash);
+    document.getElementById('btn-empty-trash').addEventListener('click', handleEmptyTrash);
+    document.getElementById('trash-retention').addEventListener('change', handleTrashRetentionChange);
+    document.getElementById('admin-input-mode').addEventListener('change', handleInputModeChange);
+    document.getElementById('admin-kiosk-mode').addEventListener('change', handleKioskModeChange);
+    document.getElementById('admin-photo-size').addEventListener('change', handlePhotoSettingChange);
+    document.getElementById('admin-photo-format').addEventListener('change', handlePhotoSettingChange);
+    document.getElementById('admin-photo-quality').addEventListener('input', updatePhotoQualityLabel);
+    document.getElementById('admin-photo-quality').addEventListener('change', handlePhotoSettingChange);
+    document.getElementById('admin-import-input').addEventListener('change', handleImportFileSelect);
+    document.getElementById('btn-import-merge').addEventListener('click', () => handleImportApply('merge'));
+    document.getElementById('btn-import-replace').addEventListener('click', () => handleImportApply('replace'));
+    document.getElementById('btn-import-cancel').addEventListener('click', resetImportPanel);
+    document.getElementById('btn-change-pin').addEventListener('click', handleChangePin);
+    document.getElementById('btn-persist-storage').addEventListener('click', handlePersistStorage);
+    document.getElementById('btn-choose-backup-folder').addEventListener('click', handleChooseBackupFolder);
+    document.getElementById('btn-forget-backup-folder').addEventListener('click', handleForgetBackupFolder);
+    document.getElementById('admin-backup-interval').addEventListener('change', handleBackupSettingChange);
+    document.getElementById('admin-backup-keep').addEventListener('change', handleBackupSettingChange);
+    document.getElementById('btn-backup-now').addEventListener('click', handleBackupNow);
+    document.getElementById('btn-open-snapshots').addEventListener('click', openSnapshots);
+    document.getElementById('btn-close-snapshots').addEventListener('click', closeSnapshots);
+    document.getElementById('admin-sync-form').addEventListener('submit', handleSyncSettingsSave);
+    document.getElementById('btn-sync-now').addEventListener('click', handleSyncNow);
+    document.getElementById('admin-transfer-code-form').addEventListener('submit', handleTransferCodeSave);
+    document.getElementById('admin-transfer-input').addEventListener('change', handleTransferFileSelect);
+    document.getElementById('btn-scan-transfer').addEventListener('click', handleScanTransfer);
+    document.getElementById('btn-cancel-scan').addEventListener('click', closeScan);
+    document.getElementById('btn-transfer-share').addEventListener('click', handleTransferShare);
+    document.getElementById('btn-transfer-save').addEventListener('click', handleTransferSave);
+    document.getElementById('btn-transfer-qr').addEventListener('click', handleTransferQR);
+    document.getElementById('btn-close-transfer').addEventListener('click', closeTransfer);
 }
 
 /**
@@ -270,6 +449,18 @@ function setupInstallButton() {
  * @param {string} screenName
  */
 function showScreen(screenName) {
+    // Guests in kiosk mode stay in the signing loop
+    if (kioskMode && !isUnlocked() && !KIOSK_SCREENS.includes(screenName)) {
+        screenName = 'home';
+    }
+    currentScreen = screenName;
+
+    // Release the camera when leaving the photo screen (e.g. kiosk timeout)
+    if (screenName !== 'photo') {
+        closeLiveCamera();
+        closeCropEditor();
+    }
+
     Object.values(screens).forEach(screen => {
         screen.classList.remove('active');
     });
@@ -279,6 +470,70 @@ function showScreen(screenName) {
     }
 }
 
+// ============ MEDIA URLS ============
+
+/**
+ * Get a displayable URL for a stored image
+ * @param {Blob|string|null} media - Blob, or data URL in older records
+ * @param {string} group - View that owns the URL (see revokeMediaURLs)
+ * @returns {string|null}
+ */
+function mediaURL(media, group) {
+    if (!media) return null;
+    if (typeof media === 'string') return media;
+
+    if (!mediaURLGroups.has(group)) {
+        mediaURLGroups.set(group, new Map());
+    }
+    const urls = mediaURLGroups.get(group);
+    if (!urls.has(media)) {
+        urls.set(media, URL.createObjectURL(media));
+    }
+    return urls.get(media);
+}
+
+/**
+ * Free the object URLs of a view before it is rebuilt
+ * @param {string} group
+ */
+function revokeMediaURLs(group) {
+    const urls = mediaURLGroups.get(group);
+    if (!urls) return;
+
+    urls.forEach(url => URL.revokeObjectURL(url));
+    urls.clear();
+}
+
+/**
+ * Get the list thumbnail of an entry's photo. Entries saved before
+ * thumbnails existed get one made from the full photo on first use.
+ * @param {Object} entry
+ * @returns {Promise<Blob|string|null>}
+ */
+function loadThumbnail(entry) {
+    if (!entry.hasPhoto) return Promise.resolve(null);
+
+    if (!thumbnailLoads.has(entry.id)) {
+        const loading = (async () => {
+            const stored = await getThumbnail(entry.id);
+            if (stored) return stored;
+
+            const media = await getEntryMedia(entry.id);
+            if (!media || !media.photo) return null;
+
+            const photo = typeof media.photo === 'string' ? await dataURLToBlob(media.photo) : media.photo;
+            const thumbnail = await createThumbnail(photo);
+            await saveThumbnail(entry.id, thumbnail);
+            return thumbnail;
+        })().catch(error => {
+            console.error('Error loading thumbnail:', error);
+            return null;
+        });
+        thumbnailLoads.set(entry.id, loading);
+    }
+    return thumbnailLoads.get(entry.id);
+}
+
 // ============ PHOTO SCREEN ============
 
 /**
@@ -298,25 +553,33 @@ async function loadPreregisteredVisitors() {
 
         section.classList.remove('hidden');
         grid.innerHTML = '';
+        revokeMediaURLs('visitors');
 
         for (const visitor of visitors) {
-            // Photo is stored as data URL string
-            const photoURL = visitor.photo;
+            const photoURL = mediaURL(visitor.photo, 'visitors');
             const card = document.createElement('button');
             card.className = 'visitor-card flex flex-col items-center gap-1 p-2 rounded-xl bg-slate-800/30 hover:bg-slate-700/50 border-2 border-transparent transition-all';
             card.dataset.visitorId = visitor.id;
 
             const photoHTML = photoURL
-                ? `<img src="${photoURL}" alt="${visitor.name}" class="w-16 h-16 object-cover rounded-full">`
+                ? `<img src="${photoURL}" alt="" class="visitor-card-photo w-16 h-16 object-cover rounded-full">`
                 : `<div class="w-16 h-16 rounded-full bg-slate-700 flex items-center justify-center"><svg class="w-8 h-8 text-slate-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg></div>`;
 
             card.innerHTML = `
                 ${photoHTML}
-                <span class="text-xs text-slate-300 truncate w-full text-center">${visitor.name}</span>
-                ${visitor.designation ? `<span class="text-[10px] text-slate-500 truncate w-full text-center">${visitor.designation}</span>` : ''}
+                <span class="visitor-card-name text-xs text-slate-300 truncate w-full text-center"></span>
+                <span class="visitor-card-designation text-[10px] text-slate-500 truncate w-full text-center"></span>
             `;
 
-            card.addEventListener('click', () => selectPreregisteredVisitor(visitor, photoURL, card));
+            // Names come from typed input and guest lists, so never as HTML
+            const photo = card.querySelector('.visitor-card-photo');
+            if (photo) photo.alt = visitor.name;
+            card.querySelector('.visitor-card-name').textContent = visitor.name;
+            const designation = card.querySelector('.visitor-card-designation');
+            designation.textContent = visitor.designation || '';
+            designation.classList.toggle('hidden', !visitor.designation);
+
+            card.addEventListener('click', () => selectPreregisteredVisitor(visitor, card));
             grid.appendChild(card);
         }
     } catch (error) {
@@ -328,7 +591,7 @@ async function loadPreregisteredVisitors() {
 /**
  * Select a pre-registered visitor
  */
-async function selectPreregisteredVisitor(visitor, photoURL, cardElement) {
+async function selectPreregisteredVisitor(visitor, cardElement) {
     // Deselect all cards
     document.querySelectorAll('.visitor-card').forEach(card => {
         card.classList.remove('border-indigo-500', 'bg-indigo-500/20');
@@ -339,14 +602,18 @@ async function selectPreregisteredVisitor(visitor, photoURL, cardElement) {
     cardElement.classList.remove('border-transparent');
     cardElement.classList.add('border-indigo-500', 'bg-indigo-500/20');
 
-    // Convert data URL to Blob and set as current photo
+    // Use the visitor's photo as the current photo
     selectedVisitorId = visitor.id;
+    if (currentPhotoURL) {
+        revokePhotoURL(currentPhotoURL);
+        currentPhotoURL = null;
+    }
     if (visitor.photo) {
-        const photoBlob = await dataURLToBlob(visitor.photo);
+        const photoBlob = visitor.photo instanceof Blob ? visitor.photo : await dataURLToBlob(visitor.photo);
         setCurrentPhoto(photoBlob);
 
-        // Update preview (use the data URL directly)
-        currentPhotoURL = photoURL;
+        // Update preview
+        currentPhotoURL = createPhotoURL(photoBlob);
 
         const preview = document.getElementById('photo-preview');
         preview.src = currentPhotoURL;
@@ -355,7 +622,6 @@ async function selectPreregisteredVisitor(visitor, photoURL, cardElement) {
         document.getElementById('photo-preview-container').classList.remove('hidden');
     } else {
         clearPhoto();
-        currentPhotoURL = null;
         document.getElementById('photo-preview-container').classList.add('hidden');
     }
 
@@ -456,6 +722,38 @@ function handleDrawStart() {
     document.getElementById('canvas-hint').classList.add('hidden');
 }
 
+/**
+ * Handle canvas undo/redo history changes
+ * @param {Object} state - { canUndo, canRedo, isEmpty }
+ */
+function handleCanvasHistoryChange(state) {
+    document.getElementById('btn-undo').disabled = !state.canUndo;
+    document.getElementById('btn-redo').disabled = !state.canRedo;
+    document.getElementById('canvas-hint').classList.toggle('hidden', !state.isEmpty);
+}
+
+/**
+ * Set up keyboard shortcuts for undo/redo on the feedback screen
+ */
+function setupUndoShortcuts() {
+    document.addEventListener('keydown', (e) => {
+        if (!screens.feedback.classList.contains('active')) return;
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        // Leave text fields their own undo
+        if (e.target instanceof HTMLInputElement) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+}
+
 /**
  * Set up color picker buttons
  */
@@ -493,6 +791,31 @@ function setupColorButtons() {
     });
 }
 
+/**
+ * Set up pen type buttons
+ */
+function setupPenButtons() {
+    const penButtons = document.querySelectorAll('.pen-btn');
+    const eraserBtn = document.getElementById('btn-eraser');
+
+    penButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            penButtons.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            setPenType(btn.dataset.pen);
+
+            // Picking a pen switches back from the eraser to the current ink
+            if (eraserBtn.classList.contains('active')) {
+                eraserBtn.classList.remove('active');
+                setEraserMode(false);
+                document.querySelectorAll('.color-btn').forEach(b => {
+                    b.classList.toggle('active', b.dataset.color === getColor());
+                });
+            }
+        });
+    });
+}
+
 /**
  * Set up thickness buttons
  */
@@ -520,47 +843,90 @@ async function handleSubmit() {
         return;
     }
 
+    let entry = null;
+
     try {
         const photo = getCurrentPhoto();
-        // Convert photo blob to data URL if present
-        const photoDataURL = photo ? await blobToDataURL(photo) : null;
-        // Get canvas as data URL
-        const signatureDataURL = getCanvasDataURL();
+        const signature = await getCanvasBlob();
+        // Keep the vector strokes so the entry can be re-rendered and replayed
+        const ink = getInkData();
         const name = document.getElementById('visitor-name').value.trim();
         const designation = document.getElementById('visitor-designation').value.trim();
+        const thumbnail = photo ? await createThumbnail(photo) : null;
 
-        // Save to IndexedDB (as data URLs for browser compatibility)
-        await saveEntry({
-            photo: photoDataURL,
-            signature: signatureDataURL,
+        entry = {
+            photo: photo,
+            signature: signature,
+            thumbnail: thumbnail,
+            ink: ink,
             name: name,
-            designation: designation
-        });
+            designation: designation,
+            timestamp: new Date().toISOString()
+        };
+
+        // Save to IndexedDB
+        await saveEntry(entry);
+        requestSync();
 
         // Show thank you screen
-        showThankYouScreen(photoDataURL, signatureDataURL);
+        showThankYouScreen(photo, signature);
+        checkStorage();
 
     } catch (error) {
         console.error('Error saving entry:', error);
-        alert('Failed to save. Please try again.');
+        if (entry && isQuotaExceededError(error)) {
+            await handleStorageFull(entry);
+        } else {
+            alert('Failed to save. Please try again.');
+        }
+    }
+}
+
+/**
+ * Recover an entry that did not fit on the device. It is offered as a
+ * download that "Restore from export" can bring back once space is freed;
+ * otherwise the page stays on screen to try again.
+ * @param {Object} entry - The entry that failed to save
+ */
+async function handleStorageFull(entry) {
+    setStorageWarning('Storage is full. New entries cannot be saved until staff free up space on the admin screen.');
+
+    const download = confirm(
+        'This device is out of storage space, so this entry could not be saved.\n\n' +
+        'Press OK to download it as a file. Staff can add it back later with "Restore from export" ' +
+        'after freeing space (empty the trash, or export and delete older entries).\n\n' +
+        'Press Cancel to keep the page on screen and try again.'
+    );
+    if (!download) return;
+
+    try {
+        const event = await getEvent(await getActiveEventId());
+        const blob = await buildJSONExport([entry], { event });
+        downloadBlob(blob, exportFileName('json', { name: 'unsaved entry' }));
+        showThankYouScreen(entry.photo, entry.signature);
+    } catch (error) {
+        console.error('Error downloading unsaved entry:', error);
+        alert('The entry could not be downloaded either. Please ask staff for help before leaving this page.');
     }
 }
 
 /**
  * Show the thank you screen
- * @param {string} photoDataURL
- * @param {string} signatureDataURL
+ * @param {Blob|null} photo
+ * @param {Blob} signature
  */
-function showThankYouScreen(photoDataURL, signatureDataURL) {
+function showThankYouScreen(photo, signature) {
+    revokeMediaURLs('thankyou');
+
     const thankyouPhoto = document.getElementById('thankyou-photo');
-    if (photoDataURL) {
-        thankyouPhoto.src = photoDataURL;
+    if (photo) {
+        thankyouPhoto.src = mediaURL(photo, 'thankyou');
         thankyouPhoto.classList.remove('hidden');
     } else {
         thankyouPhoto.src = '';
         thankyouPhoto.classList.add('hidden');
     }
-    document.getElementById('thankyou-signature').src = signatureDataURL;
+    document.getElementById('thankyou-signature').src = mediaURL(signature, 'thankyou');
 
     showScreen('thankyou');
 
@@ -573,17 +939,23 @@ function showThankYouScreen(photoDataURL, signatureDataURL) {
 
 // ============ GALLERY SCREEN ============
 
+const GALLERY_PAGE_SIZE = 40;
+let galleryObserver = null;
+let galleryEntries = new Map();
+let galleryNext = null;
+
 /**
- * Load and display gallery
+ * Load and display gallery. Cards start with placeholders and load their
+ * images when scrolled into view; more pages load near the end.
  */
 async function loadGallery() {
     const grid = document.getElementById('gallery-grid');
     const empty = document.getElementById('gallery-empty');
 
     try {
-        const entries = await getAllEntries();
+        const page = await queryEntries({ limit: GALLERY_PAGE_SIZE });
 
-        if (entries.length === 0) {
+        if (page.entries.length === 0) {
             grid.classList.add('hidden');
             empty.classList.remove('hidden');
             empty.classList.add('flex');
@@ -596,30 +968,82 @@ async function loadGallery() {
 
         // Clear existing content
         grid.innerHTML = '';
+        revokeMediaURLs('gallery');
 
-        // Add entries
-        for (const entry of entries) {
-            const card = createGalleryCard(entry);
-            grid.appendChild(card);
+        if (galleryObserver) galleryObserver.disconnect();
+        galleryEntries = new Map();
+        galleryObserver = new IntersectionObserver(handleGalleryIntersection, {
+            root: document.getElementById('gallery-container'),
+            rootMargin: '200px'
+        });
+
+        appendGalleryPage(page);
+
+    } catch (error) {
+        console.error('Error loading gallery:', error);
+    }
+}
+
+/**
+ * Add a page of entries to the gallery
+ * @param {Object} page - From queryEntries()
+ */
+function appendGalleryPage(page) {
+    const grid = document.getElementById('gallery-grid');
+    galleryNext = page.next;
+
+    for (const entry of page.entries) {
+        galleryEntries.set(entry.id, entry);
+        const card = createGalleryCard(entry);
+        grid.appendChild(card);
+        galleryObserver.observe(card);
+    }
+}
+
+/**
+ * Load the images of cards coming into view, and the next page when the
+ * last card does
+ */
+function handleGalleryIntersection(observed) {
+    const grid = document.getElementById('gallery-grid');
+
+    observed.filter(item => item.isIntersecting).forEach(item => {
+        const card = item.target;
+        galleryObserver.unobserve(card);
+        loadGalleryCardMedia(card, galleryEntries.get(Number(card.dataset.entryId)));
+
+        if (card === grid.lastElementChild && galleryNext) {
+            loadMoreGallery();
         }
+    });
+}
+
+/**
+ * Load the next page of gallery entries
+ */
+async function loadMoreGallery() {
+    const observer = galleryObserver;
+    const after = galleryNext;
+    galleryNext = null;
 
+    try {
+        const page = await queryEntries({ limit: GALLERY_PAGE_SIZE, after });
+        // Skip if the gallery was reloaded meanwhile
+        if (observer === galleryObserver) appendGalleryPage(page);
     } catch (error) {
         console.error('Error loading gallery:', error);
     }
 }
 
 /**
- * Create a gallery card element
+ * Create a gallery card element (images are filled in by loadGalleryCardMedia)
  * @param {Object} entry
  * @returns {HTMLElement}
  */
 function createGalleryCard(entry) {
     const card = document.createElement('div');
     card.className = 'gallery-card p-4';
-
-    // Photos are stored as data URL strings
-    const photoURL = entry.photo;
-    const signatureURL = entry.signature;
+    card.dataset.entryId = entry.id;
 
     // Format date
     const date = new Date(entry.timestamp);
@@ -630,27 +1054,50 @@ function createGalleryCard(entry) {
         minute: '2-digit'
     });
 
-    const galleryPhotoHTML = photoURL
-        ? `<img src="${photoURL}" alt="Visitor" class="w-12 h-12 rounded-full object-cover border border-slate-600">`
-        : `<div class="w-12 h-12 rounded-full bg-slate-700 flex items-center justify-center border border-slate-600"><svg class="w-6 h-6 text-slate-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg></div>`;
-
     card.innerHTML = `
         <div class="flex items-center gap-3 mb-3">
-            ${galleryPhotoHTML}
+            <div class="gallery-photo w-12 h-12 rounded-full bg-slate-700 flex items-center justify-center border border-slate-600 overflow-hidden shrink-0"><svg class="w-6 h-6 text-slate-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg></div>
             <div>
-                <p class="text-sm font-medium text-slate-200">${entry.name || 'Anonymous'}</p>
-                ${entry.designation ? `<p class="text-xs text-slate-400">${entry.designation}</p>` : ''}
+                <p class="gallery-name text-sm font-medium text-slate-200"></p>
+                <p class="gallery-designation text-xs text-slate-400"></p>
                 <p class="text-xs text-slate-500">${dateStr}</p>
             </div>
         </div>
         <div class="bg-slate-800/50 rounded-lg p-2">
-            <img src="${signatureURL}" alt="Feedback" class="w-full h-24 object-contain">
+            <img alt="Feedback" class="gallery-signature w-full h-24 object-contain">
         </div>
     `;
 
+    // Entries can come from import files and other tablets, so never as HTML
+    card.querySelector('.gallery-name').textContent = entry.name || 'Anonymous';
+    const designation = card.querySelector('.gallery-designation');
+    designation.textContent = entry.designation || '';
+    designation.classList.toggle('hidden', !entry.designation);
+
     return card;
 }
 
+/**
+ * Load the thumbnail and handwriting of a gallery card
+ * @param {HTMLElement} card
+ * @param {Object} entry
+ */
+async function loadGalleryCardMedia(card, entry) {
+    try {
+        const thumbnail = await loadThumbnail(entry);
+        if (thumbnail) {
+            card.querySelector('.gallery-photo').innerHTML = `<img src="${mediaURL(thumbnail, 'gallery')}" alt="Visitor" class="w-full h-full object-cover">`;
+        }
+
+        const media = await getEntryMedia(entry.id);
+        if (media && media.signature) {
+            card.querySelector('.gallery-signature').src = mediaURL(media.signature, 'gallery');
+        }
+    } catch (error) {
+        console.error('Error loading gallery images:', error);
+    }
+}
+
 // ============ BROWSE FEEDBACK SCREEN ============
 
 /**
@@ -660,27 +1107,47 @@ async function loadBrowseScreen() {
     const feedbackArea = document.getElementById('browse-feedback-area');
     const browseEmpty = document.getElementById('browse-empty');
 
+    stopBrowseReplay();
+    feedbackArea.querySelectorAll('.browse-slide').forEach(removeBrowseSlide);
     feedbackArea.innerHTML = '';
+    revokeMediaURLs('browse');
+    clearBrowseMedia();
+    thumbnailLoads.clear();
 
     // Reset delete mode
     browseDeleteMode = false;
+    browseSelectedIds = new Set();
     document.getElementById('btn-delete-all').classList.remove('hidden');
     document.getElementById('delete-actions').classList.add('hidden');
-    const deleteSelectedBtn = document.getElementById('btn-delete-selected');
-    deleteSelectedBtn.textContent = 'Delete Selected';
-    deleteSelectedBtn.disabled = true;
+    updateDeleteSelectedCount();
+
+    const loadId = ++browseLoadId;
+    const query = browseQuery();
 
     try {
-        const entries = await getAllEntries();
+        const [total, page] = await Promise.all([countEntries(query), queryEntries({ ...query, limit: BROWSE_PAGE_SIZE })]);
+
+        // A newer search has started meanwhile
+        if (loadId !== browseLoadId) return;
+
+        const entries = page.entries;
+        browseQueryOptions = query;
         browseEntries = entries;
+        browseTotal = Math.max(total, entries.length);
+        browseNext = page.next;
+        browseLoading = null;
         browseCurrentIndex = 0;
         browseIsAnimating = false;
+        document.getElementById('browse-visitor-list').scrollTop = 0;
 
         if (entries.length === 0) {
+            document.getElementById('browse-empty-message').textContent = isBrowseFiltered()
+                ? 'No entries match your search.'
+                : 'No entries yet. Be the first to leave feedback!';
             browseEmpty.classList.remove('hidden');
             browseEmpty.classList.add('flex');
             document.getElementById('browse-nav').classList.add('hidden');
-            document.getElementById('browse-visitor-list').innerHTML = '';
+            populateBrowseList();
             document.getElementById('page-indicator').textContent = '0 / 0';
             return;
         }
@@ -699,93 +1166,317 @@ async function loadBrowseScreen() {
 
         updatePageIndicator();
         updateNavButtons();
+        updateReplayControls();
         updateBrowseListActive();
+        preloadBrowseMedia();
 
     } catch (error) {
         console.error('Error loading browse screen:', error);
     }
 }
 
+/**
+ * Load further pages of browse entries until an index is available
+ * @param {number} index - Position in the browse list
+ * @returns {Promise<boolean>} - Whether the entry at that index is loaded
+ */
+async function loadBrowseEntriesUpTo(index) {
+    const entries = browseEntries;
+
+    try {
+        while (index >= entries.length && browseNext && entries === browseEntries) {
+            if (!browseLoading) {
+                browseLoading = queryEntries({ ...browseQueryOptions, limit: BROWSE_PAGE_SIZE, after: browseNext })
+                    .then(page => {
+                        // Ignore pages for a list that has been reloaded
+                        if (entries !== browseEntries) return;
+                        entries.push(...page.entries);
+                        browseNext = page.next;
+                    })
+                    .finally(() => {
+                        if (entries === browseEntries) browseLoading = null;
+                    });
+            }
+            await browseLoading;
+        }
+    } catch (error) {
+        console.error('Error loading entries:', error);
+    }
+
+    return entries === browseEntries && index < entries.length;
+}
+
+/**
+ * Load the full-size handwriting and strokes of an entry (cached while
+ * the entry is on or next to the current slide)
+ * @param {Object} entry
+ * @returns {Promise<{signatureURL: string|null, ink: Object|null}>}
+ */
+function loadBrowseMedia(entry) {
+    return cacheBrowseMedia(entry).loading;
+}
+
+/**
+ * Cached media record of an entry, loading it if needed
+ * @param {Object} entry
+ * @returns {{loading: Promise, slides: Set<HTMLElement>, cached: boolean}}
+ */
+function cacheBrowseMedia(entry) {
+    if (!browseMedia.has(entry.id)) {
+        const loading = getEntryMedia(entry.id)
+            .then(media => {
+                const signature = media && media.signature;
+                return {
+                    signatureURL: signature ? (typeof signature === 'string' ? signature : URL.createObjectURL(signature)) : null,
+                    ink: media ? media.ink : null
+                };
+            })
+            .catch(error => {
+                console.error('Error loading entry media:', error);
+                return { signatureURL: null, ink: null };
+            });
+        browseMedia.set(entry.id, { loading, slides: new Set(), cached: true });
+    }
+    return browseMedia.get(entry.id);
+}
+
+/**
+ * Drop an entry's media from the cache
+ * @param {number} id - Entry ID
+ */
+function evictBrowseMedia(id) {
+    const media = browseMedia.get(id);
+    browseMedia.delete(id);
+    media.cached = false;
+    releaseBrowseMedia(media);
+}
+
+/**
+ * Revoke the object URL of browse media once it has left the cache and no
+ * slide shows it any more
+ */
+function releaseBrowseMedia(media) {
+    if (media.cached || media.slides.size > 0) return;
+    media.loading.then(({ signatureURL }) => {
+        if (signatureURL && signatureURL.startsWith('blob:')) {
+            URL.revokeObjectURL(signatureURL);
+        }
+    });
+}
+
+/**
+ * Load the media of the slides next to the current one and release the rest
+ */
+function preloadBrowseMedia() {
+    const nearby = browseEntries.slice(Math.max(0, browseCurrentIndex - 1), browseCurrentIndex + 2);
+    const keep = new Set(nearby.map(entry => entry.id));
+
+    browseMedia.forEach((media, id) => {
+        if (!keep.has(id)) evictBrowseMedia(id);
+    });
+
+    nearby.forEach(loadBrowseMedia);
+}
+
+/**
+ * Release all loaded browse media
+ */
+function clearBrowseMedia() {
+    browseMedia.forEach((media, id) => evictBrowseMedia(id));
+}
+
 /**
  * Create a slide element for a feedback entry (just the signature image)
  */
 function createBrowseSlide(entry) {
     const slide = document.createElement('div');
     slide.className = 'browse-slide';
-    slide.innerHTML = `<img src="${entry.signature}" alt="Feedback">`;
+
+    const image = document.createElement('img');
+    image.alt = 'Feedback';
+    slide.appendChild(image);
+
+    showBrowseSignature(slide, image, entry);
+
     return slide;
 }
 
 /**
- * Populate the browse visitor list sidebar
+ * Show an entry's handwriting on its slide. The slide holds the cached
+ * media until removeBrowseSlide() so its URL is not revoked while shown.
+ * @param {HTMLElement} slide
+ * @param {HTMLImageElement} image
+ * @param {Object} entry
  */
-function populateBrowseList() {
-    const list = document.getElementById('browse-visitor-list');
-    list.innerHTML = '';
+async function showBrowseSignature(slide, image, entry) {
+    await loadBrowseMedia(entry);
 
-    browseEntries.forEach((entry, index) => {
-        const d = new Date(entry.timestamp);
-        const dateStr = d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    // Preloading may have released that load meanwhile; use what is cached now
+    const media = browseMedia.get(entry.id);
+    if (!media || !slide.isConnected) return;
+    media.slides.add(slide);
+    browseSlideMedia.set(slide, media);
 
-        const item = document.createElement('div');
-        item.className = 'browse-list-item flex items-center gap-3 p-2 rounded-xl text-left transition-all shrink-0';
-        item.dataset.index = index;
-        const browsePhotoHTML = entry.photo
-            ? `<img src="${entry.photo}" alt="" class="w-10 h-10 object-cover rounded-full shrink-0 border-2 border-transparent">`
-            : `<div class="w-10 h-10 rounded-full bg-book-leatherLight/50 flex items-center justify-center shrink-0 border-2 border-transparent"><svg class="w-5 h-5 text-book-warmGray" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg></div>`;
+    const { signatureURL } = await media.loading;
+    if (signatureURL && slide.isConnected) image.src = signatureURL;
+}
 
-        item.innerHTML = `
-            <div class="browse-delete-checkbox hidden shrink-0 flex items-center justify-center">
-                <input type="checkbox" data-entry-id="${entry.id}" class="w-4 h-4 accent-red-500 cursor-pointer">
-            </div>
-            ${browsePhotoHTML}
-            <div class="min-w-0 flex-1">
-                <p class="text-sm text-book-warmLight truncate">${entry.name || 'Anonymous'}</p>
-                <p class="text-[10px] text-book-warmGray truncate">${entry.designation ? entry.designation + ' · ' : ''}${dateStr}</p>
-            </div>
-        `;
+/**
+ * Remove a browse slide and let go of the media it shows
+ * @param {HTMLElement} slide
+ */
+function removeBrowseSlide(slide) {
+    slide.remove();
+    const media = browseSlideMedia.get(slide);
+    if (media) {
+        browseSlideMedia.delete(slide);
+        media.slides.delete(slide);
+        releaseBrowseMedia(media);
+    }
+}
+
+/**
+ * Size the browse visitor list for all entries and render the visible rows
+ */
+function populateBrowseList() {
+    const rows = document.getElementById('browse-visitor-rows');
+    rows.innerHTML = '';
+    rows.style.height = `${browseTotal * BROWSE_ROW_HEIGHT}px`;
+    renderBrowseList();
+}
+
+/**
+ * Render the rows in and near the visible part of the browse list and
+ * drop the ones scrolled away
+ */
+function renderBrowseList() {
+    browseListFrame = null;
 
-        // Checkbox change handler
-        item.querySelector('.browse-delete-checkbox input').addEventListener('change', () => {
-            updateDeleteSelectedCount();
+    const list = document.getElementById('browse-visitor-list');
+    const rows = document.getElementById('browse-visitor-rows');
+    const first = Math.max(0, Math.floor(list.scrollTop / BROWSE_ROW_HEIGHT) - BROWSE_LIST_OVERSCAN);
+    const last = Math.min(
+        browseTotal - 1,
+        Math.ceil((list.scrollTop + list.clientHeight) / BROWSE_ROW_HEIGHT) + BROWSE_LIST_OVERSCAN
+    );
+
+    // Rows past the loaded pages are rendered once their page arrives
+    if (last >= browseEntries.length) {
+        loadBrowseEntriesUpTo(last).then(loaded => {
+            if (loaded) scheduleBrowseListRender();
         });
+    }
+
+    const rendered = new Set();
+    rows.querySelectorAll('.browse-list-item').forEach(item => {
+        const index = Number(item.dataset.index);
+        if (index < first || index > last) {
+            item.remove();
+        } else {
+            rendered.add(index);
+        }
+    });
+
+    for (let index = first; index <= Math.min(last, browseEntries.length - 1); index++) {
+        if (!rendered.has(index)) {
+            rows.appendChild(createBrowseListItem(browseEntries[index], index));
+        }
+    }
+}
+
+/**
+ * Re-render the browse list on the next frame (for scroll and resize)
+ */
+function scheduleBrowseListRender() {
+    if (browseListFrame === null) {
+        browseListFrame = requestAnimationFrame(renderBrowseList);
+    }
+}
 
-        item.addEventListener('click', (e) => {
-            if (browseDeleteMode) {
-                const cb = item.querySelector('.browse-delete-checkbox input');
-                cb.checked = !cb.checked;
-                updateDeleteSelectedCount();
-                return;
+/**
+ * Create a row of the browse visitor list
+ * @param {Object} entry
+ * @param {number} index - Position in browseEntries
+ * @returns {HTMLElement}
+ */
+function createBrowseListItem(entry, index) {
+    const d = new Date(entry.timestamp);
+    const dateStr = d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+    const item = document.createElement('div');
+    item.className = 'browse-list-item absolute inset-x-0 flex items-center gap-3 p-2 rounded-xl text-left transition-all';
+    item.style.top = `${index * BROWSE_ROW_HEIGHT}px`;
+    item.dataset.index = index;
+
+    item.innerHTML = `
+        <div class="browse-delete-checkbox ${browseDeleteMode ? '' : 'hidden'} shrink-0 flex items-center justify-center">
+            <input type="checkbox" data-entry-id="${entry.id}" class="w-4 h-4 accent-red-500 cursor-pointer" ${browseSelectedIds.has(entry.id) ? 'checked' : ''}>
+        </div>
+        <div class="browse-list-avatar w-10 h-10 rounded-full bg-book-leatherLight/50 flex items-center justify-center shrink-0 overflow-hidden border-2 border-transparent"><svg class="w-5 h-5 text-book-warmGray" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg></div>
+        <div class="min-w-0 flex-1">
+            <p class="browse-list-name text-sm text-book-warmLight truncate"></p>
+            <p class="browse-list-meta text-[10px] text-book-warmGray truncate"></p>
+        </div>
+        <span class="sync-badge shrink-0"></span>
+    `;
+    item.querySelector('.browse-list-name').textContent = entry.name || 'Anonymous';
+    item.querySelector('.browse-list-meta').textContent = entry.designation ? `${entry.designation} · ${dateStr}` : dateStr;
+    setBrowseListItemActive(item, index === browseCurrentIndex);
+    setSyncBadge(item.querySelector('.sync-badge'), entry);
+
+    if (entry.hasPhoto) {
+        loadThumbnail(entry).then(thumbnail => {
+            if (thumbnail && item.isConnected) {
+                item.querySelector('.browse-list-avatar').innerHTML = `<img src="${mediaURL(thumbnail, 'browse')}" alt="" class="w-full h-full object-cover">`;
             }
-            navigateBrowseToIndex(index);
         });
+    }
 
-        list.appendChild(item);
+    // Checkbox change handler
+    const checkbox = item.querySelector('.browse-delete-checkbox input');
+    checkbox.addEventListener('change', () => {
+        setBrowseEntrySelected(entry.id, checkbox.checked);
+    });
+
+    item.addEventListener('click', (e) => {
+        if (browseDeleteMode) {
+            if (e.target !== checkbox) {
+                checkbox.checked = !checkbox.checked;
+                setBrowseEntrySelected(entry.id, checkbox.checked);
+            }
+            return;
+        }
+        navigateBrowseToIndex(index);
     });
+
+    return item;
+}
+
+/**
+ * Style a browse list row as active or not
+ */
+function setBrowseListItemActive(item, active) {
+    const avatar = item.querySelector('.browse-list-avatar');
+    item.classList.toggle('bg-book-goldLight/20', active);
+    avatar.classList.toggle('border-book-goldLight', active);
+    avatar.classList.toggle('border-transparent', !active);
 }
 
 /**
  * Highlight the active entry in the browse list
  */
 function updateBrowseListActive() {
-    const items = document.querySelectorAll('.browse-list-item');
-    items.forEach((item, i) => {
-        const img = item.querySelector('img');
-        if (i === browseCurrentIndex) {
-            item.classList.add('bg-book-goldLight/20');
-            img.classList.add('border-book-goldLight');
-            img.classList.remove('border-transparent');
-        } else {
-            item.classList.remove('bg-book-goldLight/20');
-            img.classList.remove('border-book-goldLight');
-            img.classList.add('border-transparent');
-        }
+    document.querySelectorAll('.browse-list-item').forEach(item => {
+        setBrowseListItemActive(item, Number(item.dataset.index) === browseCurrentIndex);
     });
 
-    // Scroll active item into view
-    const activeItem = items[browseCurrentIndex];
-    if (activeItem) {
-        activeItem.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    // Scroll the active row into view (rows around it render on scroll)
+    const list = document.getElementById('browse-visitor-list');
+    const top = browseCurrentIndex * BROWSE_ROW_HEIGHT;
+    if (top < list.scrollTop) {
+        list.scrollTo({ top, behavior: 'smooth' });
+    } else if (top + BROWSE_ROW_HEIGHT > list.scrollTop + list.clientHeight) {
+        list.scrollTo({ top: top + BROWSE_ROW_HEIGHT - list.clientHeight, behavior: 'smooth' });
     }
 }
 
@@ -795,6 +1486,8 @@ function updateBrowseListActive() {
 function navigateBrowseToIndex(index) {
     if (browseIsAnimating || index === browseCurrentIndex || index < 0 || index >= browseEntries.length) return;
 
+    stopBrowseReplay();
+
     const direction = index > browseCurrentIndex ? 'next' : 'prev';
     browseCurrentIndex = index;
     browseIsAnimating = true;
@@ -818,13 +1511,15 @@ function navigateBrowseToIndex(index) {
 
     updatePageIndicator();
     updateNavButtons();
+    updateReplayControls();
     updateBrowseListActive();
+    preloadBrowseMedia();
 
     const onDone = () => {
         newSlide.removeEventListener('transitionend', onDone);
         clearTimeout(safetyTimeout);
         if (currentSlide && currentSlide.parentNode) {
-            currentSlide.parentNode.removeChild(currentSlide);
+            removeBrowseSlide(currentSlide);
         }
         browseIsAnimating = false;
     };
@@ -884,13 +1579,21 @@ function navigateBrowse(direction) {
     const currentSlide = feedbackArea.querySelector('.browse-slide-current');
 
     if (direction === 'next') {
-        if (browseCurrentIndex >= browseEntries.length - 1) return;
+        if (browseCurrentIndex >= browseTotal - 1) return;
+        if (browseCurrentIndex + 1 >= browseEntries.length) {
+            loadBrowseEntriesUpTo(browseCurrentIndex + 1).then(loaded => {
+                if (loaded) navigateBrowse(direction);
+            });
+            return;
+        }
         browseCurrentIndex++;
     } else {
         if (browseCurrentIndex <= 0) return;
         browseCurrentIndex--;
     }
 
+    stopBrowseReplay();
+
     browseIsAnimating = true;
     const entry = browseEntries[browseCurrentIndex];
 
@@ -913,14 +1616,16 @@ function navigateBrowse(direction) {
     // Update controls and list highlight immediately
     updatePageIndicator();
     updateNavButtons();
+    updateReplayControls();
     updateBrowseListActive();
+    preloadBrowseMedia();
 
     // Clean up after animation
     const onDone = () => {
         newSlide.removeEventListener('transitionend', onDone);
         clearTimeout(safetyTimeout);
         if (currentSlide && currentSlide.parentNode) {
-            currentSlide.parentNode.removeChild(currentSlide);
+            removeBrowseSlide(currentSlide);
         }
         browseIsAnimating = false;
     };
@@ -934,10 +1639,10 @@ function navigateBrowse(direction) {
  */
 function updatePageIndicator() {
     const indicator = document.getElementById('page-indicator');
-    if (browseEntries.length === 0) {
+    if (browseTotal === 0) {
         indicator.textContent = '0 / 0';
     } else {
-        indicator.textContent = `${browseCurrentIndex + 1} / ${browseEntries.length}`;
+        indicator.textContent = `${browseCurrentIndex + 1} / ${browseTotal}`;
     }
 }
 
@@ -946,283 +1651,2480 @@ function updatePageIndicator() {
  */
 function updateNavButtons() {
     document.getElementById('btn-prev-page').disabled = browseCurrentIndex <= 0;
-    document.getElementById('btn-next-page').disabled = browseCurrentIndex >= browseEntries.length - 1;
+    document.getElementById('btn-next-page').disabled = browseCurrentIndex >= browseTotal - 1;
 }
 
-// ============ EXPORT ============
+// ============ BROWSE SEARCH ============
 
 /**
- * Export all entries as a JSON file download
+ * Set up the browse search box and filter chips
  */
-async function handleExportJSON() {
-    try {
-        const entries = await getAllEntries();
-
-        if (entries.length === 0) {
-            alert('No entries to export');
-            return;
-        }
+function setupBrowseFilters() {
+    document.getElementById('browse-search').addEventListener('input', (e) => {
+        clearTimeout(browseSearchTimer);
+        browseSearchTimer = setTimeout(() => {
+            browseFilters.text = e.target.value.trim();
+            loadBrowseScreen();
+        }, BROWSE_SEARCH_DELAY_MS);
+    });
 
-        const exportData = entries.map(entry => ({
-            id: entry.id,
-            name: entry.name || '',
-            designation: entry.designation || '',
-            timestamp: entry.timestamp,
-            photo: entry.photo || null,
-            signature: entry.signature || null
-        }));
-
-        const json = JSON.stringify(exportData, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `visitorbook-export-${new Date().toISOString().slice(0, 10)}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-    } catch (error) {
-        console.error('Error exporting entries:', error);
-        alert('Failed to export entries');
-    }
+    document.querySelectorAll('.browse-filter-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            const { filter, value } = chip.dataset;
+            // Chips in a group are exclusive; tapping the active one clears it
+            browseFilters[filter] = browseFilters[filter] === value ? null : value;
+            updateBrowseFilterChips();
+            loadBrowseScreen();
+        });
+    });
 }
 
 /**
- * Toggle delete mode on/off in the browse screen
+ * Clear the search and filters (when the browse screen is opened)
  */
-function toggleDeleteMode() {
-    browseDeleteMode = !browseDeleteMode;
+function resetBrowseFilters() {
+    clearTimeout(browseSearchTimer);
+    browseFilters = { text: '', date: null, photo: null };
+    document.getElementById('browse-search').value = '';
+    updateBrowseFilterChips();
+}
 
-    const deleteBtn = document.getElementById('btn-delete-all');
-    const deleteActions = document.getElementById('delete-actions');
-    const checkboxes = document.querySelectorAll('.browse-delete-checkbox');
+function updateBrowseFilterChips() {
+    document.querySelectorAll('.browse-filter-chip').forEach(chip => {
+        chip.classList.toggle('active', browseFilters[chip.dataset.filter] === chip.dataset.value);
+    });
+}
+
+function isBrowseFiltered() {
+    return Boolean(browseFilters.text || browseFilters.date || browseFilters.photo);
+}
+
+/**
+ * queryEntries() options for the current search and filters
+ * @returns {Object}
+ */
+function browseQuery() {
+    const query = {};
+
+    if (browseFilters.text) {
+        query.text = browseFilters.text;
+    }
+
+    if (browseFilters.date) {
+        const from = new Date();
+        from.setHours(0, 0, 0, 0);
+        from.setDate(from.getDate() - BROWSE_DATE_RANGES[browseFilters.date]);
+        query.from = from.toISOString();
+    }
+
+    if (browseFilters.photo) {
+        query.hasPhoto = browseFilters.photo === 'with';
+    }
+
+    return query;
+}
+
+// ============ HANDWRITING REPLAY ============
+
+/**
+ * Show replay controls only for entries that have stroke data
+ */
+function updateReplayControls() {
+    const controls = document.getElementById('browse-replay-controls');
+    const entry = browseEntries[browseCurrentIndex];
+    const canReplay = Boolean(entry) && entry.hasInk;
+
+    controls.classList.toggle('hidden', !canReplay);
+    controls.classList.toggle('flex', canReplay);
+    updateReplayButton(false);
+}
+
+/**
+ * Update the play/pause button
+ * @param {boolean} playing
+ */
+function updateReplayButton(playing) {
+    document.getElementById('replay-icon-play').classList.toggle('hidden', playing);
+    document.getElementById('replay-icon-pause').classList.toggle('hidden', !playing);
+    document.getElementById('replay-label').textContent = playing ? 'Pause' : 'Replay';
+}
+
+/**
+ * Start, pause or resume the handwriting replay for the current entry
+ */
+async function toggleBrowseReplay() {
+    if (browseReplay) {
+        browseReplay.player.toggle();
+        return;
+    }
+
+    const entry = browseEntries[browseCurrentIndex];
+    const slide = document.querySelector('#browse-feedback-area .browse-slide-current');
+    if (!entry || !entry.hasInk || !slide || browseIsAnimating) return;
+
+    const { ink } = await loadBrowseMedia(entry);
+
+    // Skip if the slide changed while the strokes loaded
+    if (browseReplay || isInkEmpty(ink) || !slide.classList.contains('browse-slide-current')) return;
+
+    const image = slide.querySelector('img');
+    const canvas = document.createElement('canvas');
+    canvas.className = 'browse-replay-canvas';
+    slide.appendChild(canvas);
+
+    const player = createInkPlayer(canvas, ink, {
+        onStateChange: ({ playing }) => updateReplayButton(playing),
+        skipPauses: browseReplaySkipPauses
+    });
+    player.setSpeed(browseReplaySpeed);
+
+    browseReplay = { player, canvas, image };
+    layoutBrowseReplay();
+
+    // The canvas re-draws the page from blank over the static image
+    image.style.visibility = 'hidden';
+    player.play();
+}
+
+/**
+ * Place the replay canvas exactly over the slide image
+ */
+function layoutBrowseReplay() {
+    if (!browseReplay) return;
+
+    const { player, canvas, image } = browseReplay;
+    canvas.style.left = `${image.offsetLeft}px`;
+    canvas.style.top = `${image.offsetTop}px`;
+    player.resize(image.offsetWidth, image.offsetHeight);
+}
+
+/**
+ * Step through the available playback speeds
+ */
+function cycleBrowseReplaySpeed() {
+    const next = (REPLAY_SPEEDS.indexOf(browseReplaySpeed) + 1) % REPLAY_SPEEDS.length;
+    browseReplaySpeed = REPLAY_SPEEDS[next];
+    document.getElementById('btn-replay-speed').textContent = `${browseReplaySpeed}×`;
+
+    if (browseReplay) {
+        browseReplay.player.setSpeed(browseReplaySpeed);
+    }
+}
+
+/**
+ * Switch the replay between the pauses as written and shortened pauses
+ */
+function toggleBrowseReplayPauses() {
+    browseReplaySkipPauses = !browseReplaySkipPauses;
+    const button = document.getElementById('btn-replay-pauses');
+    button.textContent = browseReplaySkipPauses ? 'Short pauses' : 'Real pauses';
+    button.title = browseReplaySkipPauses
+        ? `Pauses between strokes are shortened to ${REPLAY_PAUSE_LIMIT_MS / 1000} s`
+        : 'Pauses between strokes are replayed as written';
+
+    if (browseReplay) {
+        browseReplay.player.setSkipPauses(browseReplaySkipPauses);
+    }
+}
+
+/**
+ * Stop any running replay and restore the static image
+ */
+function stopBrowseReplay() {
+    if (!browseReplay) return;
+
+    const { player, canvas, image } = browseReplay;
+    player.destroy();
+    canvas.remove();
+    image.style.visibility = '';
+    browseReplay = null;
+    updateReplayButton(false);
+}
+
+// ============ EDIT ENTRY ============
+
+// Entry open in the edit dialog; photo stays undefined unless it is changed
+let entryEdit = null;
+
+/**
+ * Open the edit dialog for the current browse entry (requires an admin session)
+ */
+async function handleEditEntry() {
+    const entry = browseEntries[browseCurrentIndex];
+    if (!entry || !(await requireAdmin())) return;
+
+    try {
+        const media = await getEntryMedia(entry.id);
+        entryEdit = { entry, index: browseCurrentIndex, photo: undefined };
+
+        document.getElementById('entry-edit-name').value = entry.name || '';
+        document.getElementById('entry-edit-designation').value = entry.designation || '';
+        updateEntryEditPhoto(media ? media.photo : null);
+        renderEntryHistory(entry.history || []);
+
+        document.getElementById('entry-modal').classList.remove('hidden');
+        document.getElementById('entry-edit-name').focus();
+    } catch (error) {
+        console.error('Error loading entry:', error);
+        alert('Failed to load entry');
+    }
+}
+
+/**
+ * Show the photo the entry will be saved with
+ * @param {Blob|string|null} photo
+ */
+function updateEntryEditPhoto(photo) {
+    const image = document.getElementById('entry-edit-photo');
+
+    revokeMediaURLs('entry-edit');
+    image.src = photo ? mediaURL(photo, 'entry-edit') : '';
+    image.classList.toggle('hidden', !photo);
+    document.getElementById('entry-edit-photo-placeholder').classList.toggle('hidden', Boolean(photo));
+    document.getElementById('btn-entry-remove-photo').classList.toggle('hidden', !photo);
+}
+
+/**
+ * List earlier corrections, newest first
+ * @param {Array} history - From updateEntry()
+ */
+function renderEntryHistory(history) {
+    const list = document.getElementById('entry-edit-history');
+    list.innerHTML = '';
+    document.getElementById('entry-edit-history-section').classList.toggle('hidden', history.length === 0);
+
+    [...history].reverse().forEach(({ at, changes }) => {
+        const date = new Date(at).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const item = document.createElement('li');
+        item.textContent = `${date}: ${describeEntryChanges(changes)}`;
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Describe one history record for people
+ */
+function describeEntryChanges(changes) {
+    return Object.entries(changes)
+        .map(([field, change]) => (field === 'photo'
+            ? `photo ${change}`
+            : `${field} "${change.from}" → "${change.to}"`))
+        .join(', ');
+}
+
+/**
+ * Handle a replacement photo for the entry being edited
+ */
+async function handleEntryPhotoSelect(event) {
+    const file = event.target.files[0];
+    if (!file || !entryEdit) return;
+
+    // Reset input
+    event.target.value = '';
+
+    try {
+        const cropped = await cropPhoto(file);
+        if (!cropped || !entryEdit) return;
+
+        entryEdit.photo = await resizePhoto(cropped);
+        updateEntryEditPhoto(entryEdit.photo);
+    } catch (error) {
+        console.error('Error reading photo:', error);
+        alert('Failed to load photo');
+    }
+}
+
+function handleEntryPhotoRemove() {
+    if (!entryEdit) return;
+    entryEdit.photo = null;
+    updateEntryEditPhoto(null);
+}
+
+/**
+ * Save the edit dialog
+ */
+async function handleSaveEntryEdit(e) {
+    e.preventDefault();
+    if (!entryEdit || !(await requireAdmin())) return;
+
+    const saveBtn = document.getElementById('btn-entry-save');
+    saveBtn.disabled = true;
+
+    try {
+        const changes = {
+            name: document.getElementById('entry-edit-name').value.trim(),
+            designation: document.getElementById('entry-edit-designation').value.trim()
+        };
+        if (entryEdit.photo !== undefined) {
+            changes.photo = entryEdit.photo;
+            changes.thumbnail = entryEdit.photo ? await createThumbnail(entryEdit.photo) : null;
+        }
+
+        const updated = await updateEntry(entryEdit.entry.id, changes);
+        requestSync(updated.id);
+        refreshBrowseEntry(entryEdit.index, updated);
+        closeEntryEditor();
+    } catch (error) {
+        console.error('Error updating entry:', error);
+        alert('Failed to save changes');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+/**
+ * Close the edit dialog without saving
+ */
+function closeEntryEditor() {
+    document.getElementById('entry-modal').classList.add('hidden');
+    revokeMediaURLs('entry-edit');
+    entryEdit = null;
+}
+
+/**
+ * Show an edited entry in the browse list without reloading the list
+ * @param {number} index - Position in browseEntries
+ * @param {Object} entry - Updated entry
+ */
+function refreshBrowseEntry(index, entry) {
+    if (!browseEntries[index] || browseEntries[index].id !== entry.id) return;
+
+    browseEntries[index] = entry;
+    thumbnailLoads.delete(entry.id);
+
+    const row = document.querySelector(`.browse-list-item[data-index="${index}"]`);
+    if (row) row.remove();
+    renderBrowseList();
+}
+
+// ============ EXPORT ============
+
+// Builders for each export menu option
+const EXPORT_FORMATS = {
+    json: { build: buildJSONExport, extension: 'json' },
+    csv: { build: buildCSVExport, extension: 'csv' },
+    zip: { build: buildZipExport, extension: 'zip' },
+    pdf: { build: buildPDFExport, extension: 'pdf' }
+};
+
+/**
+ * Set up the export button and its format menu
+ */
+function setupExportMenu() {
+    const button = document.getElementById('btn-export');
+    const menu = document.getElementById('export-menu');
+
+    button.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        if (!menu.classList.contains('hidden')) {
+            setExportMenuOpen(false);
+            return;
+        }
+        if (await requireAdmin()) {
+            setExportMenuOpen(true);
+        }
+    });
+
+    menu.querySelectorAll('.export-option').forEach(option => {
+        option.addEventListener('click', () => {
+            setExportMenuOpen(false);
+            if (option.dataset.format === 'transfer') {
+                startTransferSelection();
+            } else {
+                handleExport(option.dataset.format);
+            }
+        });
+    });
+
+    // Close when tapping anywhere else
+    document.addEventListener('click', (e) => {
+        if (!menu.contains(e.target)) {
+            setExportMenuOpen(false);
+        }
+    });
+}
+
+/**
+ * Show or hide the export format menu
+ * @param {boolean} open
+ */
+function setExportMenuOpen(open) {
+    document.getElementById('export-menu').classList.toggle('hidden', !open);
+    document.getElementById('btn-export').setAttribute('aria-expanded', String(open));
+}
+
+/**
+ * Export all entries in the chosen format as a file download
+ * @param {string} format - 'json' | 'csv' | 'zip' | 'pdf'
+ */
+async function handleExport(format) {
+    const button = document.getElementById('btn-export');
+    const label = document.getElementById('export-label');
+    const { build, extension } = EXPORT_FORMATS[format];
+
+    button.disabled = true;
+    label.textContent = 'Exporting...';
+
+    try {
+        const total = await getEntryCount();
+
+        if (total === 0) {
+            alert('No entries to export');
+            return;
+        }
+
+        const event = await getEvent(await getActiveEventId());
+        const visitors = await getAllVisitors();
+        const blob = await build(iterateEntries({ limit: BROWSE_PAGE_SIZE }), {
+            event,
+            visitors,
+            total,
+            onProgress: (done, total) => {
+                label.textContent = `Exporting ${done}/${total}`;
+            }
+        });
+        downloadBlob(blob, exportFileName(extension, event));
+    } catch (error) {
+        console.error('Error exporting entries:', error);
+        alert('Failed to export entries');
+    } finally {
+        button.disabled = false;
+        label.textContent = 'Export';
+    }
+}
+
+/**
+ * Toggle delete mode on/off in the browse screen
+ */
+function toggleDeleteMode() {
+    browseDeleteMode = !browseDeleteMode;
+
+    const deleteBtn = document.getElementById('btn-delete-all');
+    const deleteActions = document.getElementById('delete-actions');
+    const checkboxes = document.querySelectorAll('.browse-delete-checkbox');
+
+    if (browseDeleteMode) {
+        deleteBtn.classList.add('hidden');
+        deleteActions.classList.remove('hidden');
+        checkboxes.forEach(cb => cb.classList.remove('hidden'));
+    } else {
+        deleteBtn.classList.remove('hidden');
+        deleteActions.classList.add('hidden');
+        checkboxes.forEach(cb => {
+            cb.classList.add('hidden');
+            cb.querySelector('input').checked = false;
+        });
+        browseSelectedIds.clear();
+        updateDeleteSelectedCount();
+    }
+}
+
+/**
+ * Mark an entry as selected for deletion (kept outside the DOM because
+ * list rows are re-created while scrolling)
+ * @param {number} id - Entry ID
+ * @param {boolean} selected
+ */
+function setBrowseEntrySelected(id, selected) {
+    if (selected) {
+        browseSelectedIds.add(id);
+    } else {
+        browseSelectedIds.delete(id);
+    }
+    updateDeleteSelectedCount();
+}
+
+/**
+ * Update the "Delete Selected" button text with count
+ */
+function updateDeleteSelectedCount() {
+    const count = browseSelectedIds.size;
+    const btn = document.getElementById('btn-delete-selected');
+    btn.textContent = count > 0 ? `Delete Selected (${count})` : 'Delete Selected';
+    btn.disabled = count === 0;
+
+    const transferBtn = document.getElementById('btn-transfer-selected');
+    transferBtn.textContent = count > 0 ? `Transfer Selected (${count})` : 'Transfer Selected';
+    transferBtn.disabled = count === 0;
+}
+
+/**
+ * Delete selected entries (requires an admin session)
+ */
+async function handleDeleteSelected() {
+    const selectedIds = Array.from(browseSelectedIds);
+
+    if (selectedIds.length === 0) {
+        alert('No entries selected');
+        return;
+    }
+
+    if (!(await requireAdmin())) {
+        return;
+    }
+
+    const confirmDelete = confirm(`Are you sure you want to delete ${selectedIds.length} selected ${selectedIds.length === 1 ? 'entry' : 'entries'}? They can be restored from the trash on the admin screen.`);
+
+    if (!confirmDelete) {
+        return;
+    }
+
+    try {
+        for (const id of selectedIds) {
+            await deleteEntry(id);
+        }
+        alert(`${selectedIds.length} ${selectedIds.length === 1 ? 'entry' : 'entries'} deleted successfully`);
+
+        browseDeleteMode = false;
+        loadBrowseScreen();
+    } catch (error) {
+        console.error('Error deleting entries:', error);
+        alert('Failed to delete entries');
+    }
+}
+
+// ============ ADMIN PIN ============
+
+/**
+ * Show the PIN dialog
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} options.message
+ * @param {Array<{name: string, placeholder: string}>} options.fields
+ * @param {Function} options.onSubmit - Receives { [name]: value }, resolves
+ *                                      an error message or null when done
+ * @param {boolean} [options.cancellable=true]
+ * @returns {Promise<boolean>} - true when submitted successfully
+ */
+function showPinDialog({ title, message, fields, onSubmit, cancellable = true }) {
+    const modal = document.getElementById('pin-modal');
+    const form = document.getElementById('pin-form');
+    const fieldContainer = document.getElementById('pin-fields');
+    const error = document.getElementById('pin-error');
+    const submitBtn = document.getElementById('btn-pin-submit');
+    const cancelBtn = document.getElementById('btn-pin-cancel');
+
+    document.getElementById('pin-title').textContent = title;
+    document.getElementById('pin-message').textContent = message;
+    error.classList.add('hidden');
+    cancelBtn.classList.toggle('hidden', !cancellable);
+
+    fieldContainer.innerHTML = '';
+    const inputs = fields.map(field => {
+        const input = document.createElement('input');
+        input.type = 'password';
+        input.inputMode = 'numeric';
+        input.autocomplete = 'off';
+        input.maxLength = PIN_MAX_LENGTH;
+        input.name = field.name;
+        input.placeholder = field.placeholder;
+        input.className = 'w-full bg-slate-800/50 border border-slate-700 rounded-lg px-4 py-3 text-center tracking-wider placeholder-slate-500 focus:outline-none focus:border-indigo-500';
+        fieldContainer.appendChild(input);
+        return input;
+    });
+
+    modal.classList.remove('hidden');
+    inputs[0].focus();
+
+    return new Promise((resolve) => {
+        const close = (result) => {
+            form.removeEventListener('submit', handleSubmitPin);
+            cancelBtn.removeEventListener('click', handleCancel);
+            modal.classList.add('hidden');
+            fieldContainer.innerHTML = '';
+            resolve(result);
+        };
+
+        const handleCancel = () => close(false);
+
+        async function handleSubmitPin(e) {
+            e.preventDefault();
+            const values = Object.fromEntries(inputs.map(input => [input.name, input.value]));
+
+            submitBtn.disabled = true;
+            try {
+                const problem = await onSubmit(values);
+                if (!problem) {
+                    close(true);
+                    return;
+                }
+                error.textContent = problem;
+            } catch (err) {
+                console.error('Error checking PIN:', err);
+                error.textContent = 'Something went wrong. Please try again.';
+            } finally {
+                submitBtn.disabled = false;
+            }
+
+            error.classList.remove('hidden');
+            inputs.forEach(input => { input.value = ''; });
+            inputs[0].focus();
+        }
+
+        form.addEventListener('submit', handleSubmitPin);
+        cancelBtn.addEventListener('click', handleCancel);
+    });
+}
+
+/**
+ * Format a lockout duration for people
+ */
+function formatLockout(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    return seconds < 60 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+}
+
+/**
+ * Check a new PIN and its confirmation
+ * @returns {string|null} - Error message, or null if valid
+ */
+function checkNewPin(pin, confirmPin) {
+    return validatePinFormat(pin) || (pin !== confirmPin ? 'The PINs do not match' : null);
+}
+
+/**
+ * Ask for a new admin PIN (first run)
+ * @param {boolean} [cancellable=true]
+ * @returns {Promise<boolean>}
+ */
+function promptSetupPin(cancellable = true) {
+    return showPinDialog({
+        title: 'Set Admin PIN',
+        message: 'Choose a PIN for the admin, delete and export screens.',
+        fields: [
+            { name: 'pin', placeholder: 'New PIN' },
+            { name: 'confirm', placeholder: 'Confirm PIN' }
+        ],
+        cancellable,
+        onSubmit: async ({ pin, confirm }) => {
+            const problem = checkNewPin(pin, confirm);
+            if (problem) return problem;
+            await setPin(pin);
+            return null;
+        }
+    });
+}
+
+/**
+ * Make sure an admin session is active, asking for the PIN if needed
+ * @returns {Promise<boolean>} - true if the admin action may proceed
+ */
+async function requireAdmin() {
+    if (isUnlocked()) return true;
+    if (!(await hasPin())) return promptSetupPin();
+
+    return showPinDialog({
+        title: 'Admin PIN',
+        message: 'Enter the admin PIN to continue.',
+        fields: [{ name: 'pin', placeholder: 'PIN' }],
+        onSubmit: async ({ pin }) => {
+            const result = await verifyPin(pin);
+            if (result.ok) return null;
+            if (result.lockedFor > 0) {
+                return `Too many attempts. Try again in ${formatLockout(result.lockedFor)}.`;
+            }
+            return `Incorrect PIN. ${result.attemptsLeft} ${result.attemptsLeft === 1 ? 'attempt' : 'attempts'} left.`;
+        }
+    });
+}
+
+/**
+ * Change the admin PIN
+ */
+async function handleChangePin() {
+    const changed = await showPinDialog({
+        title: 'Change Admin PIN',
+        message: 'Enter the current PIN, then the new one.',
+        fields: [
+            { name: 'current', placeholder: 'Current PIN' },
+            { name: 'pin', placeholder: 'New PIN' },
+            { name: 'confirm', placeholder: 'Confirm new PIN' }
+        ],
+        onSubmit: async ({ current, pin, confirm }) => {
+            const problem = checkNewPin(pin, confirm);
+            if (problem) return problem;
+
+            const result = await verifyPin(current);
+            if (result.lockedFor > 0) {
+                return `Too many attempts. Try again in ${formatLockout(result.lockedFor)}.`;
+            }
+            if (!result.ok) return 'The current PIN is incorrect';
+
+            await setPin(pin);
+            return null;
+        }
+    });
+
+    if (changed) {
+        alert('Admin PIN changed');
+    }
+}
+
+/**
+ * Leave admin-only views when the admin session ends
+ */
+function handleAdminLock() {
+    setExportMenuOpen(false);
+    closeCropEditor();
+    closeEntryEditor();
+    closeVisitorEditor();
+    closeTrash();
+    closeSnapshots();
+    closeTransfer();
+    closeScan();
+    resetImportPanel();
+    resetGuestListPanel();
+    resetEventForm();
+    setAdminSelectMode(false);
+
+    if (browseDeleteMode) {
+        toggleDeleteMode();
+    }
+
+    if (screens.admin.classList.contains('active')) {
+        resetAdminForm();
+        showScreen('home');
+    }
+
+    updateKioskUI();
+}
+
+// ============ KIOSK MODE ============
+
+/**
+ * Apply the kiosk setting and start watching for idle guests
+ * @param {boolean} enabled
+ */
+function setupKioskMode(enabled) {
+    kioskMode = enabled;
+    updateKioskUI();
+
+    ['pointerdown', 'keydown', 'input'].forEach(type => {
+        document.addEventListener(type, resetKioskIdleTimer, { capture: true, passive: true });
+    });
+
+    // Swallow the back button / back gesture
+    window.addEventListener('popstate', () => {
+        if (kioskMode) {
+            history.pushState(null, '', location.href);
+        }
+    });
+    if (kioskMode) {
+        history.pushState(null, '', location.href);
+    }
+
+    // Ask before reloading or closing the app
+    window.addEventListener('beforeunload', (e) => {
+        if (kioskMode && !isUnlocked()) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    });
+
+    // No long-press menus (save image, open link, ...)
+    document.addEventListener('contextmenu', (e) => {
+        if (kioskMode && !isUnlocked()) {
+            e.preventDefault();
+        }
+    });
+}
+
+/**
+ * Hide browse and admin entry points from guests
+ */
+function updateKioskUI() {
+    const restricted = kioskMode && !isUnlocked();
+    document.getElementById('btn-browse-feedback').classList.toggle('hidden', restricted);
+    document.getElementById('btn-admin').classList.toggle('hidden', restricted);
+}
+
+/**
+ * Restart the inactivity countdown (kiosk mode only)
+ */
+function resetKioskIdleTimer() {
+    clearTimeout(kioskIdleTimer);
+    kioskIdleTimer = null;
+
+    if (kioskMode) {
+        kioskIdleTimer = setTimeout(handleKioskIdle, KIOSK_IDLE_TIMEOUT_MS);
+    }
+}
+
+/**
+ * Send an idle kiosk back to the home screen, discarding any unfinished entry
+ */
+function handleKioskIdle() {
+    if (currentScreen === 'home' || currentScreen === 'splash') return;
+
+    stopBrowseReplay();
+    resetPhotoSelection();
+    clearCanvas();
+    lock();
+    showScreen('home');
+}
+
+/**
+ * Hidden way back in for staff: hold the top-left corner of the home
+ * screen, then enter the admin PIN
+ */
+function setupKioskHotspot() {
+    const hotspot = document.getElementById('kiosk-hotspot');
+    let holdTimer = null;
+
+    const cancel = () => {
+        clearTimeout(holdTimer);
+        holdTimer = null;
+    };
+
+    hotspot.addEventListener('pointerdown', () => {
+        cancel();
+        holdTimer = setTimeout(async () => {
+            holdTimer = null;
+            if (await requireAdmin()) {
+                updateKioskUI();
+            }
+        }, KIOSK_HOTSPOT_HOLD_MS);
+    });
+    hotspot.addEventListener('pointerup', cancel);
+    hotspot.addEventListener('pointerleave', cancel);
+    hotspot.addEventListener('pointercancel', cancel);
+}
+
+/**
+ * Turn kiosk mode on or off from the admin screen
+ */
+async function handleKioskModeChange(event) {
+    kioskMode = event.target.checked;
+
+    if (kioskMode) {
+        history.pushState(null, '', location.href);
+        if (document.documentElement.requestFullscreen && !document.fullscreenElement) {
+            document.documentElement.requestFullscreen().catch(error => {
+                console.warn('Fullscreen not available:', error);
+            });
+        }
+    } else if (document.fullscreenElement) {
+        document.exitFullscreen().catch(error => {
+            console.warn('Could not leave fullscreen:', error);
+        });
+    }
+
+    resetKioskIdleTimer();
+    updateKioskUI();
+
+    try {
+        await setSetting('kioskMode', kioskMode);
+    } catch (error) {
+        console.error('Error saving kiosk mode:', error);
+        alert('Failed to save setting');
+    }
+}
+
+// ============ EVENTS ============
+
+/**
+ * Show the active event's name, details and cover on the home screen
+ */
+async function updateHomeEvent() {
+    try {
+        const event = await getEvent(await getActiveEventId());
+
+        document.getElementById('home-event-name').textContent = event.name;
+        document.getElementById('home-event-details').textContent = [formatEventDate(event.date), event.venue]
+            .filter(Boolean)
+            .join(' · ');
+
+        revokeMediaURLs('home');
+        screens.home.style.background = event.cover
+            ? `url('${mediaURL(event.cover, 'home')}') center/cover no-repeat`
+            : DEFAULT_HOME_BACKGROUND;
+    } catch (error) {
+        console.error('Error loading active event:', error);
+    }
+}
+
+/**
+ * Format an event date (YYYY-MM-DD) for display
+ */
+function formatEventDate(date) {
+    if (!date) return '';
+    // Parse as local time - a bare date string would be read as UTC
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+/**
+ * Populate the event switcher in the admin screen
+ */
+async function loadAdminEvents() {
+    const select = document.getElementById('admin-event-select');
+
+    try {
+        const [events, activeId] = await Promise.all([getAllEvents(), getActiveEventId()]);
+
+        select.innerHTML = '';
+        for (const event of events) {
+            const option = document.createElement('option');
+            option.value = event.id;
+            option.textContent = event.date ? `${event.name} (${event.date})` : event.name;
+            option.selected = event.id === activeId;
+            select.appendChild(option);
+        }
+    } catch (error) {
+        console.error('Error loading events:', error);
+    }
+}
+
+/**
+ * Make the selected event the active one
+ */
+async function handleEventSwitch(event) {
+    try {
+        await setActiveEventId(Number(event.target.value));
+        resetEventForm();
+        resetImportPanel();
+        resetGuestListPanel();
+        setAdminSelectMode(false);
+        loadAdminVisitors();
+        updateHomeEvent();
+    } catch (error) {
+        console.error('Error switching event:', error);
+        alert('Failed to switch event');
+    }
+}
+
+/**
+ * Open the event form
+ * @param {Object|null} event - Event to edit, or null for a new one
+ */
+function showEventForm(event) {
+    editingEventId = event ? event.id : null;
+    adminEventCover = event ? event.cover : null;
+
+    document.getElementById('admin-event-name').value = event ? event.name : '';
+    document.getElementById('admin-event-date').value = event ? event.date : new Date().toISOString().slice(0, 10);
+    document.getElementById('admin-event-venue').value = event ? event.venue : '';
+    updateEventCoverPreview();
+
+    document.getElementById('admin-event-form').classList.remove('hidden');
+    document.getElementById('admin-event-name').focus();
+}
+
+function updateEventCoverPreview() {
+    const preview = document.getElementById('admin-event-cover-preview');
+    revokeMediaURLs('event-cover');
+    preview.src = mediaURL(adminEventCover, 'event-cover') || '';
+    preview.classList.toggle('hidden', !adminEventCover);
+}
+
+/**
+ * Handle cover image selection
+ */
+async function handleEventCoverSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    event.target.value = '';
+
+    try {
+        adminEventCover = await resizeImage(file, 1920);
+        updateEventCoverPreview();
+    } catch (error) {
+        console.error('Error reading cover image:', error);
+        alert('Failed to load image');
+    }
+}
+
+/**
+ * Create or update the event from the form. New events become active.
+ */
+async function handleSaveEvent() {
+    const name = document.getElementById('admin-event-name').value.trim();
+    if (!name) {
+        alert('Please enter an event name');
+        return;
+    }
+
+    const details = {
+        name,
+        date: document.getElementById('admin-event-date').value,
+        venue: document.getElementById('admin-event-venue').value.trim(),
+        cover: adminEventCover
+    };
+
+    try {
+        if (editingEventId !== null) {
+            await updateEvent(editingEventId, details);
+        } else {
+            await setActiveEventId(await addEvent(details));
+            loadAdminVisitors();
+        }
+
+        resetEventForm();
+        loadAdminEvents();
+        updateHomeEvent();
+    } catch (error) {
+        console.error('Error saving event:', error);
+        alert('Failed to save event');
+    }
+}
+
+/**
+ * Close and clear the event form
+ */
+function resetEventForm() {
+    editingEventId = null;
+    adminEventCover = null;
+    revokeMediaURLs('event-cover');
+    document.getElementById('admin-event-form').classList.add('hidden');
+}
+
+// ============ ADMIN SCREEN ============
+
+let adminPhotoBlob = null;
+
+// Visitor selection for bulk delete
+let adminSelectMode = false;
+let adminSelectedIds = new Set();
+let adminVisitorIds = [];
+
+/**
+ * Load visitors in admin screen
+ */
+async function loadAdminVisitors() {
+    const grid = document.getElementById('admin-visitor-grid');
+    const empty = document.getElementById('admin-empty');
+    const toolbar = document.getElementById('admin-visitor-toolbar');
+
+    try {
+        const visitors = await getAllVisitors();
+
+        // Forget selected visitors that no longer exist
+        adminVisitorIds = visitors.map(visitor => visitor.id);
+        adminSelectedIds = new Set(adminVisitorIds.filter(id => adminSelectedIds.has(id)));
+        updateSelectedVisitorCount();
+
+        if (visitors.length === 0) {
+            grid.classList.add('hidden');
+            toolbar.classList.add('hidden');
+            empty.classList.remove('hidden');
+            empty.classList.add('flex');
+            setAdminSelectMode(false);
+            return;
+        }
+
+        grid.classList.remove('hidden');
+        toolbar.classList.remove('hidden');
+        empty.classList.add('hidden');
+        empty.classList.remove('flex');
+        document.getElementById('admin-visitor-count').textContent =
+            `${visitors.length} ${visitors.length === 1 ? 'visitor' : 'visitors'}`;
+
+        grid.innerHTML = '';
+        revokeMediaURLs('admin');
+
+        for (const visitor of visitors) {
+            const card = await createAdminVisitorCard(visitor);
+            grid.appendChild(card);
+        }
+
+    } catch (error) {
+        console.error('Error loading admin visitors:', error);
+    }
+}
+
+/**
+ * Create an admin visitor card
+ */
+async function createAdminVisitorCard(visitor) {
+    const card = document.createElement('div');
+    card.className = 'admin-visitor-card bg-slate-800/30 hover:bg-slate-800/60 rounded-xl p-4 flex flex-col items-center gap-2 relative group cursor-pointer transition-colors';
+    card.dataset.visitorId = visitor.id;
+    card.classList.toggle('selected', adminSelectedIds.has(visitor.id));
+
+    const photoURL = mediaURL(visitor.photo, 'admin');
+    const photoHTML = photoURL
+        ? `<img src="${photoURL}" alt="" class="w-20 h-20 object-cover rounded-full border-2 border-slate-600">`
+        : `<div class="w-20 h-20 rounded-full bg-slate-700 flex items-center justify-center border-2 border-slate-600"><svg class="w-10 h-10 text-slate-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg></div>`;
+
+    card.innerHTML = `
+        <input type="checkbox" class="admin-visitor-checkbox ${adminSelectMode ? '' : 'hidden'} absolute top-2 left-2 w-5 h-5 accent-red-500 pointer-events-none" ${adminSelectedIds.has(visitor.id) ? 'checked' : ''}>
+        <button class="delete-visitor-btn ${adminSelectMode ? 'hidden' : ''} absolute top-2 right-2 p-1 bg-red-500/80 hover:bg-red-500 rounded-full opacity-0 group-hover:opacity-100 transition-opacity" data-visitor-id="${visitor.id}">
+            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+        </button>
+        ${photoHTML}
+        <span class="admin-visitor-name text-sm text-slate-300 text-center"></span>
+        <span class="admin-visitor-designation text-xs text-slate-500 text-center"></span>
+    `;
+
+    // Names come from typed input and guest lists, so never as HTML
+    card.querySelector('.admin-visitor-name').textContent = visitor.name;
+    const designation = card.querySelector('.admin-visitor-designation');
+    designation.textContent = visitor.designation || '';
+    designation.classList.toggle('hidden', !visitor.designation);
+
+    // Add delete handler
+    card.querySelector('.delete-visitor-btn').addEventListener('click', async (e) => {
+        e.stopPropagation();
+        if (confirm(`Delete ${visitor.name}?`)) {
+            await deleteVisitor(visitor.id);
+            loadAdminVisitors();
+        }
+    });
+
+    // Selects the card in select mode, otherwise opens it for editing
+    card.addEventListener('click', () => {
+        if (adminSelectMode) {
+            setAdminVisitorSelected(card, !adminSelectedIds.has(visitor.id));
+        } else {
+            openVisitorEditor(visitor);
+        }
+    });
+
+    return card;
+}
+
+/**
+ * Turn visitor selection on or off
+ * @param {boolean} enabled
+ */
+function setAdminSelectMode(enabled) {
+    adminSelectMode = enabled;
+    if (!enabled) adminSelectedIds.clear();
+
+    document.getElementById('btn-select-visitors').classList.toggle('hidden', enabled);
+    document.getElementById('admin-visitor-select-actions').classList.toggle('hidden', !enabled);
+    document.querySelectorAll('.admin-visitor-card').forEach(card => {
+        card.querySelector('.admin-visitor-checkbox').classList.toggle('hidden', !enabled);
+        card.querySelector('.delete-visitor-btn').classList.toggle('hidden', enabled);
+        if (!enabled) setAdminVisitorSelected(card, false);
+    });
+    updateSelectedVisitorCount();
+}
+
+/**
+ * Mark a visitor card as selected for deletion
+ * @param {HTMLElement} card
+ * @param {boolean} selected
+ */
+function setAdminVisitorSelected(card, selected) {
+    const id = Number(card.dataset.visitorId);
+    if (selected) {
+        adminSelectedIds.add(id);
+    } else {
+        adminSelectedIds.delete(id);
+    }
+
+    card.classList.toggle('selected', selected);
+    card.querySelector('.admin-visitor-checkbox').checked = selected;
+    updateSelectedVisitorCount();
+}
+
+/**
+ * Select every visitor of the event, or none if all are selected
+ */
+function handleSelectAllVisitors() {
+    const select = adminSelectedIds.size < adminVisitorIds.length;
+    document.querySelectorAll('.admin-visitor-card').forEach(card => setAdminVisitorSelected(card, select));
+}
+
+/**
+ * Update the "Delete Selected" button text with count
+ */
+function updateSelectedVisitorCount() {
+    const count = adminSelectedIds.size;
+    const btn = document.getElementById('btn-delete-visitors');
+    btn.textContent = count > 0 ? `Delete Selected (${count})` : 'Delete Selected';
+    btn.disabled = count === 0;
+
+    const allSelected = count > 0 && count === adminVisitorIds.length;
+    document.getElementById('btn-select-all-visitors').textContent = allSelected ? 'Select None' : 'Select All';
+}
+
+/**
+ * Delete the selected visitors (requires an admin session)
+ */
+async function handleDeleteSelectedVisitors() {
+    const selectedIds = Array.from(adminSelectedIds);
+    if (selectedIds.length === 0 || !(await requireAdmin())) return;
+
+    if (!confirm(`Delete ${selectedIds.length} selected ${selectedIds.length === 1 ? 'visitor' : 'visitors'}? They can be restored from the trash.`)) {
+        return;
+    }
+
+    try {
+        await deleteVisitors(selectedIds);
+        setAdminSelectMode(false);
+        loadAdminVisitors();
+    } catch (error) {
+        console.error('Error deleting visitors:', error);
+        alert('Failed to delete visitors');
+    }
+}
+
+// Visitor open in the edit dialog; photo stays undefined unless it is changed
+let visitorEdit = null;
+
+/**
+ * Open the edit dialog for a pre-registered visitor
+ * @param {Object} visitor
+ */
+function openVisitorEditor(visitor) {
+    visitorEdit = { visitor, photo: undefined };
+
+    document.getElementById('visitor-edit-name').value = visitor.name || '';
+    document.getElementById('visitor-edit-designation').value = visitor.designation || '';
+    updateVisitorEditPhoto(visitor.photo);
+
+    document.getElementById('visitor-modal').classList.remove('hidden');
+    document.getElementById('visitor-edit-name').focus();
+}
+
+/**
+ * Show the photo the visitor will be saved with
+ * @param {Blob|string|null} photo
+ */
+function updateVisitorEditPhoto(photo) {
+    const image = document.getElementById('visitor-edit-photo');
+
+    revokeMediaURLs('visitor-edit');
+    image.src = photo ? mediaURL(photo, 'visitor-edit') : '';
+    image.classList.toggle('hidden', !photo);
+    document.getElementById('visitor-edit-photo-placeholder').classList.toggle('hidden', Boolean(photo));
+    document.getElementById('btn-visitor-remove-photo').classList.toggle('hidden', !photo);
+}
+
+/**
+ * Handle a replacement photo for the visitor being edited
+ */
+async function handleVisitorPhotoSelect(event) {
+    const file = event.target.files[0];
+    if (!file || !visitorEdit) return;
+
+    // Reset input
+    event.target.value = '';
+
+    try {
+        const cropped = await cropPhoto(file);
+        if (!cropped || !visitorEdit) return;
+
+        visitorEdit.photo = await resizePhoto(cropped);
+        updateVisitorEditPhoto(visitorEdit.photo);
+    } catch (error) {
+        console.error('Error reading photo:', error);
+        alert('Failed to load photo');
+    }
+}
+
+function handleVisitorPhotoRemove() {
+    if (!visitorEdit) return;
+    visitorEdit.photo = null;
+    updateVisitorEditPhoto(null);
+}
+
+/**
+ * Save the visitor edit dialog
+ */
+async function handleSaveVisitorEdit(e) {
+    e.preventDefault();
+    if (!visitorEdit || !(await requireAdmin())) return;
+
+    const name = document.getElementById('visitor-edit-name').value.trim();
+    if (!name) {
+        alert('Please enter a name');
+        return;
+    }
+
+    const saveBtn = document.getElementById('btn-visitor-save');
+    saveBtn.disabled = true;
+
+    try {
+        const changes = {
+            name,
+            designation: document.getElementById('visitor-edit-designation').value.trim()
+        };
+        if (visitorEdit.photo !== undefined) {
+            changes.photo = visitorEdit.photo;
+        }
+
+        await updateVisitor(visitorEdit.visitor.id, changes);
+        closeVisitorEditor();
+        loadAdminVisitors();
+    } catch (error) {
+        console.error('Error updating visitor:', error);
+        alert('Failed to save changes');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+/**
+ * Close the visitor edit dialog without saving
+ */
+function closeVisitorEditor() {
+    document.getElementById('visitor-modal').classList.add('hidden');
+    revokeMediaURLs('visitor-edit');
+    visitorEdit = null;
+}
+
+/**
+ * Show current settings on the admin screen
+ */
+function loadAdminSettings() {
+    document.getElementById('admin-input-mode').value = getInputMode();
+    document.getElementById('admin-kiosk-mode').checked = kioskMode;
+}
+
+/**
+ * Save and apply the pen input mode
+ */
+async function handleInputModeChange(event) {
+    const mode = event.target.value;
+    setInputMode(mode);
+
+    try {
+        await setSetting('inputMode', mode);
+    } catch (error) {
+        console.error('Error saving input mode:', error);
+        alert('Failed to save setting');
+    }
+}
+
+/**
+ * Show the photo size, format and quality, offering only the formats
+ * this browser can save
+ */
+async function loadAdminPhotoSettings() {
+    try {
+        const settings = await getImageSettings();
+        const formats = await getSupportedFormats();
+
+        const formatSelect = document.getElementById('admin-photo-format');
+        formatSelect.innerHTML = formats
+            .map(format => `<option value="${format}">${IMAGE_FORMATS[format]}</option>`)
+            .join('');
+        formatSelect.value = formats.includes(settings.format) ? settings.format : formats[0];
+
+        document.getElementById('admin-photo-size').value = String(settings.maxSize);
+        document.getElementById('admin-photo-quality').value = String(Math.round(settings.quality * 100));
+        updatePhotoQualityLabel();
+    } catch (error) {
+        console.error('Error loading photo settings:', error);
+    }
+}
+
+function updatePhotoQualityLabel() {
+    document.getElementById('admin-photo-quality-value').textContent = `${document.getElementById('admin-photo-quality').value}%`;
+}
+
+/**
+ * Save the photo size, format or quality (used for new photos)
+ */
+async function handlePhotoSettingChange() {
+    try {
+        await setImageSettings({
+            maxSize: Number(document.getElementById('admin-photo-size').value),
+            format: document.getElementById('admin-photo-format').value,
+            quality: Number(document.getElementById('admin-photo-quality').value) / 100
+        });
+    } catch (error) {
+        console.error('Error saving photo settings:', error);
+        alert(error.message || 'Failed to save setting');
+    }
+}
+
+/**
+ * Handle admin photo selection
+ */
+async function handleAdminPhotoSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Reset input
+    event.target.value = '';
+
+    try {
+        const cropped = await cropPhoto(file);
+        if (!cropped) return;
+
+        adminPhotoBlob = await resizePhoto(cropped);
+
+        document.getElementById('admin-photo-placeholder').classList.add('hidden');
+        const preview = document.getElementById('admin-photo-preview');
+        revokeMediaURLs('admin-photo');
+        preview.src = mediaURL(adminPhotoBlob, 'admin-photo');
+        preview.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error reading photo:', error);
+        alert('Failed to load photo');
+    }
+}
+
+/**
+ * Handle adding a new visitor
+ */
+async function handleAddVisitor() {
+    const nameInput = document.getElementById('admin-name-input');
+    const designationInput = document.getElementById('admin-designation-input');
+    const name = nameInput.value.trim();
+    const designation = designationInput.value.trim();
+
+    if (!name) {
+        alert('Please enter a name');
+        return;
+    }
+
+    try {
+        await addVisitor({
+            photo: adminPhotoBlob,
+            name: name,
+            designation: designation
+        });
+
+        // Reset form and reload
+        resetAdminForm();
+        loadAdminVisitors();
+
+    } catch (error) {
+        console.error('Error adding visitor:', error);
+        alert('Failed to add visitor');
+    }
+}
+
+// ============ GUEST LIST IMPORT ============
+
+// Guest list being reviewed: { file, photos, list, plan }
+let pendingGuestList = null;
+
+/**
+ * Read a guest list and show what importing it would do
+ */
+async function handleGuestListSelect(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    await reviewGuestList(file, new Map());
+}
+
+/**
+ * Match photos from a picked folder or ZIP file to the pending guest list
+ */
+async function handleGuestPhotosSelect(event) {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    if (files.length === 0 || !pendingGuestList) return;
+
+    try {
+        const photos = await readPhotoFiles(files);
+        if (photos.size === 0) {
+            alert('No JPEG, PNG or WebP photos were found');
+            return;
+        }
+        await reviewGuestList(pendingGuestList.file, photos);
+    } catch (error) {
+        console.error('Error reading photos:', error);
+        alert(`Failed to read photos: ${error.message}`);
+    }
+}
+
+/**
+ * Read and plan a guest list, then show the summary
+ * @param {File} file
+ * @param {Map<string, Blob>} photos - From readPhotoFiles()
+ */
+async function reviewGuestList(file, photos) {
+    try {
+        const list = await readGuestList(file, photos);
+        if (list.visitors.length === 0) {
+            alert('The guest list contains no visitors with a name');
+            return;
+        }
+
+        const plan = planGuestList(list.visitors, await getAllVisitors());
+        pendingGuestList = { file, photos, list, plan };
+
+        const withPhotos = list.visitors.filter(visitor => visitor.photo).length;
+        const lines = [
+            `${list.visitors.length} visitors: ${plan.add.length} new, ${plan.update.length} to update, ${plan.unchanged.length} unchanged`,
+            `${withPhotos} with photos (${photos.size} photo files picked)`
+        ];
+        if (list.columns) {
+            lines.push(`Columns: ${list.columns.join(', ')}`);
+        }
+        if (plan.duplicates.length > 0) {
+            lines.push(`${plan.duplicates.length} repeated names will be skipped`);
+        }
+        if (list.invalid > 0) {
+            lines.push(`${list.invalid} rows without a name will be skipped`);
+        }
+        if (list.missingPhotos.length > 0) {
+            lines.push(`${list.missingPhotos.length} photos not found: ${list.missingPhotos.slice(0, 5).join(', ')}${list.missingPhotos.length > 5 ? ', …' : ''}`);
+        }
+
+        const summary = document.getElementById('admin-guest-list-summary');
+        summary.innerHTML = '';
+        lines.forEach(line => {
+            const item = document.createElement('div');
+            item.textContent = line;
+            summary.appendChild(item);
+        });
+        document.getElementById('btn-guest-list-import').disabled = plan.add.length + plan.update.length === 0;
+        document.getElementById('admin-guest-list-panel').classList.remove('hidden');
+    } catch (error) {
+        console.error('Error reading guest list:', error);
+        alert(`Failed to read guest list: ${error.message}`);
+    }
+}
+
+/**
+ * Add and update the visitors of the pending guest list
+ */
+async function handleGuestListImport() {
+    if (!pendingGuestList || !(await requireAdmin())) return;
+
+    const button = document.getElementById('btn-guest-list-import');
+    button.disabled = true;
+
+    // Photos are cropped and stored at the same size as ones added by hand
+    let unreadable = 0;
+    const preparePhoto = async (photo) => {
+        try {
+            const blob = typeof photo === 'string' ? await dataURLToBlob(photo) : photo;
+            return await resizePhoto(await autoCropPhoto(blob));
+        } catch (error) {
+            console.error('Error reading guest photo:', error);
+            unreadable++;
+            return null;
+        }
+    };
+
+    try {
+        const result = await applyGuestList(pendingGuestList.plan, preparePhoto);
+        resetGuestListPanel();
+        loadAdminVisitors();
+
+        let message = `Added ${result.added} and updated ${result.updated} visitors`;
+        if (unreadable > 0) {
+            message += `\n${unreadable} photos could not be read and were left out`;
+        }
+        alert(message);
+    } catch (error) {
+        console.error('Error importing guest list:', error);
+        alert('Import failed. Some visitors may not have been saved.');
+        loadAdminVisitors();
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Hide the guest list panel and forget the pending list
+ */
+function resetGuestListPanel() {
+    pendingGuestList = null;
+    document.getElementById('admin-guest-list-panel').classList.add('hidden');
+    document.getElementById('admin-guest-list-summary').textContent = '';
+}
+
+// ============ TRASH ============
+
+const TRASH_RETENTION_SETTING = 'trashRetentionDays';
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Show the trash of the active event
+ */
+async function openTrash() {
+    try {
+        const retention = await getSetting(TRASH_RETENTION_SETTING, DEFAULT_TRASH_RETENTION_DAYS);
+        await purgeExpiredTrash(retention);
+        document.getElementById('trash-retention').value = String(retention);
+
+        await loadTrash();
+        document.getElementById('trash-modal').classList.remove('hidden');
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        alert('Failed to load the trash');
+    }
+}
+
+/**
+ * List the trashed entries and visitors
+ */
+async function loadTrash() {
+    const items = await getTrash();
+    const list = document.getElementById('trash-list');
+
+    list.innerHTML = '';
+    revokeMediaURLs('trash');
+    items.forEach(item => list.appendChild(createTrashItem(item)));
+
+    document.getElementById('trash-count').textContent = `${items.length} ${items.length === 1 ? 'item' : 'items'}`;
+    document.getElementById('trash-empty').classList.toggle('hidden', items.length > 0);
+    document.getElementById('btn-empty-trash').disabled = items.length === 0;
+}
+
+/**
+ * Create a trash list row
+ * @param {Object} item - From getTrash()
+ */
+function createTrashItem(item) {
+    const { record } = item;
+    const isEntry = item.type === 'entry';
+    const photo = isEntry ? item.thumbnail && item.thumbnail.photo : record.photo;
+    const dateOptions = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+    const row = document.createElement('li');
+    row.className = 'flex items-center gap-3 bg-slate-800/40 rounded-xl p-3';
+
+    const avatar = document.createElement('div');
+    avatar.className = 'w-10 h-10 rounded-full bg-slate-700 overflow-hidden shrink-0';
+    if (photo) {
+        const image = document.createElement('img');
+        image.className = 'w-full h-full object-cover';
+        image.alt = '';
+        image.loading = 'lazy';
+        image.src = mediaURL(photo, 'trash');
+        avatar.appendChild(image);
+    }
+
+    const details = document.createElement('div');
+    details.className = 'flex-1 min-w-0';
+    const name = document.createElement('p');
+    name.className = 'text-sm text-slate-200 truncate';
+    name.textContent = record.name || 'Anonymous';
+    const kind = document.createElement('p');
+    kind.className = 'text-xs text-slate-500 truncate';
+    kind.textContent = isEntry
+        ? `Entry from ${new Date(record.timestamp).toLocaleString('en-US', dateOptions)}`
+        : `Visitor${record.designation ? ` · ${record.designation}` : ''}`;
+    const deleted = document.createElement('p');
+    deleted.className = 'text-xs text-slate-500';
+    deleted.textContent = `Deleted ${new Date(item.deletedAt).toLocaleString('en-US', dateOptions)}`;
+    details.append(name, kind, deleted);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'btn-secondary px-3 py-2 rounded-lg text-sm shrink-0 disabled:opacity-40 disabled:cursor-wait';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => handleRestoreFromTrash(item, restoreBtn));
+
+    row.append(avatar, details, restoreBtn);
+    return row;
+}
+
+/**
+ * Put a trashed entry or visitor back (requires an admin session)
+ */
+async function handleRestoreFromTrash(item, button) {
+    if (!(await requireAdmin())) return;
+    button.disabled = true;
+
+    try {
+        await restoreFromTrash(item.id);
+        await loadTrash();
+        if (item.type === 'visitor') {
+            loadAdminVisitors();
+        } else {
+            requestSync(item.record.id);
+        }
+    } catch (error) {
+        console.error('Error restoring from trash:', error);
+        alert('Failed to restore');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Permanently delete everything in the trash (requires an admin session)
+ */
+async function handleEmptyTrash() {
+    if (!(await requireAdmin())) return;
+    if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+
+    try {
+        await emptyTrash();
+        await loadTrash();
+        loadAdminStorage();
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        alert('Failed to empty the trash');
+    }
+}
+
+/**
+ * Save the retention period and purge what is now past it
+ */
+async function handleTrashRetentionChange(event) {
+    const days = Number(event.target.value);
+
+    try {
+        await setSetting(TRASH_RETENTION_SETTING, days);
+        if (await purgeExpiredTrash(days)) {
+            await loadTrash();
+        }
+    } catch (error) {
+        console.error('Error saving trash retention:', error);
+        alert('Failed to save setting');
+    }
+}
+
+function closeTrash() {
+    document.getElementById('trash-modal').classList.add('hidden');
+    document.getElementById('trash-list').innerHTML = '';
+    revokeMediaURLs('trash');
+}
+
+// ============ STORAGE ============
+
+/**
+ * Format a byte count for people
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    return `${Math.max(1, Math.round(bytes / 1024 ** 2))} MB`;
+}
+
+/**
+ * Show a storage warning on the home screen
+ * @param {string|null} message - null hides it
+ */
+function setStorageWarning(message) {
+    const warning = document.getElementById('storage-warning');
+    warning.textContent = message || '';
+    warning.classList.toggle('hidden', !message);
+}
+
+/**
+ * Check free space and warn on the home screen when it runs low
+ * @returns {Promise<Object|null>} - From getStorageStatus()
+ */
+async function checkStorage() {
+    const status = await getStorageStatus();
+    setStorageWarning(status && status.low
+        ? `Storage is running low (${formatBytes(status.available)} left). Export and clear older entries on the admin screen.`
+        : null);
+    return status;
+}
+
+/**
+ * Show used and available space on the admin screen
+ */
+async function loadAdminStorage() {
+    const status = await checkStorage();
+    const usage = document.getElementById('admin-storage-usage');
+    const bar = document.getElementById('admin-storage-bar');
+    const persistence = document.getElementById('admin-storage-persistence');
+    const persistBtn = document.getElementById('btn-persist-storage');
+
+    if (!status) {
+        usage.textContent = 'This browser does not report storage use.';
+        bar.parentElement.classList.add('hidden');
+        persistence.textContent = '';
+        persistBtn.classList.add('hidden');
+        return;
+    }
+
+    const percent = Math.min(100, (status.usage / status.quota) * 100);
+    usage.textContent = `${formatBytes(status.usage)} used of ${formatBytes(status.quota)} (${formatBytes(status.available)} free)`;
+    usage.classList.toggle('text-red-400', status.low);
+    bar.parentElement.classList.remove('hidden');
+    bar.style.width = `${Math.max(1, percent).toFixed(1)}%`;
+    bar.classList.toggle('bg-indigo-500', !status.low);
+    bar.classList.toggle('bg-red-500', status.low);
+
+    persistence.textContent = status.persisted
+        ? 'Persistent: the browser will not clear this data to save space.'
+        : 'Not persistent: the browser may clear this data when the device is low on space.';
+    persistBtn.classList.toggle('hidden', status.persisted);
+}
+
+/**
+ * Ask for persistent storage again from the admin screen
+ */
+async function handlePersistStorage() {
+    if (!(await requestPersistentStorage())) {
+        alert('The browser did not allow persistent storage. Installing the app usually lets it keep its data.');
+    }
+    loadAdminStorage();
+}
+
+// ============ BACKUPS ============
+
+const SNAPSHOT_DATE_OPTIONS = { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+/**
+ * Show where and how often snapshots are saved
+ */
+async function loadAdminBackups() {
+    const locationText = document.getElementById('admin-backup-location');
+    const settingsPanel = document.getElementById('admin-backup-settings');
+
+    if (!isBackupSupported()) {
+        locationText.textContent = 'This browser cannot save backups. Use Export in the archives instead.';
+        settingsPanel.classList.add('hidden');
+        return;
+    }
+
+    try {
+        const location = await getBackupLocation();
+        const settings = await getBackupSettings();
+
+        if (location.kind === 'folder') {
+            locationText.textContent = location.needsPermission
+                ? `Saved to the folder "${location.name}". Press Back Up Now to allow access again.`
+                : `Saved to the folder "${location.name}".`;
+        } else {
+            locationText.textContent = 'Saved in browser storage, which counts toward the space shown above.';
+        }
+
+        document.getElementById('admin-backup-folder-actions').classList.toggle('hidden', !isDirectoryPickerSupported());
+        document.getElementById('btn-forget-backup-folder').classList.toggle('hidden', location.kind !== 'folder');
+        document.getElementById('admin-backup-interval').value = String(settings.intervalHours);
+        document.getElementById('admin-backup-keep').value = String(settings.keep);
+        document.getElementById('admin-backup-last').textContent = settings.lastBackupAt
+            ? `Last snapshot: ${new Date(settings.lastBackupAt).toLocaleString('en-US', SNAPSHOT_DATE_OPTIONS)}`
+            : 'No snapshot yet';
+        settingsPanel.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error loading backup settings:', error);
+        locationText.textContent = 'Backup settings could not be loaded.';
+    }
+}
+
+/**
+ * Refresh the admin screen after a scheduled snapshot
+ */
+function handleSnapshotSaved() {
+    checkStorage();
+    if (screens.admin.classList.contains('active')) {
+        loadAdminBackups();
+        loadAdminStorage();
+    }
+}
 
-    if (browseDeleteMode) {
-        deleteBtn.classList.add('hidden');
-        deleteActions.classList.remove('hidden');
-        checkboxes.forEach(cb => cb.classList.remove('hidden'));
-    } else {
-        deleteBtn.classList.remove('hidden');
-        deleteActions.classList.add('hidden');
-        checkboxes.forEach(cb => {
-            cb.classList.add('hidden');
-            cb.querySelector('input').checked = false;
+async function handleChooseBackupFolder() {
+    try {
+        await chooseBackupDirectory();
+    } catch (error) {
+        // Closing the folder picker is not an error
+        if (error.name !== 'AbortError') {
+            console.error('Error choosing backup folder:', error);
+            alert('Failed to use that folder');
+        }
+    }
+    loadAdminBackups();
+}
+
+async function handleForgetBackupFolder() {
+    try {
+        await forgetBackupDirectory();
+    } catch (error) {
+        console.error('Error resetting backup folder:', error);
+        alert('Failed to save setting');
+    }
+    loadAdminBackups();
+}
+
+/**
+ * Save the snapshot interval or number to keep
+ */
+async function handleBackupSettingChange() {
+    try {
+        await setBackupSettings({
+            intervalHours: Number(document.getElementById('admin-backup-interval').value),
+            keep: Number(document.getElementById('admin-backup-keep').value)
         });
-        updateDeleteSelectedCount();
+    } catch (error) {
+        console.error('Error saving backup settings:', error);
+        alert('Failed to save setting');
     }
 }
 
 /**
- * Update the "Delete Selected" button text with count
+ * Save a snapshot now (requires an admin session)
  */
-function updateDeleteSelectedCount() {
-    const checked = document.querySelectorAll('.browse-delete-checkbox input:checked');
-    const btn = document.getElementById('btn-delete-selected');
-    btn.textContent = checked.length > 0 ? `Delete Selected (${checked.length})` : 'Delete Selected';
-    btn.disabled = checked.length === 0;
+async function handleBackupNow() {
+    if (!(await requireAdmin())) return;
+
+    const button = document.getElementById('btn-backup-now');
+    button.disabled = true;
+    button.textContent = 'Backing up…';
+
+    try {
+        const snapshot = await createSnapshot({
+            askPermission: true,
+            onProgress: (done, total) => {
+                button.textContent = `Backing up… ${done}/${total}`;
+            }
+        });
+        alert(`Snapshot saved: ${snapshot.entries} entries and ${snapshot.visitors} visitors from ${snapshot.events.length} events`);
+    } catch (error) {
+        console.error('Error saving snapshot:', error);
+        alert(isQuotaExceededError(error)
+            ? 'There is not enough storage space for a snapshot. Choose a backup folder or free up space.'
+            : `Backup failed: ${error.message}`);
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Back Up Now';
+        loadAdminBackups();
+        loadAdminStorage();
+    }
 }
 
 /**
- * Delete selected entries after password verification
+ * Show the saved snapshots
  */
-async function handleDeleteSelected() {
-    const checked = document.querySelectorAll('.browse-delete-checkbox input:checked');
-    const selectedIds = Array.from(checked).map(cb => parseInt(cb.dataset.entryId));
+async function openSnapshots() {
+    try {
+        await loadSnapshots();
+        document.getElementById('snapshot-modal').classList.remove('hidden');
+    } catch (error) {
+        console.error('Error listing snapshots:', error);
+        alert('Failed to list snapshots');
+    }
+}
 
-    if (selectedIds.length === 0) {
-        alert('No entries selected');
+async function loadSnapshots() {
+    const snapshots = await listSnapshots();
+    const list = document.getElementById('snapshot-list');
+
+    list.innerHTML = '';
+    snapshots.forEach(snapshot => list.appendChild(createSnapshotItem(snapshot)));
+    document.getElementById('snapshot-empty').classList.toggle('hidden', snapshots.length > 0);
+}
+
+/**
+ * Create a snapshot list row
+ * @param {Object} snapshot - From listSnapshots()
+ */
+function createSnapshotItem(snapshot) {
+    const row = document.createElement('li');
+    row.className = 'flex items-center gap-3 bg-slate-800/40 rounded-xl p-3';
+
+    const details = document.createElement('div');
+    details.className = 'flex-1 min-w-0';
+    const date = document.createElement('p');
+    date.className = 'text-sm text-slate-200';
+    date.textContent = new Date(snapshot.createdAt).toLocaleString('en-US', SNAPSHOT_DATE_OPTIONS);
+    const counts = document.createElement('p');
+    counts.className = 'text-xs text-slate-500 truncate';
+    counts.textContent = `${snapshot.entries} entries, ${snapshot.visitors} visitors · ${snapshot.events.map(event => event.name).join(', ')}`;
+    details.append(date, counts);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'btn-secondary px-3 py-2 rounded-lg text-sm shrink-0 disabled:opacity-40 disabled:cursor-wait';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => handleRestoreSnapshot(snapshot, restoreBtn));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'text-sm text-red-400 hover:text-red-300 transition-colors shrink-0';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => handleDeleteSnapshot(snapshot));
+
+    row.append(details, restoreBtn, deleteBtn);
+    return row;
+}
+
+/**
+ * Restore a snapshot (requires an admin session)
+ */
+async function handleRestoreSnapshot(snapshot, button) {
+    if (!(await requireAdmin())) return;
+
+    const date = new Date(snapshot.createdAt).toLocaleString('en-US', SNAPSHOT_DATE_OPTIONS);
+    if (!confirm(`Restore the snapshot from ${date}? The current entries and visitors of its ${snapshot.events.length} events are moved to the trash, except entries the snapshot brings back, which are replaced.`)) {
         return;
     }
 
-    const password = prompt('Enter password to delete selected entries:');
+    button.disabled = true;
+    try {
+        const result = await restoreSnapshot(snapshot.name);
+        requestSync();
+        closeSnapshots();
+        resetEventForm();
+        resetImportPanel();
+        resetGuestListPanel();
+        setAdminSelectMode(false);
+        loadAdminEvents();
+        loadAdminVisitors();
+        loadAdminStorage();
+        updateHomeEvent();
+        alert(`Restored ${result.entries} entries and ${result.visitors} visitors in ${result.events} events`);
+    } catch (error) {
+        console.error('Error restoring snapshot:', error);
+        alert(`Restore failed: ${error.message}. Replaced records are in the trash.`);
+        button.disabled = false;
+    }
+}
+
+async function handleDeleteSnapshot(snapshot) {
+    if (!(await requireAdmin())) return;
 
-    if (password === null) {
-        return;
+    const date = new Date(snapshot.createdAt).toLocaleString('en-US', SNAPSHOT_DATE_OPTIONS);
+    if (!confirm(`Delete the snapshot from ${date}? This cannot be undone.`)) return;
+
+    try {
+        await deleteSnapshot(snapshot.name);
+        await loadSnapshots();
+        loadAdminStorage();
+    } catch (error) {
+        console.error('Error deleting snapshot:', error);
+        alert('Failed to delete snapshot');
     }
+}
+
+function closeSnapshots() {
+    document.getElementById('snapshot-modal').classList.add('hidden');
+    document.getElementById('snapshot-list').innerHTML = '';
+}
+
+// ============ SYNC ============
 
-    if (password !== '67886788') {
-        alert('Incorrect password');
+const SYNC_BADGES = {
+    pending: { label: 'Waiting to sync', icon: '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />' },
+    synced: { label: 'Synced', icon: '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7" />' },
+    failed: { label: 'Sync failed, will retry', icon: '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z" />' }
+};
+
+/**
+ * Show an entry's sync status in its browse list row (hidden while sync is off)
+ * @param {HTMLElement} badge
+ * @param {Object} entry
+ */
+function setSyncBadge(badge, entry) {
+    if (!isSyncEnabled()) {
+        badge.classList.add('hidden');
         return;
     }
 
-    const confirmDelete = confirm(`Are you sure you want to delete ${selectedIds.length} selected ${selectedIds.length === 1 ? 'entry' : 'entries'}? This cannot be undone.`);
+    const status = getEntrySyncStatus(entry);
+    const { label, icon } = SYNC_BADGES[status] || SYNC_BADGES.pending;
+    badge.className = `sync-badge sync-${status} shrink-0`;
+    badge.title = label;
+    badge.innerHTML = `<svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-label="${label}">${icon}</svg>`;
+}
 
-    if (!confirmDelete) {
-        return;
+/**
+ * Update the browse list and admin screen after a sync run
+ */
+function handleSyncChange() {
+    document.querySelectorAll('.browse-list-item').forEach(item => {
+        const entry = browseEntries[Number(item.dataset.index)];
+        if (entry) setSyncBadge(item.querySelector('.sync-badge'), entry);
+    });
+
+    if (screens.admin.classList.contains('active')) {
+        loadAdminSync();
     }
+}
+
+/**
+ * Show the sync server and how many entries are waiting
+ */
+async function loadAdminSync() {
+    const status = document.getElementById('admin-sync-status');
 
     try {
-        for (const id of selectedIds) {
-            await deleteEntry(id);
+        const settings = await getSyncSettings();
+        const outbox = await getOutbox();
+
+        document.getElementById('admin-sync-endpoint').value = settings.endpoint;
+        document.getElementById('admin-sync-token').value = settings.token;
+        document.getElementById('btn-sync-now').disabled = !settings.endpoint;
+
+        if (!settings.endpoint) {
+            status.textContent = 'Sync is off.';
+            return;
         }
-        alert(`${selectedIds.length} ${selectedIds.length === 1 ? 'entry' : 'entries'} deleted successfully`);
 
-        browseDeleteMode = false;
-        loadBrowseScreen();
+        const failed = outbox.filter(record => record.attempts > 0);
+        const parts = [outbox.length === 0 ? 'All entries are synced.' : `${outbox.length} ${outbox.length === 1 ? 'entry' : 'entries'} waiting to sync.`];
+        if (failed.length > 0) {
+            parts.push(`Last error: ${failed[failed.length - 1].lastError}.`);
+        }
+        parts.push(settings.lastSyncAt
+            ? `Last upload: ${new Date(settings.lastSyncAt).toLocaleString('en-US', SNAPSHOT_DATE_OPTIONS)}`
+            : 'Nothing uploaded yet');
+        status.textContent = parts.join(' ');
     } catch (error) {
-        console.error('Error deleting entries:', error);
-        alert('Failed to delete entries');
+        console.error('Error loading sync settings:', error);
+        status.textContent = 'Sync settings could not be loaded.';
     }
 }
 
-// ============ ADMIN SCREEN ============
+/**
+ * Save the sync server (requires an admin session)
+ */
+async function handleSyncSettingsSave(e) {
+    e.preventDefault();
+    if (!(await requireAdmin())) return;
 
-let adminPhotoDataURL = null;
+    try {
+        await setSyncSettings({
+            endpoint: document.getElementById('admin-sync-endpoint').value,
+            token: document.getElementById('admin-sync-token').value
+        });
+    } catch (error) {
+        console.error('Error saving sync settings:', error);
+        alert(error.message);
+    }
+    // Shows or hides the browse badges and refreshes the status
+    handleSyncChange();
+}
 
 /**
- * Load visitors in admin screen
+ * Upload everything waiting now, including entries still backing off
  */
-async function loadAdminVisitors() {
-    const grid = document.getElementById('admin-visitor-grid');
-    const empty = document.getElementById('admin-empty');
+async function handleSyncNow() {
+    const button = document.getElementById('btn-sync-now');
+    button.disabled = true;
+    button.textContent = 'Syncing…';
 
     try {
-        const visitors = await getAllVisitors();
+        const result = await syncNow({ force: true });
+        if (result.failed > 0) {
+            alert(`${result.failed} ${result.failed === 1 ? 'entry' : 'entries'} could not be uploaded. They will be retried automatically.`);
+        }
+    } catch (error) {
+        console.error('Error syncing:', error);
+        alert(`Sync failed: ${error.message}`);
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Sync Now';
+        loadAdminSync();
+    }
+}
 
-        if (visitors.length === 0) {
-            grid.classList.add('hidden');
-            empty.classList.remove('hidden');
-            empty.classList.add('flex');
-            return;
+// ============ TRANSFER ============
+
+const QR_FRAME_INTERVAL_MS = 300;
+
+// Signed bundle waiting in the transfer dialog: { blob, filename, count }
+let transferBundle = null;
+let transferQRTimer = null;
+let scanController = null;
+
+/**
+ * Start choosing the entries to send to another tablet
+ */
+function startTransferSelection() {
+    if (browseDeleteMode && browseSelectedIds.size > 0) {
+        handleTransferSelected();
+        return;
+    }
+    if (!browseDeleteMode) {
+        toggleDeleteMode();
+    }
+    alert('Select the entries to send, then press Transfer Selected');
+}
+
+/**
+ * Package the selected entries and show the ways to send them (requires
+ * an admin session)
+ */
+async function handleTransferSelected() {
+    const entries = browseEntries.filter(entry => entry && browseSelectedIds.has(entry.id));
+    if (entries.length === 0) return;
+    if (!(await requireAdmin())) return;
+
+    const button = document.getElementById('btn-transfer-selected');
+    button.disabled = true;
+
+    try {
+        const event = await getEvent(await getActiveEventId());
+        const blob = await buildBundle(entries, {
+            event,
+            onProgress: (done, total) => {
+                button.textContent = `Packing ${done}/${total}`;
+            }
+        });
+
+        transferBundle = {
+            blob,
+            filename: exportFileName('zip', { name: `${event ? event.name : 'visitor book'} transfer` }),
+            count: entries.length
+        };
+
+        document.getElementById('transfer-summary').textContent =
+            `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'} (${formatBytes(blob.size)}), signed with this tablet's transfer code.`;
+        document.getElementById('btn-transfer-share').classList.toggle('hidden', !isShareSupported());
+        document.getElementById('transfer-actions').classList.remove('hidden');
+        document.getElementById('transfer-qr-panel').classList.add('hidden');
+        document.getElementById('transfer-modal').classList.remove('hidden');
+    } catch (error) {
+        console.error('Error preparing transfer:', error);
+        alert(`Failed to prepare the transfer: ${error.message}`);
+    } finally {
+        updateDeleteSelectedCount();
+    }
+}
+
+async function handleTransferShare() {
+    try {
+        if (!(await shareBundle(transferBundle.blob, transferBundle.filename))) {
+            // Files cannot be shared here after all
+            downloadBlob(transferBundle.blob, transferBundle.filename);
+        }
+    } catch (error) {
+        // Closing the share sheet is not an error
+        if (error.name !== 'AbortError') {
+            console.error('Error sharing transfer:', error);
+            alert('Failed to share. Use Save File instead.');
         }
+    }
+}
 
-        grid.classList.remove('hidden');
-        empty.classList.add('hidden');
-        empty.classList.remove('flex');
+function handleTransferSave() {
+    downloadBlob(transferBundle.blob, transferBundle.filename);
+}
 
-        grid.innerHTML = '';
+/**
+ * Show the bundle as a loop of QR codes for the other tablet to scan
+ */
+async function handleTransferQR() {
+    const canvas = document.getElementById('transfer-qr-canvas');
+    const progress = document.getElementById('transfer-qr-progress');
 
-        for (const visitor of visitors) {
-            const card = await createAdminVisitorCard(visitor);
-            grid.appendChild(card);
+    try {
+        const frames = await bundleFrames(transferBundle.blob);
+        const roundSeconds = Math.ceil((frames.length * QR_FRAME_INTERVAL_MS) / 1000);
+        let index = 0;
+
+        const showFrame = () => {
+            drawQR(canvas, encodeQR(frames[index]), 720);
+            progress.textContent = `Code ${index + 1} of ${frames.length} · one round takes about ${roundSeconds} s`;
+            index = (index + 1) % frames.length;
+        };
+
+        document.getElementById('transfer-actions').classList.add('hidden');
+        document.getElementById('transfer-qr-panel').classList.remove('hidden');
+        showFrame();
+        clearInterval(transferQRTimer);
+        transferQRTimer = setInterval(showFrame, QR_FRAME_INTERVAL_MS);
+    } catch (error) {
+        console.error('Error showing QR codes:', error);
+        alert(`Failed to show QR codes: ${error.message}`);
+    }
+}
+
+function closeTransfer() {
+    clearInterval(transferQRTimer);
+    transferQRTimer = null;
+    transferBundle = null;
+    document.getElementById('transfer-modal').classList.add('hidden');
+}
+
+/**
+ * Show whether a transfer code is set, and whether QR scanning works here
+ */
+async function loadAdminTransfer() {
+    const input = document.getElementById('admin-transfer-code');
+    input.value = '';
+
+    try {
+        input.placeholder = (await hasTransferCode()) ? 'Transfer code is set (type to change)' : 'Transfer code (not set)';
+    } catch (error) {
+        console.error('Error loading transfer code:', error);
+    }
+    document.getElementById('btn-scan-transfer').classList.toggle('hidden', !isQRScanSupported());
+}
+
+async function handleTransferCodeSave(e) {
+    e.preventDefault();
+
+    try {
+        await setTransferCode(document.getElementById('admin-transfer-code').value);
+        alert('Transfer code saved. Set the same code on every tablet that sends or receives entries.');
+    } catch (error) {
+        console.error('Error saving transfer code:', error);
+        alert(error.message);
+    }
+    loadAdminTransfer();
+}
+
+async function handleTransferFileSelect(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) await receiveBundle(file);
+}
+
+/**
+ * Check a received bundle and add the entries this book does not have yet
+ * @param {Blob} bundle
+ */
+async function receiveBundle(bundle) {
+    try {
+        const data = await readBundle(bundle);
+        // Entries already moved into another event count as received too
+        const events = await getAllEvents();
+        const existing = (await Promise.all(events.map(event => getAllEntries(event.id)))).flat();
+        const plan = planImport(data, existing, []);
+
+        if (plan.entries.length === 0) {
+            alert(`All ${data.entries.length} entries in this bundle are already in the book`);
+            return;
         }
 
+        const event = await getEvent(await getActiveEventId());
+        const date = new Date(data.createdAt).toLocaleString('en-US', SNAPSHOT_DATE_OPTIONS);
+        const lines = [
+            `Transfer code matches. Bundle from ${date}: ${data.entries.length} entries, ${plan.duplicateEntries.length} already in the book.`
+        ];
+        if (data.invalid > 0) {
+            lines.push(`${data.invalid} invalid records will be skipped.`);
+        }
+        lines.push(`Add ${plan.entries.length} new entries to "${event ? event.name : 'this book'}"?`);
+        if (!confirm(lines.join('\n\n'))) return;
+
+        const result = await applyImport(data, plan, 'merge');
+        requestSync();
+        loadAdminStorage();
+        alert(`Added ${result.entries} entries`);
     } catch (error) {
-        console.error('Error loading admin visitors:', error);
+        console.error('Error receiving transfer:', error);
+        alert(`Transfer failed: ${error.message}`);
     }
 }
 
 /**
- * Create an admin visitor card
+ * Scan a QR transfer from another tablet
  */
-async function createAdminVisitorCard(visitor) {
-    const card = document.createElement('div');
-    card.className = 'bg-slate-800/30 rounded-xl p-4 flex flex-col items-center gap-2 relative group';
+async function handleScanTransfer() {
+    const progressText = document.getElementById('scan-progress');
+    const progressBar = document.getElementById('scan-progress-bar');
 
-    // Photo is stored as data URL string
-    const photoURL = visitor.photo;
-    const photoHTML = photoURL
-        ? `<img src="${photoURL}" alt="${visitor.name}" class="w-20 h-20 object-cover rounded-full border-2 border-slate-600">`
-        : `<div class="w-20 h-20 rounded-full bg-slate-700 flex items-center justify-center border-2 border-slate-600"><svg class="w-10 h-10 text-slate-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg></div>`;
+    progressText.textContent = 'Point the camera at the QR codes on the other tablet.';
+    progressBar.style.width = '0%';
+    document.getElementById('scan-modal').classList.remove('hidden');
 
-    card.innerHTML = `
-        <button class="delete-visitor-btn absolute top-2 right-2 p-1 bg-red-500/80 hover:bg-red-500 rounded-full opacity-0 group-hover:opacity-100 transition-opacity" data-visitor-id="${visitor.id}">
-            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
-            </svg>
-        </button>
-        ${photoHTML}
-        <span class="text-sm text-slate-300 text-center">${visitor.name}</span>
-        ${visitor.designation ? `<span class="text-xs text-slate-500 text-center">${visitor.designation}</span>` : ''}
-    `;
+    const controller = new AbortController();
+    scanController = controller;
 
-    // Add delete handler
-    card.querySelector('.delete-visitor-btn').addEventListener('click', async (e) => {
-        e.stopPropagation();
-        if (confirm(`Delete ${visitor.name}?`)) {
-            await deleteVisitor(visitor.id);
-            loadAdminVisitors();
+    try {
+        const bundle = await scanBundle(document.getElementById('scan-video'), {
+            signal: controller.signal,
+            onProgress: ({ received, total }) => {
+                progressText.textContent = `Read ${received} of ${total} codes`;
+                progressBar.style.width = `${(received / total) * 100}%`;
+            }
+        });
+        closeScan();
+        await receiveBundle(bundle);
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.error('Error scanning transfer:', error);
+            alert(`Scan failed: ${error.message}`);
         }
-    });
+        if (scanController === controller) closeScan();
+    }
+}
 
-    return card;
+function closeScan() {
+    if (scanController) {
+        scanController.abort();
+        scanController = null;
+    }
+    document.getElementById('scan-modal').classList.add('hidden');
 }
 
+// ============ IMPORT ============
+
+// File read and checked against the current data, waiting for merge/replace
+let pendingImport = null;
+
 /**
- * Handle admin photo selection
+ * Read an export file and show what importing it would do
  */
-function handleAdminPhotoSelect(event) {
+async function handleImportFileSelect(event) {
     const file = event.target.files[0];
+    event.target.value = '';
     if (!file) return;
 
-    // Process and resize image
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        const img = new Image();
-        img.onload = () => {
-            // Resize
-            const maxSize = 400;
-            let width = img.width;
-            let height = img.height;
-
-            if (width > height && width > maxSize) {
-                height = Math.round(height * (maxSize / width));
-                width = maxSize;
-            } else if (height > maxSize) {
-                width = Math.round(width * (maxSize / height));
-                height = maxSize;
-            }
+    try {
+        const data = await readImportFile(file);
+        const plan = planImport(data, await getAllEntries(), await getAllVisitors());
 
-            const canvas = document.createElement('canvas');
-            canvas.width = width;
-            canvas.height = height;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0, width, height);
+        if (data.entries.length === 0 && data.visitors.length === 0) {
+            alert('The file contains no valid entries or visitors');
+            return;
+        }
 
-            // Store as data URL for better IndexedDB compatibility
-            adminPhotoDataURL = canvas.toDataURL('image/jpeg', 0.85);
+        pendingImport = { data, plan };
 
-            document.getElementById('admin-photo-placeholder').classList.add('hidden');
-            const preview = document.getElementById('admin-photo-preview');
-            preview.src = adminPhotoDataURL;
-            preview.classList.remove('hidden');
-        };
-        img.src = e.target.result;
-    };
-    reader.readAsDataURL(file);
+        const lines = [
+            `${data.entries.length} entries (${plan.duplicateEntries.length} already in the book)`,
+            `${data.visitors.length} visitors (${plan.duplicateVisitors.length} already registered)`
+        ];
+        if (data.invalid > 0) {
+            lines.push(`${data.invalid} invalid records will be skipped`);
+        }
 
-    // Reset input
-    event.target.value = '';
+        document.getElementById('admin-import-summary').innerHTML = lines.join('<br>');
+        document.getElementById('admin-import-panel').classList.remove('hidden');
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        alert(`Failed to read file: ${error.message}`);
+    }
 }
 
 /**
- * Handle adding a new visitor
+ * Import the pending file
+ * @param {string} mode - 'merge' or 'replace'
  */
-async function handleAddVisitor() {
-    const nameInput = document.getElementById('admin-name-input');
-    const designationInput = document.getElementById('admin-designation-input');
-    const name = nameInput.value.trim();
-    const designation = designationInput.value.trim();
+async function handleImportApply(mode) {
+    if (!pendingImport) return;
 
-    if (!name) {
-        alert('Please enter a name');
+    if (mode === 'replace' && !confirm('Replace ALL entries and visitors with the contents of this file? The current ones are moved to the trash.')) {
         return;
     }
 
-    try {
-        await addVisitor({
-            photo: adminPhotoDataURL || null,
-            name: name,
-            designation: designation
-        });
+    const buttons = ['btn-import-merge', 'btn-import-replace'].map(id => document.getElementById(id));
+    buttons.forEach(button => { button.disabled = true; });
 
-        // Reset form and reload
-        resetAdminForm();
+    try {
+        const result = await applyImport(pendingImport.data, pendingImport.plan, mode);
+        requestSync();
+        resetImportPanel();
         loadAdminVisitors();
-
+        alert(`Imported ${result.entries} entries and ${result.visitors} visitors`);
     } catch (error) {
-        console.error('Error adding visitor:', error);
-        alert('Failed to add visitor');
+        console.error('Error importing:', error);
+        alert('Import failed. Some records may not have been saved.');
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
     }
 }
 
+/**
+ * Hide the import panel and forget the pending file
+ */
+function resetImportPanel() {
+    pendingImport = null;
+    document.getElementById('admin-import-panel').classList.add('hidden');
+    document.getElementById('admin-import-summary').textContent = '';
+}
+
 /**
  * Reset admin form
  */
 function resetAdminForm() {
-    adminPhotoDataURL = null;
+    adminPhotoBlob = null;
+    revokeMediaURLs('admin-photo');
 
     document.getElementById('admin-name-input').value = '';
     document.getElementById('admin-designation-input').value = '';
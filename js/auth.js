@@ -0,0 +1,199 @@
+/**
+ * Auth Module - admin PIN, retry lockout and idle auto-logout
+ *
+ * The PIN is stored as a salted PBKDF2-SHA-256 hash in the settings store.
+ * Failed attempts are persisted too, so reloading the page does not reset
+ * a lockout.
+ */
+
+import { getSetting, setSetting } from './storage.js';
+
+export const PIN_MIN_LENGTH = 4;
+export const PIN_MAX_LENGTH = 8;
+
+const PIN_SETTING = 'adminPin';
+const LOCKOUT_SETTING = 'adminPinLockout';
+
+// Tuned to stay well under a second on kiosk tablets
+const PBKDF2_ITERATIONS = 310000;
+
+// Free attempts before lockout, then 30s doubling up to 15 minutes
+const MAX_FREE_ATTEMPTS = 5;
+const LOCKOUT_BASE_MS = 30 * 1000;
+const LOCKOUT_MAX_MS = 15 * 60 * 1000;
+
+// Admin session ends after this long without any input
+const IDLE_TIMEOUT_MS = 2 * 60 * 1000;
+
+let unlocked = false;
+let idleTimer = null;
+let lockCallback = null;
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * Derive the PBKDF2 hash of a PIN
+ * @returns {Promise<Uint8Array>}
+ */
+async function derive(pin, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return new Uint8Array(bits);
+}
+
+/**
+ * Compare two byte arrays without exiting early
+ */
+function bytesEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a[i] ^ b[i];
+    }
+    return diff === 0;
+}
+
+/**
+ * Check a PIN has the allowed format
+ * @param {string} pin
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validatePinFormat(pin) {
+    if (!/^\d+$/.test(pin)) return 'The PIN must contain digits only';
+    if (pin.length < PIN_MIN_LENGTH || pin.length > PIN_MAX_LENGTH) {
+        return `The PIN must be ${PIN_MIN_LENGTH} to ${PIN_MAX_LENGTH} digits`;
+    }
+    return null;
+}
+
+/**
+ * Whether an admin PIN has been set
+ * @returns {Promise<boolean>}
+ */
+export async function hasPin() {
+    return (await getSetting(PIN_SETTING)) !== null;
+}
+
+/**
+ * Store a new admin PIN and start an admin session
+ * @param {string} pin
+ * @returns {Promise<void>}
+ */
+export async function setPin(pin) {
+    const error = validatePinFormat(pin);
+    if (error) throw new Error(error);
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await derive(pin, salt, PBKDF2_ITERATIONS);
+
+    await setSetting(PIN_SETTING, {
+        salt: toBase64(salt),
+        hash: toBase64(hash),
+        iterations: PBKDF2_ITERATIONS
+    });
+    await setSetting(LOCKOUT_SETTING, null);
+
+    // Whoever sets the PIN is the admin
+    unlock();
+}
+
+/**
+ * Milliseconds until PIN entry is allowed again (0 if not locked out)
+ * @returns {Promise<number>}
+ */
+export async function getLockoutRemaining() {
+    const lockout = await getSetting(LOCKOUT_SETTING);
+    if (!lockout || !lockout.lockedUntil) return 0;
+    return Math.max(0, lockout.lockedUntil - Date.now());
+}
+
+/**
+ * Check a PIN and start an admin session if it is correct
+ * @param {string} pin
+ * @returns {Promise<{ok: boolean, lockedFor: number, attemptsLeft: number}>}
+ */
+export async function verifyPin(pin) {
+    const lockedFor = await getLockoutRemaining();
+    if (lockedFor > 0) {
+        return { ok: false, lockedFor, attemptsLeft: 0 };
+    }
+
+    const stored = await getSetting(PIN_SETTING);
+    if (!stored) {
+        throw new Error('No admin PIN has been set');
+    }
+
+    const hash = await derive(pin, fromBase64(stored.salt), stored.iterations);
+    if (bytesEqual(hash, fromBase64(stored.hash))) {
+        await setSetting(LOCKOUT_SETTING, null);
+        unlock();
+        return { ok: true, lockedFor: 0, attemptsLeft: MAX_FREE_ATTEMPTS };
+    }
+
+    const lockout = (await getSetting(LOCKOUT_SETTING)) || { failures: 0, lockedUntil: 0 };
+    lockout.failures++;
+
+    const attemptsLeft = Math.max(0, MAX_FREE_ATTEMPTS - lockout.failures);
+    let lockMs = 0;
+    if (attemptsLeft === 0) {
+        lockMs = Math.min(LOCKOUT_MAX_MS, LOCKOUT_BASE_MS * 2 ** (lockout.failures - MAX_FREE_ATTEMPTS));
+        lockout.lockedUntil = Date.now() + lockMs;
+    }
+
+    await setSetting(LOCKOUT_SETTING, lockout);
+    return { ok: false, lockedFor: lockMs, attemptsLeft };
+}
+
+// ============ ADMIN SESSION ============
+
+function resetIdleTimer() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(lock, IDLE_TIMEOUT_MS);
+}
+
+function handleActivity() {
+    if (unlocked) resetIdleTimer();
+}
+
+/**
+ * Set up idle tracking
+ * @param {Function} onLock - Called when an admin session ends
+ */
+export function initAuth(onLock) {
+    lockCallback = onLock;
+    ['pointerdown', 'keydown', 'wheel'].forEach(type => {
+        document.addEventListener(type, handleActivity, { capture: true, passive: true });
+    });
+}
+
+function unlock() {
+    unlocked = true;
+    resetIdleTimer();
+}
+
+/**
+ * End the admin session
+ */
+export function lock() {
+    clearTimeout(idleTimer);
+    idleTimer = null;
+
+    if (!unlocked) return;
+    unlocked = false;
+
+    if (lockCallback) lockCallback();
+}
+
+/**
+ * Whether an admin session is active
+ * @returns {boolean}
+ */
+export function isUnlocked() {
+    return unlocked;
+}
@@ -0,0 +1,393 @@
+/**
+ * Backup Module - scheduled and on-demand snapshots of the visitor book
+ *
+ * A snapshot is a folder holding one ZIP export per event (the same format
+ * "Restore from export" reads), the event cover images and snapshot.json.
+ * Snapshots go to a folder the admin picked where the File System Access
+ * API is available, otherwise to the Origin Private File System. OPFS
+ * counts against the same storage quota as the database, so it guards
+ * against a damaged database but not against the browser clearing data.
+ */
+
+import { buildZipExport } from './export.js';
+import { readImportFile, planImport, applyImport } from './import.js';
+import { getAllEvents, getEvent, addEvent, getActiveEventId, setActiveEventId, iterateEntries, countEntries, getAllVisitors, purgeTrashedEntries, getSetting, setSetting } from './storage.js';
+
+const SNAPSHOT_FORMAT = 'visitorbook-snapshot';
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_PREFIX = 'snapshot-';
+const OPFS_FOLDER = 'snapshots';
+
+const DIRECTORY_SETTING = 'backupDirectory';
+const INTERVAL_SETTING = 'backupIntervalHours';
+const KEEP_SETTING = 'backupKeep';
+const LAST_BACKUP_SETTING = 'lastBackupAt';
+
+export const DEFAULT_BACKUP_INTERVAL_HOURS = 24;
+export const DEFAULT_BACKUP_KEEP = 3;
+
+// How often to check whether a scheduled snapshot is due
+const SCHEDULE_CHECK_MS = 10 * 60 * 1000;
+
+let running = null;
+let scheduleTimer = null;
+
+/**
+ * Whether snapshots can be saved in this browser at all
+ * @returns {boolean}
+ */
+export function isBackupSupported() {
+    return Boolean(navigator.storage && navigator.storage.getDirectory) || isDirectoryPickerSupported();
+}
+
+/**
+ * Whether the admin can pick a backup folder (File System Access API)
+ * @returns {boolean}
+ */
+export function isDirectoryPickerSupported() {
+    return typeof window.showDirectoryPicker === 'function';
+}
+
+// ============ LOCATION ============
+
+/**
+ * Let the admin pick the folder snapshots are saved to
+ * @returns {Promise<string>} - Folder name
+ */
+export async function chooseBackupDirectory() {
+    const handle = await window.showDirectoryPicker({ id: 'visitorbook-backups', mode: 'readwrite' });
+    await setSetting(DIRECTORY_SETTING, handle);
+    return handle.name;
+}
+
+/**
+ * Go back to saving snapshots in the browser's private storage
+ * @returns {Promise<void>}
+ */
+export async function forgetBackupDirectory() {
+    await setSetting(DIRECTORY_SETTING, null);
+}
+
+/**
+ * Find where snapshots are saved. A picked folder needs permission again
+ * after a reload, which can only be asked for from a click.
+ * @param {boolean} [askPermission] - Ask for folder access if needed
+ * @returns {Promise<{directory: FileSystemDirectoryHandle|null, kind: string, name: string, needsPermission: boolean}>}
+ *          kind is 'folder', 'private' or 'none'
+ */
+export async function getBackupLocation(askPermission = false) {
+    const picked = isDirectoryPickerSupported() ? await getSetting(DIRECTORY_SETTING) : null;
+
+    if (picked) {
+        let permission = await picked.queryPermission({ mode: 'readwrite' });
+        if (permission === 'prompt' && askPermission) {
+            permission = await picked.requestPermission({ mode: 'readwrite' });
+        }
+        if (permission === 'granted') {
+            return { directory: picked, kind: 'folder', name: picked.name, needsPermission: false };
+        }
+        return { directory: null, kind: 'folder', name: picked.name, needsPermission: true };
+    }
+
+    if (navigator.storage && navigator.storage.getDirectory) {
+        const root = await navigator.storage.getDirectory();
+        const directory = await root.getDirectoryHandle(OPFS_FOLDER, { create: true });
+        return { directory, kind: 'private', name: 'Browser storage', needsPermission: false };
+    }
+
+    return { directory: null, kind: 'none', name: '', needsPermission: false };
+}
+
+/**
+ * Get the snapshot folder or fail with a message for people
+ */
+async function requireDirectory(askPermission) {
+    const location = await getBackupLocation(askPermission);
+    if (location.directory) return location.directory;
+
+    if (location.needsPermission) {
+        throw new Error(`Access to the backup folder "${location.name}" was not granted`);
+    }
+    throw new Error('Backups are not supported by this browser');
+}
+
+async function writeFile(directory, name, blob) {
+    const handle = await directory.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    try {
+        await writable.write(blob);
+    } finally {
+        await writable.close();
+    }
+}
+
+async function readFile(directory, name) {
+    const handle = await directory.getFileHandle(name);
+    return handle.getFile();
+}
+
+function extensionFor(blob) {
+    return { 'image/png': 'png', 'image/webp': 'webp', 'image/avif': 'avif' }[blob.type] || 'jpg';
+}
+
+// ============ SNAPSHOTS ============
+
+/**
+ * Save a snapshot of every event, then delete the oldest beyond the
+ * number to keep. Only one snapshot runs at a time.
+ * @param {Object} [options] - { askPermission (from a click),
+ *                              onProgress(eventIndex, eventCount) }
+ * @returns {Promise<Object>} - Snapshot summary as listed by listSnapshots()
+ */
+export function createSnapshot(options = {}) {
+    if (!running) {
+        running = writeSnapshot(options).finally(() => {
+            running = null;
+        });
+    }
+    return running;
+}
+
+async function writeSnapshot({ askPermission = false, onProgress } = {}) {
+    const parent = await requireDirectory(askPermission);
+    const createdAt = new Date().toISOString();
+    const name = SNAPSHOT_PREFIX + createdAt.replace(/[:.]/g, '-');
+    const directory = await parent.getDirectoryHandle(name, { create: true });
+
+    const events = await getAllEvents();
+    const manifest = {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        createdAt,
+        activeEventId: await getActiveEventId(),
+        events: []
+    };
+
+    for (const [index, event] of events.entries()) {
+        const visitors = await getAllVisitors(event.id);
+        const entries = await countEntries({ eventId: event.id });
+        const file = `event-${event.id}.zip`;
+
+        const zip = await buildZipExport(iterateEntries({ eventId: event.id }), { event, visitors, total: entries });
+        await writeFile(directory, file, zip);
+
+        let cover = null;
+        if (event.cover instanceof Blob) {
+            cover = `event-${event.id}-cover.${extensionFor(event.cover)}`;
+            await writeFile(directory, cover, event.cover);
+        }
+
+        manifest.events.push({
+            id: event.id,
+            name: event.name,
+            date: event.date || '',
+            venue: event.venue || '',
+            file,
+            cover,
+            entries,
+            visitors: visitors.length
+        });
+
+        if (onProgress) onProgress(index + 1, events.length);
+    }
+
+    // Written last: folders without it are unfinished and never restored
+    await writeFile(directory, 'snapshot.json', new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }));
+    await setSetting(LAST_BACKUP_SETTING, createdAt);
+    console.log('Snapshot saved:', name);
+
+    await rotateSnapshots(parent, await getSetting(KEEP_SETTING, DEFAULT_BACKUP_KEEP));
+
+    return summarize(name, manifest);
+}
+
+function summarize(name, manifest) {
+    return {
+        name,
+        createdAt: manifest.createdAt,
+        events: manifest.events,
+        entries: manifest.events.reduce((sum, event) => sum + event.entries, 0),
+        visitors: manifest.events.reduce((sum, event) => sum + event.visitors, 0)
+    };
+}
+
+/**
+ * Read the manifest of a snapshot folder
+ * @returns {Promise<Object|null>} - null for unfinished or foreign folders
+ */
+async function readManifest(directory) {
+    try {
+        const manifest = JSON.parse(await (await readFile(directory, 'snapshot.json')).text());
+        if (manifest.format !== SNAPSHOT_FORMAT || manifest.version > SNAPSHOT_VERSION) return null;
+        return manifest;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Snapshot folder names in the backup location, newest first
+ */
+async function snapshotNames(parent) {
+    const names = [];
+    for await (const [name, handle] of parent.entries()) {
+        if (handle.kind === 'directory' && name.startsWith(SNAPSHOT_PREFIX)) {
+            names.push(name);
+        }
+    }
+    // Names end in an ISO timestamp, so they sort by date
+    return names.sort().reverse();
+}
+
+/**
+ * List the saved snapshots, newest first
+ * @returns {Promise<Array>} - { name, createdAt, events, entries, visitors }
+ */
+export async function listSnapshots() {
+    const location = await getBackupLocation();
+    if (!location.directory) return [];
+
+    const snapshots = [];
+    for (const name of await snapshotNames(location.directory)) {
+        const manifest = await readManifest(await location.directory.getDirectoryHandle(name));
+        if (manifest) snapshots.push(summarize(name, manifest));
+    }
+    return snapshots;
+}
+
+/**
+ * Delete the oldest snapshots beyond the number to keep, and any
+ * unfinished ones left by an interrupted backup
+ */
+async function rotateSnapshots(parent, keep) {
+    let kept = 0;
+    for (const name of await snapshotNames(parent)) {
+        const complete = await readManifest(await parent.getDirectoryHandle(name));
+        if (complete && kept < keep) {
+            kept++;
+            continue;
+        }
+        await parent.removeEntry(name, { recursive: true });
+        console.log('Snapshot removed:', name);
+    }
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} name - From listSnapshots()
+ * @returns {Promise<void>}
+ */
+export async function deleteSnapshot(name) {
+    const parent = await requireDirectory(true);
+    await parent.removeEntry(name, { recursive: true });
+}
+
+/**
+ * Restore every event in a snapshot. Each event's current entries and
+ * visitors are moved to the trash and replaced with the snapshot's copy;
+ * trashed copies of the restored entries (same uid) are deleted for good,
+ * so no uid exists twice. Events missing from the database are created again.
+ * @param {string} name - From listSnapshots()
+ * @returns {Promise<{events: number, entries: number, visitors: number}>}
+ */
+export async function restoreSnapshot(name) {
+    const parent = await requireDirectory(true);
+    const directory = await parent.getDirectoryHandle(name);
+    const manifest = await readManifest(directory);
+    if (!manifest) {
+        throw new Error('This snapshot is incomplete or was made by a newer version of the app');
+    }
+
+    const restored = { events: 0, entries: 0, visitors: 0 };
+    const eventIds = new Map();
+
+    for (const event of manifest.events) {
+        const data = await readImportFile(await readFile(directory, event.file));
+
+        let eventId = event.id;
+        if (!(await getEvent(event.id))) {
+            const cover = event.cover ? await readFile(directory, event.cover) : null;
+            eventId = await addEvent({ name: event.name, date: event.date, venue: event.venue, cover });
+        }
+        eventIds.set(event.id, eventId);
+
+        // Imports write to the active event
+        await setActiveEventId(eventId);
+        const result = await applyImport(data, planImport(data, [], []), 'replace');
+        await purgeTrashedEntries(data.entries.map(entry => entry.uid).filter(Boolean));
+
+        restored.events++;
+        restored.entries += result.entries;
+        restored.visitors += result.visitors;
+    }
+
+    const activeEventId = eventIds.get(manifest.activeEventId);
+    if (activeEventId !== undefined) {
+        await setActiveEventId(activeEventId);
+    }
+
+    return restored;
+}
+
+// ============ SCHEDULE ============
+
+/**
+ * Get the backup schedule
+ * @returns {Promise<{intervalHours: number, keep: number, lastBackupAt: string|null}>}
+ */
+export async function getBackupSettings() {
+    return {
+        intervalHours: await getSetting(INTERVAL_SETTING, DEFAULT_BACKUP_INTERVAL_HOURS),
+        keep: await getSetting(KEEP_SETTING, DEFAULT_BACKUP_KEEP),
+        lastBackupAt: await getSetting(LAST_BACKUP_SETTING)
+    };
+}
+
+/**
+ * Change the backup schedule
+ * @param {Object} changes - Any of { intervalHours (0 turns scheduled
+ *                           snapshots off), keep }
+ * @returns {Promise<void>}
+ */
+export async function setBackupSettings(changes) {
+    if ('intervalHours' in changes) await setSetting(INTERVAL_SETTING, changes.intervalHours);
+    if ('keep' in changes) {
+        await setSetting(KEEP_SETTING, changes.keep);
+        const location = await getBackupLocation();
+        if (location.directory) await rotateSnapshots(location.directory, changes.keep);
+    }
+}
+
+/**
+ * Take a snapshot if one is due
+ * @param {Function} canRun - Returns false while the app is busy with a guest
+ * @param {Function} [onSnapshot] - Called with the new snapshot
+ */
+async function runScheduledSnapshot(canRun, onSnapshot) {
+    const { intervalHours, lastBackupAt } = await getBackupSettings();
+    if (!intervalHours || running || !canRun()) return;
+    if (lastBackupAt && Date.now() - new Date(lastBackupAt).getTime() < intervalHours * 60 * 60 * 1000) return;
+
+    const location = await getBackupLocation();
+    if (!location.directory) return;
+
+    const snapshot = await createSnapshot();
+    if (onSnapshot) onSnapshot(snapshot);
+}
+
+/**
+ * Start taking scheduled snapshots
+ * @param {Function} canRun - Returns false while the app is busy with a guest
+ * @param {Function} [onSnapshot] - Called with each new snapshot
+ */
+export function initBackups(canRun, onSnapshot) {
+    if (scheduleTimer || !isBackupSupported()) return;
+
+    const check = () => {
+        runScheduledSnapshot(canRun, onSnapshot).catch(error => {
+            console.error('Scheduled backup failed:', error);
+        });
+    };
+    scheduleTimer = setInterval(check, SCHEDULE_CHECK_MS);
+    check();
+}
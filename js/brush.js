@@ -0,0 +1,149 @@
+/**
+ * Brush Engine - pen types and how they turn pen input into ink
+ *
+ * Widths are computed at render time from the recorded point data
+ * (position, time, pressure, tilt), so a stroke looks the same live,
+ * when re-rendered at another size and when replayed.
+ */
+
+export const DEFAULT_PEN = 'fountain';
+
+/**
+ * Pen definitions
+ * - widthScale: multiplier on the selected thickness
+ * - pressure: [min, max] width factor across the pressure range
+ * - speedThinning: how much fast movement thins the line (0 = none)
+ * - tiltSpread: how much a tilted stylus broadens the line (0 = none)
+ * - smoothing: how quickly width follows its target (1 = instantly)
+ * - nib: flat nib ({ angle, minRatio }) instead of a round tip
+ */
+const PENS = {
+    fountain: {
+        label: 'Fountain pen',
+        widthScale: 1.4,
+        pressure: [0.35, 1.6],
+        speedThinning: 0.35,
+        tiltSpread: 0.4,
+        smoothing: 0.35
+    },
+    ballpoint: {
+        label: 'Ballpoint',
+        widthScale: 1,
+        pressure: [0.85, 1.15],
+        speedThinning: 0.05,
+        tiltSpread: 0,
+        smoothing: 0.5
+    },
+    marker: {
+        label: 'Marker',
+        widthScale: 3,
+        pressure: [0.9, 1.1],
+        speedThinning: 0,
+        tiltSpread: 0.6,
+        smoothing: 0.5
+    },
+    calligraphy: {
+        label: 'Calligraphy',
+        widthScale: 3.5,
+        pressure: [0.6, 1.3],
+        speedThinning: 0.15,
+        tiltSpread: 0,
+        smoothing: 0.35,
+        nib: { angle: Math.PI / 4, minRatio: 0.15 }
+    }
+};
+
+// Speed (px/ms) at which speed thinning is at its strongest
+const MAX_SPEED = 3;
+
+// How much each new speed sample moves the smoothed speed
+const SPEED_SMOOTHING = 0.3;
+
+/**
+ * Get the definition of a pen type
+ * @param {string} type
+ * @returns {Object|null}
+ */
+export function getPen(type) {
+    return PENS[type] || null;
+}
+
+/**
+ * List available pen types
+ * @returns {Array<{type: string, label: string}>}
+ */
+export function getPenTypes() {
+    return Object.entries(PENS).map(([type, pen]) => ({ type, label: pen.label }));
+}
+
+/**
+ * Widest line a stroke can produce (for bounds calculations)
+ * @param {Object} stroke
+ * @returns {number}
+ */
+export function getMaxWidth(stroke) {
+    const pen = getPen(stroke.pen);
+    if (!pen) return stroke.width * 1.5;
+    return stroke.width * pen.widthScale * pen.pressure[1] * (1 + pen.tiltSpread);
+}
+
+/**
+ * Create per-stroke brush state. Feed points in order to brushPoint().
+ * @param {Object} stroke
+ * @returns {Object}
+ */
+export function createBrushState(stroke) {
+    return {
+        pen: getPen(stroke.pen) || PENS[DEFAULT_PEN],
+        stroke,
+        previous: null,
+        speed: 0,
+        width: null
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Turn the next recorded point into a brush sample
+ * @param {Object} state - From createBrushState()
+ * @param {Object} point - { x, y, pressure, t, tiltX?, tiltY?, twist? }
+ * @returns {{x: number, y: number, width: number, angle: number}}
+ */
+export function brushPoint(state, point) {
+    const { pen, stroke, previous } = state;
+
+    // Smoothed speed in px/ms
+    if (previous) {
+        const distance = Math.hypot(point.x - previous.x, point.y - previous.y);
+        const elapsed = Math.max(1, point.t - previous.t);
+        state.speed += (distance / elapsed - state.speed) * SPEED_SMOOTHING;
+    }
+    const speedRatio = clamp(state.speed / MAX_SPEED, 0, 1);
+
+    // Mouse and touch have no real pressure - derive it from speed instead
+    const pressure = stroke.pointerType === 'pen'
+        ? clamp(point.pressure, 0, 1)
+        : clamp(0.6 - speedRatio * 0.4, 0.2, 0.6);
+
+    const pressureFactor = pen.pressure[0] + (pen.pressure[1] - pen.pressure[0]) * pressure;
+    const speedFactor = 1 - pen.speedThinning * speedRatio;
+
+    // tiltX/tiltY are in degrees from vertical (-90..90)
+    const tilt = Math.min(90, Math.hypot(point.tiltX || 0, point.tiltY || 0));
+    const tiltFactor = 1 + pen.tiltSpread * (tilt / 90);
+
+    const target = stroke.width * pen.widthScale * pressureFactor * speedFactor * tiltFactor;
+    state.width = state.width === null ? target : state.width + (target - state.width) * pen.smoothing;
+
+    // Flat nib angle follows the barrel rotation when the stylus reports it
+    const angle = pen.nib
+        ? (point.twist ? (point.twist * Math.PI) / 180 : pen.nib.angle)
+        : 0;
+
+    state.previous = point;
+
+    return { x: point.x, y: point.y, width: state.width, angle };
+}
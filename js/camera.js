@@ -1,8 +1,30 @@
 /**
  * Camera/Photo Module for Visitor Book
+ *
+ * "Take Photo" opens a live preview (getUserMedia) with a face oval and a
+ * countdown, so the tablet never leaves the app. Where the camera cannot
+ * be opened in the page, the file input with capture="user" hands over to
+ * the system camera app instead.
+ *
+ * Every photo then goes through the crop step (crop.js) before it is
+ * resized for storage (image.js).
  */
 
+import { cropPhoto } from './crop.js';
+import { resizePhoto } from './image.js';
+
+const COUNTDOWN_SECONDS = 3;
+
 let currentPhotoBlob = null;
+let photoSelectedCallback = null;
+
+// Live capture state
+let stream = null;
+let streamRequest = 0;
+let facingMode = 'user';
+let countdownTimer = null;
+let capturedBlob = null;
+let capturedURL = null;
 
 /**
  * Initialize camera inputs
@@ -11,86 +33,242 @@ let currentPhotoBlob = null;
 export function initCamera(onPhotoSelected) {
     const cameraInput = document.getElementById('camera-input');
     const galleryInput = document.getElementById('gallery-input');
+    photoSelectedCallback = onPhotoSelected;
 
     const handleFile = async (event) => {
         const file = event.target.files[0];
-        if (file) {
-            try {
-                const processedBlob = await processImage(file);
-                currentPhotoBlob = processedBlob;
-                onPhotoSelected(processedBlob);
-            } catch (error) {
-                console.error('Error processing image:', error);
-            }
-        }
         // Reset input so same file can be selected again
         event.target.value = '';
+        if (file) {
+            await selectPhoto(file);
+        }
     };
 
     cameraInput.addEventListener('change', handleFile);
     galleryInput.addEventListener('change', handleFile);
+
+    document.getElementById('btn-take-photo').addEventListener('click', (event) => {
+        // The label would open the file input (the fallback)
+        if (event.target !== cameraInput && isLiveCameraSupported()) {
+            event.preventDefault();
+            openLiveCamera();
+        }
+    });
+    document.getElementById('btn-camera-shutter').addEventListener('click', startCountdown);
+    document.getElementById('btn-camera-switch').addEventListener('click', switchCamera);
+    document.getElementById('btn-camera-retake').addEventListener('click', retake);
+    document.getElementById('btn-camera-use').addEventListener('click', usePhoto);
+    document.getElementById('btn-camera-cancel').addEventListener('click', closeLiveCamera);
+    document.getElementById('camera-fallback').addEventListener('click', closeLiveCamera);
 }
 
+// ============ LIVE CAPTURE ============
+
 /**
- * Process and resize image for optimal storage
- * @param {File} file - The image file
- * @returns {Promise<Blob>} - Processed image blob
+ * Whether the camera can be opened inside the page
+ * @returns {boolean}
  */
-async function processImage(file) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        const reader = new FileReader();
-
-        reader.onload = (e) => {
-            img.src = e.target.result;
-        };
-
-        img.onload = () => {
-            // Target size for profile photo
-            const maxSize = 400;
-            let width = img.width;
-            let height = img.height;
-
-            // Calculate new dimensions maintaining aspect ratio
-            if (width > height) {
-                if (width > maxSize) {
-                    height = Math.round(height * (maxSize / width));
-                    width = maxSize;
-                }
-            } else {
-                if (height > maxSize) {
-                    width = Math.round(width * (maxSize / height));
-                    height = maxSize;
-                }
-            }
-
-            // Create canvas and resize
-            const canvas = document.createElement('canvas');
-            canvas.width = width;
-            canvas.height = height;
-
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0, width, height);
-
-            // Convert to blob
-            canvas.toBlob(
-                (blob) => {
-                    if (blob) {
-                        resolve(blob);
-                    } else {
-                        reject(new Error('Failed to create blob'));
-                    }
-                },
-                'image/jpeg',
-                0.85
-            );
-        };
-
-        img.onerror = () => reject(new Error('Failed to load image'));
-        reader.onerror = () => reject(new Error('Failed to read file'));
-
-        reader.readAsDataURL(file);
-    });
+export function isLiveCameraSupported() {
+    return window.isSecureContext && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+/**
+ * Show the capture screen with the live preview
+ */
+function openLiveCamera() {
+    document.getElementById('camera-capture').classList.remove('hidden');
+    showReview(false);
+    startStream();
+}
+
+/**
+ * Close the capture screen and release the camera
+ */
+export function closeLiveCamera() {
+    clearCountdown();
+    stopStream();
+    clearCapture();
+    document.getElementById('camera-capture').classList.add('hidden');
+}
+
+async function startStream() {
+    const video = document.getElementById('camera-video');
+    const request = ++streamRequest;
+    stopStream();
+    showMessage(null);
+
+    let newStream;
+    try {
+        newStream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode, width: { ideal: 1280 }, height: { ideal: 1280 } },
+            audio: false
+        });
+    } catch (error) {
+        if (request !== streamRequest) return;
+        console.error('Error opening camera:', error);
+        showMessage(error.name === 'NotAllowedError'
+            ? 'Camera access is blocked. Allow it in the browser settings, or use the camera app.'
+            : 'The camera could not be started. Use the camera app instead.');
+        return;
+    }
+
+    // Closed or switched again while the camera was starting
+    if (request !== streamRequest) {
+        newStream.getTracks().forEach(track => track.stop());
+        return;
+    }
+
+    stream = newStream;
+    video.srcObject = stream;
+    // The front camera is shown like a mirror, which is what people expect
+    video.classList.toggle('camera-mirrored', facingMode === 'user');
+
+    try {
+        await video.play();
+    } catch (error) {
+        console.error('Error starting camera preview:', error);
+    }
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const cameras = devices.filter(device => device.kind === 'videoinput');
+    document.getElementById('btn-camera-switch').classList.toggle('hidden', cameras.length < 2);
+}
+
+function stopStream() {
+    if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+        stream = null;
+    }
+    document.getElementById('camera-video').srcObject = null;
+}
+
+function switchCamera() {
+    clearCountdown();
+    facingMode = facingMode === 'user' ? 'environment' : 'user';
+    startStream();
+}
+
+/**
+ * Show a problem instead of the preview, with the camera app as a way out
+ * @param {string|null} message
+ */
+function showMessage(message) {
+    const element = document.getElementById('camera-message');
+    element.textContent = message || '';
+    element.classList.toggle('hidden', !message);
+    document.getElementById('camera-fallback').classList.toggle('hidden', !message);
+    document.getElementById('btn-camera-shutter').disabled = Boolean(message);
+}
+
+/**
+ * Count down, then take the photo
+ */
+function startCountdown() {
+    if (!stream || countdownTimer) return;
+
+    const display = document.getElementById('camera-countdown');
+    let remaining = COUNTDOWN_SECONDS;
+    display.textContent = remaining;
+    display.classList.remove('hidden');
+
+    countdownTimer = setInterval(() => {
+        remaining--;
+        if (remaining > 0) {
+            display.textContent = remaining;
+            return;
+        }
+        clearCountdown();
+        capture();
+    }, 1000);
+}
+
+function clearCountdown() {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+    document.getElementById('camera-countdown').classList.add('hidden');
+}
+
+/**
+ * Grab the square the preview shows and run it through the same
+ * processing as chosen files. Only the preview is mirrored (CSS), so
+ * name tags and text come out the right way round.
+ */
+async function capture() {
+    const video = document.getElementById('camera-video');
+    const size = Math.min(video.videoWidth, video.videoHeight);
+    if (!size) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(video, (video.videoWidth - size) / 2, (video.videoHeight - size) / 2, size, size, 0, 0, size, size);
+
+    try {
+        const frame = await new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to create blob'))), 'image/png');
+        });
+        // Lossless and full size until it has been cropped; image.js
+        // compresses it once, with the photo settings
+        capturedBlob = frame;
+    } catch (error) {
+        console.error('Error capturing photo:', error);
+        return;
+    }
+
+    capturedURL = URL.createObjectURL(capturedBlob);
+    document.getElementById('camera-still').src = capturedURL;
+    showReview(true);
+}
+
+/**
+ * Switch between the live preview and the taken photo
+ * @param {boolean} review
+ */
+function showReview(review) {
+    document.getElementById('camera-still').classList.toggle('hidden', !review);
+    document.getElementById('camera-live-actions').classList.toggle('hidden', review);
+    document.getElementById('camera-review-actions').classList.toggle('hidden', !review);
+}
+
+function clearCapture() {
+    if (capturedURL) {
+        URL.revokeObjectURL(capturedURL);
+        capturedURL = null;
+    }
+    capturedBlob = null;
+    document.getElementById('camera-still').removeAttribute('src');
+}
+
+function retake() {
+    clearCapture();
+    showReview(false);
+}
+
+async function usePhoto() {
+    const frame = capturedBlob;
+    closeLiveCamera();
+    await selectPhoto(frame);
+}
+
+// ============ PROCESSING ============
+
+/**
+ * Let the user crop a taken or chosen photo, then hand it to the page
+ * @param {File|Blob} file
+ */
+async function selectPhoto(file) {
+    try {
+        const cropped = await cropPhoto(file);
+        if (!cropped) return;
+
+        const processedBlob = await resizePhoto(cropped);
+        currentPhotoBlob = processedBlob;
+        photoSelectedCallback(processedBlob);
+    } catch (error) {
+        console.error('Error processing image:', error);
+    }
 }
 
 /**
@@ -2,6 +2,9 @@
  * Drawing Canvas Module with Stylus Support
  */
 
+import { createInk, createStroke, addPoint, createStrokeRenderer, renderInk, renderInkToCanvas, getInkExtent, isInkEmpty, cloneInk } from './ink.js';
+import { DEFAULT_PEN, getPen } from './brush.js';
+
 let canvas = null;
 let ctx = null;
 let isDrawing = false;
@@ -11,22 +14,63 @@ let currentColor = '#1B1B1B';
 let currentThickness = 2;
 let hasDrawn = false;
 let eraserMode = false;
-const ERASER_SIZE = 20;
-
-// For smooth line drawing
-let points = [];
+let currentPen = DEFAULT_PEN;
+
+// Vector ink for the current entry
+let ink = null;
+let currentStroke = null;
+let strokeRenderer = null;
+let inkStartTime = null;
+
+// Undo/redo history. A step is { stroke } for a drawn stroke or
+// { cleared, width, height } for Clear, which keeps the strokes it removed.
+let undoStack = [];
+let redoStack = [];
+let onHistoryChange = null;
+
+// Display geometry: the canvas backing store is sized in device pixels and
+// ink is drawn in page units, scaled to fit the current canvas size
+let cssWidth = 0;
+let cssHeight = 0;
+let pixelRatio = 1;
+let viewScale = 1;
+
+// Pixel density used when exporting the signature image
+const EXPORT_PIXEL_RATIO = 2;
+
+// Input filtering: 'all' accepts every pointer, 'palm' ignores touch while a
+// stylus is in use, 'pen' never draws with touch
+export const INPUT_MODES = ['all', 'palm', 'pen'];
+let inputMode = 'palm';
+let activePointerId = null;
+let activePointerType = null;
+let penInContact = false;
+let lastPenActivity = -Infinity;
+
+// A stylus counts as in use for this long after its last event (hover or contact)
+const PEN_ACTIVE_WINDOW_MS = 1000;
+
+// Pen button values from the Pointer Events spec
+const PEN_BARREL_BUTTON = 2;
+const PEN_ERASER_BUTTON = 5;
 
 /**
  * Initialize the drawing canvas
  * @param {Function} onDrawStart - Callback when drawing starts (to hide hint)
+ * @param {Function} [onHistory] - Callback with { canUndo, canRedo, isEmpty } when history changes
  */
-export function initCanvas(onDrawStart) {
+export function initCanvas(onDrawStart, onHistory) {
+    onHistoryChange = onHistory || null;
     canvas = document.getElementById('drawing-canvas');
     ctx = canvas.getContext('2d');
 
     // Set up canvas size
     resizeCanvas();
     window.addEventListener('resize', resizeCanvas);
+    if ('ResizeObserver' in window) {
+        new ResizeObserver(resizeCanvas).observe(canvas.parentElement);
+    }
+    watchPixelRatio();
 
     // Pointer events for stylus support
     canvas.addEventListener('pointerdown', (e) => handlePointerDown(e, onDrawStart));
@@ -39,12 +83,72 @@ export function initCanvas(onDrawStart) {
     canvas.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
     canvas.addEventListener('touchmove', (e) => e.preventDefault(), { passive: false });
 
-    // Set up drawing context
+    // The stylus barrel button is used for undo, not the context menu
+    canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+    resetInk();
+}
+
+/**
+ * Re-render when the device pixel ratio changes (zoom, moving between screens)
+ */
+function watchPixelRatio() {
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    query.addEventListener('change', () => {
+        resizeCanvas();
+        watchPixelRatio();
+    }, { once: true });
+}
+
+/**
+ * Start a fresh ink document sized to the current canvas
+ */
+function resetInk() {
+    ink = createInk(cssWidth, cssHeight);
+    viewScale = 1;
+    setupContext();
+    currentStroke = null;
+    strokeRenderer = null;
+    inkStartTime = null;
+    undoStack = [];
+    redoStack = [];
+}
+
+/**
+ * Redraw the whole canvas from the vector ink
+ */
+function redraw() {
+    clearPixels();
+    setupContext();
+    renderInk(ctx, ink);
     setupContext();
 }
 
 /**
- * Resize canvas to match container size
+ * Clear the whole backing store regardless of the current transform
+ */
+function clearPixels() {
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.restore();
+}
+
+/**
+ * Report the current undo/redo state to the app
+ */
+function notifyHistoryChange() {
+    if (!onHistoryChange) return;
+    onHistoryChange({
+        canUndo: canUndo(),
+        canRedo: canRedo(),
+        isEmpty: isInkEmpty(ink)
+    });
+}
+
+/**
+ * Resize canvas to match container size at device pixel density, then
+ * re-lay out the existing ink so all of it stays visible
  */
 function resizeCanvas() {
     if (!canvas) return;
@@ -52,26 +156,50 @@ function resizeCanvas() {
     const container = canvas.parentElement;
     const rect = container.getBoundingClientRect();
 
-    // Store current drawing
-    const imageData = hasDrawn ? ctx.getImageData(0, 0, canvas.width, canvas.height) : null;
+    // Hidden or collapsed - keep the current layout until there is room
+    if (rect.width === 0 || rect.height === 0) return;
 
-    // Set canvas size
-    canvas.width = rect.width;
-    canvas.height = rect.height;
+    const ratio = window.devicePixelRatio || 1;
+    if (rect.width === cssWidth && rect.height === cssHeight && ratio === pixelRatio) return;
 
-    // Restore context settings
-    setupContext();
+    cssWidth = rect.width;
+    cssHeight = rect.height;
+    pixelRatio = ratio;
+
+    // Set backing store size in device pixels
+    canvas.width = Math.round(cssWidth * pixelRatio);
+    canvas.height = Math.round(cssHeight * pixelRatio);
+
+    if (!ink) {
+        resetInk();
+        return;
+    }
 
-    // Restore drawing if any
-    if (imageData) {
-        ctx.putImageData(imageData, 0, 0);
+    // An empty page simply takes the new size; the undo history stays
+    if (isInkEmpty(ink) && !isDrawing) {
+        ink.width = cssWidth;
+        ink.height = cssHeight;
     }
+
+    fitView();
+    redraw();
+}
+
+/**
+ * Scale the view so the page (and any ink beyond it) fits the canvas
+ */
+function fitView() {
+    const extent = getInkExtent(ink);
+    viewScale = Math.min(cssWidth / extent.width, cssHeight / extent.height);
 }
 
 /**
  * Set up drawing context properties
  */
 function setupContext() {
+    const scale = pixelRatio * viewScale;
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.globalCompositeOperation = 'source-over';
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
     ctx.strokeStyle = currentColor;
@@ -79,104 +207,201 @@ function setupContext() {
 }
 
 /**
- * Handle pointer down (start drawing)
+ * Convert a pointer event position to page coordinates
+ * @param {PointerEvent} e
+ * @returns {{x: number, y: number}}
  */
-function handlePointerDown(e, onDrawStart) {
-    isDrawing = true;
-
+function toPagePoint(e) {
     const rect = canvas.getBoundingClientRect();
-    lastX = e.clientX - rect.left;
-    lastY = e.clientY - rect.top;
+    return {
+        x: (e.clientX - rect.left) / viewScale,
+        y: (e.clientY - rect.top) / viewScale
+    };
+}
 
-    points = [{ x: lastX, y: lastY }];
+/**
+ * Read a recorded point (page coordinates, pressure, tilt, time) from a pointer event
+ * @param {PointerEvent} e
+ * @returns {Object}
+ */
+function readPoint(e) {
+    const { x, y } = toPagePoint(e);
+
+    // A real stylus reports 0 at first contact; mice and touch get 0.5 if unsupported
+    const pressure = e.pointerType === 'pen' ? e.pressure : (e.pressure || 0.5);
+
+    return {
+        x,
+        y,
+        pressure,
+        tiltX: e.tiltX,
+        tiltY: e.tiltY,
+        twist: e.twist,
+        t: e.timeStamp - inkStartTime
+    };
+}
 
-    // Capture pointer for this element
-    canvas.setPointerCapture(e.pointerId);
+/**
+ * Remember when a stylus was last seen (hovering or touching)
+ * @param {PointerEvent} e
+ */
+function notePenActivity(e) {
+    if (e.pointerType === 'pen') {
+        lastPenActivity = e.timeStamp;
+    }
+}
 
-    // Notify that drawing has started
-    if (!hasDrawn && onDrawStart) {
-        hasDrawn = true;
-        onDrawStart();
+/**
+ * Check whether a touch pointer should be ignored under the current input mode
+ * @param {PointerEvent} e
+ * @returns {boolean}
+ */
+function isTouchRejected(e) {
+    if (e.pointerType !== 'touch') return false;
+    if (inputMode === 'pen') return true;
+    if (inputMode === 'palm') {
+        return penInContact || e.timeStamp - lastPenActivity < PEN_ACTIVE_WINDOW_MS;
     }
+    return false;
 }
 
 /**
- * Handle pointer move (draw)
+ * Drop the stroke in progress (a palm that landed before the pen)
  */
-function handlePointerMove(e) {
-    if (!isDrawing) return;
+function discardCurrentStroke() {
+    const index = ink.strokes.indexOf(currentStroke);
+    if (index !== -1) {
+        ink.strokes.splice(index, 1);
+    }
+    undoStack = undoStack.filter(step => step.stroke !== currentStroke);
 
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+    if (canvas.hasPointerCapture(activePointerId)) {
+        canvas.releasePointerCapture(activePointerId);
+    }
 
-    // Get pressure (1.0 if not supported)
-    const pressure = e.pressure || 0.5;
+    isDrawing = false;
+    activePointerId = null;
+    activePointerType = null;
+    currentStroke = null;
+    strokeRenderer = null;
+    hasDrawn = !isInkEmpty(ink);
+    redraw();
+}
 
-    // Adjust line width based on pressure (for stylus)
-    const dynamicWidth = currentThickness * (0.5 + pressure);
+/**
+ * Handle pointer down (start drawing)
+ */
+function handlePointerDown(e, onDrawStart) {
+    notePenActivity(e);
+    if (e.pointerType === 'pen') {
+        penInContact = true;
+    }
 
-    // Add point to array for smooth curves
-    points.push({ x, y });
+    if (isTouchRejected(e)) return;
 
-    // Draw smooth line
-    drawSmoothLine(eraserMode ? ERASER_SIZE : dynamicWidth);
+    if (isDrawing) {
+        // A pen landing during a touch stroke means the touch was a palm
+        if (e.pointerType === 'pen' && activePointerType === 'touch' && inputMode !== 'all') {
+            discardCurrentStroke();
+        } else {
+            // Extra fingers never start a second stroke
+            return;
+        }
+    }
 
-    lastX = x;
-    lastY = y;
-}
+    // Stylus barrel button undoes the last stroke instead of drawing
+    if (e.pointerType === 'pen' && e.button === PEN_BARREL_BUTTON) {
+        e.preventDefault();
+        undo();
+        return;
+    }
 
-/**
- * Draw a smooth line using quadratic curves
- */
-function drawSmoothLine(lineWidth) {
-    if (points.length < 2) return;
+    isDrawing = true;
+    activePointerId = e.pointerId;
+    activePointerType = e.pointerType;
 
-    ctx.beginPath();
-    ctx.globalCompositeOperation = eraserMode ? 'destination-out' : 'source-over';
-    ctx.strokeStyle = eraserMode ? 'rgba(0,0,0,1)' : currentColor;
-    ctx.lineWidth = lineWidth;
+    if (inkStartTime === null) {
+        inkStartTime = e.timeStamp;
+    }
 
-    // If only 2 points, draw a simple line
-    if (points.length === 2) {
-        ctx.moveTo(points[0].x, points[0].y);
-        ctx.lineTo(points[1].x, points[1].y);
-    } else {
-        // Use quadratic curves for smoothness
-        ctx.moveTo(points[0].x, points[0].y);
+    const point = readPoint(e);
+    lastX = point.x;
+    lastY = point.y;
+
+    currentStroke = createStroke({
+        color: currentColor,
+        width: currentThickness,
+        // The eraser end of a stylus erases without switching modes
+        eraser: eraserMode || e.button === PEN_ERASER_BUTTON,
+        pen: currentPen,
+        pointerType: e.pointerType
+    });
+    addPoint(currentStroke, point);
+    ink.strokes.push(currentStroke);
+    strokeRenderer = createStrokeRenderer(ctx, currentStroke);
 
-        for (let i = 1; i < points.length - 1; i++) {
-            const midX = (points[i].x + points[i + 1].x) / 2;
-            const midY = (points[i].y + points[i + 1].y) / 2;
-            ctx.quadraticCurveTo(points[i].x, points[i].y, midX, midY);
-        }
+    // A new stroke starts a new branch of history
+    undoStack.push({ stroke: currentStroke });
+    redoStack = [];
 
-        // Last point
-        const lastPoint = points[points.length - 1];
-        ctx.lineTo(lastPoint.x, lastPoint.y);
+    // Capture pointer for this element
+    canvas.setPointerCapture(e.pointerId);
+
+    // Notify that drawing has started
+    if (!hasDrawn && onDrawStart) {
+        hasDrawn = true;
+        onDrawStart();
     }
 
-    ctx.stroke();
+    notifyHistoryChange();
+}
 
-    // Keep only the last few points for continuous smoothness
-    if (points.length > 3) {
-        points = points.slice(-3);
+/**
+ * Handle pointer move (draw)
+ */
+function handlePointerMove(e) {
+    notePenActivity(e);
+    if (!isDrawing || e.pointerId !== activePointerId) return;
+
+    // Use every sample the pen reported since the last frame
+    const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+
+    for (const sample of (events.length > 0 ? events : [e])) {
+        const point = readPoint(sample);
+        addPoint(currentStroke, point);
+        lastX = point.x;
+        lastY = point.y;
     }
+
+    // Draw the new segments
+    strokeRenderer.drawTo(currentStroke.points.length - 1);
 }
 
 /**
  * Handle pointer up (stop drawing)
  */
 function handlePointerUp(e) {
-    if (!isDrawing) return;
+    notePenActivity(e);
+    if (e.pointerType === 'pen') {
+        penInContact = false;
+    }
+
+    if (!isDrawing || e.pointerId !== activePointerId) return;
 
     isDrawing = false;
-    points = [];
+    activePointerId = null;
+    activePointerType = null;
+    strokeRenderer.finish();
+    setupContext();
+    currentStroke = null;
+    strokeRenderer = null;
 
     // Release pointer capture
     if (e.pointerId !== undefined) {
         canvas.releasePointerCapture(e.pointerId);
     }
+
+    notifyHistoryChange();
 }
 
 /**
@@ -202,13 +427,133 @@ export function setThickness(thickness) {
 }
 
 /**
- * Clear the canvas
+ * Set pen type (see brush.js)
+ * @param {string} pen - Pen type
+ */
+export function setPenType(pen) {
+    if (getPen(pen)) {
+        currentPen = pen;
+    }
+}
+
+/**
+ * Get current pen type
+ * @returns {string}
+ */
+export function getPenType() {
+    return currentPen;
+}
+
+/**
+ * Set which pointers may draw
+ * @param {string} mode - 'all', 'palm' (ignore touch while a pen is in use) or 'pen' (pen and mouse only)
+ */
+export function setInputMode(mode) {
+    if (INPUT_MODES.includes(mode)) {
+        inputMode = mode;
+    }
+}
+
+/**
+ * Get the current input mode
+ * @returns {string}
+ */
+export function getInputMode() {
+    return inputMode;
+}
+
+/**
+ * Clear the canvas and its undo history (for a new entry)
  */
 export function clearCanvas() {
     if (!ctx) return;
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    clearPixels();
     hasDrawn = false;
-    points = [];
+    resetInk();
+    notifyHistoryChange();
+}
+
+/**
+ * Remove every stroke as one step that can be undone (the Clear button)
+ */
+export function clearStrokes() {
+    if (!ctx || isDrawing || isInkEmpty(ink)) return;
+
+    undoStack.push({ cleared: ink.strokes, width: ink.width, height: ink.height });
+    redoStack = [];
+    applyClear();
+    notifyHistoryChange();
+}
+
+/**
+ * Empty the page, sized to the canvas again
+ */
+function applyClear() {
+    ink.strokes = [];
+    ink.width = cssWidth;
+    ink.height = cssHeight;
+    hasDrawn = false;
+    fitView();
+    redraw();
+}
+
+/**
+ * Undo the last step (a stroke or Clear)
+ * @returns {boolean} - Whether a step was undone
+ */
+export function undo() {
+    if (!canUndo()) return false;
+
+    const step = undoStack.pop();
+    if (step.cleared) {
+        ink.strokes = step.cleared.slice();
+        ink.width = step.width;
+        ink.height = step.height;
+        fitView();
+    } else {
+        ink.strokes.pop();
+    }
+    redoStack.push(step);
+    hasDrawn = !isInkEmpty(ink);
+    redraw();
+    notifyHistoryChange();
+    return true;
+}
+
+/**
+ * Redo the last undone step
+ * @returns {boolean} - Whether a step was redone
+ */
+export function redo() {
+    if (!canRedo()) return false;
+
+    const step = redoStack.pop();
+    undoStack.push(step);
+    if (step.cleared) {
+        applyClear();
+    } else {
+        ink.strokes.push(step.stroke);
+        hasDrawn = true;
+        redraw();
+    }
+    notifyHistoryChange();
+    return true;
+}
+
+/**
+ * Check if there is a step to undo
+ * @returns {boolean}
+ */
+export function canUndo() {
+    return !isDrawing && undoStack.length > 0;
+}
+
+/**
+ * Check if there is a step to redo
+ * @returns {boolean}
+ */
+export function canRedo() {
+    return !isDrawing && redoStack.length > 0;
 }
 
 /**
@@ -219,13 +564,21 @@ export function hasContent() {
     return hasDrawn;
 }
 
+/**
+ * Render the ink at export resolution, covering every stroke
+ * @returns {HTMLCanvasElement}
+ */
+function renderExportCanvas() {
+    return renderInkToCanvas(ink, Math.max(EXPORT_PIXEL_RATIO, pixelRatio));
+}
+
 /**
  * Get canvas as PNG blob
  * @returns {Promise<Blob>}
  */
 export function getCanvasBlob() {
     return new Promise((resolve) => {
-        canvas.toBlob((blob) => {
+        renderExportCanvas().toBlob((blob) => {
             resolve(blob);
         }, 'image/png');
     });
@@ -236,7 +589,28 @@ export function getCanvasBlob() {
  * @returns {string}
  */
 export function getCanvasDataURL() {
-    return canvas.toDataURL('image/png');
+    return renderExportCanvas().toDataURL('image/png');
+}
+
+/**
+ * Get the vector strokes of the current drawing
+ * @returns {Object|null} - Ink document, or null if nothing was drawn
+ */
+export function getInkData() {
+    if (isInkEmpty(ink)) return null;
+
+    // Grow the page to cover ink drawn past its edges
+    const data = cloneInk(ink);
+    const extent = getInkExtent(ink);
+    data.width = extent.width;
+    data.height = extent.height;
+
+    // Count time from the first point kept, not from strokes since cleared
+    // or undone, so a replay does not start with a pause
+    let start = Infinity;
+    data.strokes.forEach(stroke => stroke.points.forEach(point => { start = Math.min(start, point.t); }));
+    data.strokes.forEach(stroke => stroke.points.forEach(point => { point.t -= start; }));
+    return data;
 }
 
 /**
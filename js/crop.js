@@ -0,0 +1,392 @@
+/**
+ * Crop Module - square crop, rotate and zoom step for photos
+ *
+ * Photos are shown in circles (visitor cards, the browse list), so each one
+ * is cropped to a square before it is resized. The editor starts centered
+ * on the largest face where the browser has a FaceDetector (Shape
+ * Detection API), otherwise on the middle of the picture. JPEG EXIF
+ * orientation is applied here when the browser does not do it itself.
+ * The result is a canvas, so image.js encodes the photo only once.
+ */
+
+import { getSetting, setSetting } from './storage.js';
+import { loadImage } from './image.js';
+
+const AUTO_FACE_SETTING = 'autoFaceCrop';
+
+// Largest side kept while editing, the largest photo size (image.js)
+const SOURCE_MAX_SIZE = 2400;
+const MAX_ZOOM = 4;
+
+// Side of the automatic crop as a multiple of the face size
+const FACE_PADDING = 2.2;
+
+// Open editor: { source, cx, cy, side, adjusted (moved by the user), resolve }
+let editor = null;
+
+// ============ ORIENTATION ============
+
+/**
+ * Read the EXIF orientation (1-8) of a JPEG
+ * @param {Blob} blob
+ * @returns {Promise<number>} - 1 when there is none
+ */
+export async function readExifOrientation(blob) {
+    const view = new DataView(await blob.slice(0, 128 * 1024).arrayBuffer());
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        const length = view.getUint16(offset + 2);
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+
+        // APP1 segment starting with "Exif\0\0"
+        if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+            return readTIFFOrientation(view, offset + 10);
+        }
+        offset += 2 + length;
+    }
+    return 1;
+}
+
+function readTIFFOrientation(view, tiff) {
+    if (tiff + 8 > view.byteLength) return 1;
+
+    const little = view.getUint16(tiff) === 0x4949;
+    const ifd = tiff + view.getUint32(tiff + 4, little);
+    if (ifd + 2 > view.byteLength) return 1;
+
+    const count = view.getUint16(ifd, little);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+        if (view.getUint16(entry, little) === 0x0112) {
+            const orientation = view.getUint16(entry + 8, little);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+    }
+    return 1;
+}
+
+/**
+ * Load a photo upright, scaled down for editing
+ * @param {Blob} blob
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function loadUpright(blob) {
+    const image = await loadImage(blob);
+
+    // Current browsers already turn the image while decoding it
+    const orientation = CSS.supports('image-orientation', 'from-image') ? 1 : await readExifOrientation(blob);
+    const swap = orientation >= 5;
+
+    const scale = Math.min(1, SOURCE_MAX_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+    const width = Math.round(image.naturalWidth * scale);
+    const height = Math.round(image.naturalHeight * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = swap ? height : width;
+    canvas.height = swap ? width : height;
+
+    const ctx = canvas.getContext('2d');
+    switch (orientation) {
+        case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+        case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+        case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+        case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+        case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+        case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+    }
+    ctx.drawImage(image, 0, 0, width, height);
+    return canvas;
+}
+
+/**
+ * Turn a canvas a quarter turn
+ * @param {HTMLCanvasElement} source
+ * @param {number} direction - 1 clockwise, -1 counterclockwise
+ * @returns {HTMLCanvasElement}
+ */
+function rotateCanvas(source, direction) {
+    const canvas = document.createElement('canvas');
+    canvas.width = source.height;
+    canvas.height = source.width;
+
+    const ctx = canvas.getContext('2d');
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate((direction * Math.PI) / 2);
+    ctx.drawImage(source, -source.width / 2, -source.height / 2);
+    return canvas;
+}
+
+// ============ FRAMING ============
+
+/**
+ * Whether faces can be found in photos in this browser
+ * @returns {boolean}
+ */
+export function isFaceDetectionSupported() {
+    return 'FaceDetector' in window;
+}
+
+/**
+ * Find the largest face
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<DOMRectReadOnly|null>}
+ */
+async function detectFace(canvas) {
+    if (!isFaceDetectionSupported()) return null;
+
+    try {
+        const faces = await new FaceDetector({ maxDetectedFaces: 10, fastMode: true }).detect(canvas);
+        let largest = null;
+        for (const { boundingBox } of faces) {
+            if (!largest || boundingBox.width * boundingBox.height > largest.width * largest.height) {
+                largest = boundingBox;
+            }
+        }
+        return largest;
+    } catch (error) {
+        // Some platforms expose the API without a working detector
+        console.log('Face detection unavailable:', error);
+        return null;
+    }
+}
+
+/**
+ * Square around the face, or the largest square in the middle
+ * @returns {{cx: number, cy: number, side: number}}
+ */
+function initialCrop(width, height, face) {
+    const maxSide = Math.min(width, height);
+    if (!face) {
+        return { cx: width / 2, cy: height / 2, side: maxSide };
+    }
+
+    const side = Math.min(maxSide, Math.max(face.width, face.height) * FACE_PADDING);
+    return clampCrop(width, height, {
+        cx: face.x + face.width / 2,
+        cy: face.y + face.height / 2,
+        side
+    });
+}
+
+/**
+ * Keep the square inside the picture
+ */
+function clampCrop(width, height, { cx, cy, side }) {
+    const maxSide = Math.min(width, height);
+    const clampedSide = Math.min(maxSide, Math.max(maxSide / MAX_ZOOM, side));
+    const half = clampedSide / 2;
+    return {
+        cx: Math.min(width - half, Math.max(half, cx)),
+        cy: Math.min(height - half, Math.max(half, cy)),
+        side: clampedSide
+    };
+}
+
+/**
+ * Draw the cropped square
+ * @returns {HTMLCanvasElement}
+ */
+function renderCrop(source, { cx, cy, side }) {
+    const size = Math.round(side);
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    canvas.getContext('2d').drawImage(source, cx - side / 2, cy - side / 2, side, side, 0, 0, size, size);
+    return canvas;
+}
+
+async function isAutoFaceEnabled() {
+    return isFaceDetectionSupported() && (await getSetting(AUTO_FACE_SETTING, true));
+}
+
+/**
+ * Crop a photo to a square without asking, on the face where possible
+ * @param {Blob} blob
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function autoCropPhoto(blob) {
+    const source = await loadUpright(blob);
+    const face = (await isAutoFaceEnabled()) ? await detectFace(source) : null;
+    return renderCrop(source, initialCrop(source.width, source.height, face));
+}
+
+// ============ EDITOR ============
+
+let viewSetup = false;
+
+/**
+ * Let the user crop, turn and zoom a photo
+ * @param {Blob} blob - Photo as chosen or taken
+ * @returns {Promise<HTMLCanvasElement|null>} - Square crop, or null if cancelled
+ */
+export async function cropPhoto(blob) {
+    closeCropEditor();
+    setupEditor();
+
+    const source = await loadUpright(blob);
+    const autoFace = await isAutoFaceEnabled();
+
+    document.getElementById('crop-auto-face-option').classList.toggle('hidden', !isFaceDetectionSupported());
+    document.getElementById('crop-auto-face').checked = autoFace;
+    document.getElementById('crop-modal').classList.remove('hidden');
+
+    return new Promise(resolve => {
+        editor = { source, resolve };
+        frame(autoFace);
+    });
+}
+
+/**
+ * Close the editor as if cancelled
+ */
+export function closeCropEditor() {
+    finish(null);
+}
+
+function finish(result) {
+    if (!editor) return;
+    const { resolve } = editor;
+    editor = null;
+    document.getElementById('crop-modal').classList.add('hidden');
+    resolve(result);
+}
+
+/**
+ * Start from the middle straight away, then move to the face once it is
+ * found, unless the user has moved the crop by then
+ * @param {boolean} onFace
+ */
+async function frame(onFace) {
+    const { source } = editor;
+    Object.assign(editor, initialCrop(source.width, source.height, null), { adjusted: false });
+    draw();
+    if (!onFace) return;
+
+    const current = editor;
+    const face = await detectFace(source);
+    if (!face || editor !== current || editor.source !== source || editor.adjusted) return;
+
+    Object.assign(editor, initialCrop(source.width, source.height, face));
+    draw();
+}
+
+function draw() {
+    const canvas = document.getElementById('crop-canvas');
+    const rect = canvas.getBoundingClientRect();
+    const size = Math.round(rect.width * (window.devicePixelRatio || 1)) || 480;
+    if (canvas.width !== size) {
+        canvas.width = size;
+        canvas.height = size;
+    }
+
+    const { source, cx, cy, side } = editor;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, size, size);
+    ctx.drawImage(source, cx - side / 2, cy - side / 2, side, side, 0, 0, size, size);
+
+    const maxSide = Math.min(source.width, source.height);
+    document.getElementById('crop-zoom').value = String(maxSide / side);
+}
+
+function update(changes) {
+    Object.assign(editor, clampCrop(editor.source.width, editor.source.height, { ...editor, ...changes }), { adjusted: true });
+    draw();
+}
+
+function zoomTo(zoom) {
+    const maxSide = Math.min(editor.source.width, editor.source.height);
+    update({ side: maxSide / Math.min(MAX_ZOOM, Math.max(1, zoom)) });
+}
+
+function rotate(direction) {
+    editor.source = rotateCanvas(editor.source, direction);
+    frame(document.getElementById('crop-auto-face').checked);
+}
+
+/**
+ * Wire up the dialog once: drag to move, pinch, wheel or slider to zoom
+ */
+function setupEditor() {
+    if (viewSetup) return;
+    viewSetup = true;
+
+    const viewport = document.getElementById('crop-viewport');
+    const pointers = new Map();
+    let pinchDistance = 0;
+
+    const distance = () => {
+        const [a, b] = [...pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    };
+
+    viewport.addEventListener('pointerdown', (e) => {
+        if (!editor) return;
+        viewport.setPointerCapture(e.pointerId);
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (pointers.size === 2) pinchDistance = distance();
+    });
+
+    viewport.addEventListener('pointermove', (e) => {
+        const last = pointers.get(e.pointerId);
+        if (!editor || !last) return;
+
+        const point = { x: e.clientX, y: e.clientY };
+        pointers.set(e.pointerId, point);
+
+        if (pointers.size === 2) {
+            const current = distance();
+            if (pinchDistance > 0) {
+                const maxSide = Math.min(editor.source.width, editor.source.height);
+                zoomTo((maxSide / editor.side) * (current / pinchDistance));
+            }
+            pinchDistance = current;
+            return;
+        }
+
+        // Screen pixels to source pixels
+        const scale = editor.side / viewport.clientWidth;
+        update({ cx: editor.cx - (point.x - last.x) * scale, cy: editor.cy - (point.y - last.y) * scale });
+    });
+
+    const release = (e) => {
+        pointers.delete(e.pointerId);
+        pinchDistance = 0;
+    };
+    viewport.addEventListener('pointerup', release);
+    viewport.addEventListener('pointercancel', release);
+
+    viewport.addEventListener('wheel', (e) => {
+        if (!editor) return;
+        e.preventDefault();
+        const maxSide = Math.min(editor.source.width, editor.source.height);
+        zoomTo((maxSide / editor.side) * (e.deltaY < 0 ? 1.1 : 1 / 1.1));
+    }, { passive: false });
+
+    document.getElementById('crop-zoom').max = String(MAX_ZOOM);
+    document.getElementById('crop-zoom').addEventListener('input', (e) => {
+        if (editor) zoomTo(Number(e.target.value));
+    });
+    document.getElementById('btn-crop-rotate-left').addEventListener('click', () => editor && rotate(-1));
+    document.getElementById('btn-crop-rotate-right').addEventListener('click', () => editor && rotate(1));
+    document.getElementById('btn-crop-reset').addEventListener('click', () => {
+        if (editor) frame(document.getElementById('crop-auto-face').checked);
+    });
+
+    document.getElementById('crop-auto-face').addEventListener('change', (e) => {
+        setSetting(AUTO_FACE_SETTING, e.target.checked).catch(error => {
+            console.error('Error saving crop setting:', error);
+        });
+        if (editor) frame(e.target.checked);
+    });
+
+    document.getElementById('btn-crop-cancel').addEventListener('click', closeCropEditor);
+    document.getElementById('btn-crop-use').addEventListener('click', () => {
+        if (editor) finish(renderCrop(editor.source, editor));
+    });
+}
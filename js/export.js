@@ -0,0 +1,490 @@
+/**
+ * Export Module - JSON, CSV, ZIP and PDF exports of visitor book entries
+ *
+ * Everything is generated client-side from the entries in IndexedDB.
+ * Builders take entry metadata as an array or an async iterable (such as
+ * iterateEntries()) and load each entry's media as they reach it.
+ */
+
+import { createZip } from './zip.js';
+import { createPDF, isPrintableText, A4_LANDSCAPE } from './pdf.js';
+import { renderInkToCanvas, getInkExtent, isInkEmpty } from './ink.js';
+import { getEntryMedia, dataURLToBlob, blobToDataURL } from './storage.js';
+import { encodeImage } from './image.js';
+
+// Identifies our own ZIP manifests
+export const EXPORT_FORMAT = 'visitorbook-export';
+export const EXPORT_VERSION = 1;
+
+// Longest side of the handwriting image in the PDF (about 200 dpi on A4)
+const PDF_SIGNATURE_MAX_SIZE = 2100;
+const PDF_PHOTO_MAX_SIZE = 400;
+
+// The PDF writer and the ZIP photos/*.jpg names take JPEG only
+const EXPORT_JPEG = { format: 'image/jpeg', quality: 0.9 };
+
+// Pixels per point for text drawn as an image (about 300 dpi)
+const PDF_TEXT_SCALE = 4;
+
+// Text images already added to each PDF, so a repeated footer is stored once
+const pdfTextImages = new WeakMap();
+
+/**
+ * Convert stored media (Blob or data URL) to a Blob
+ * @param {Blob|string|null} value
+ * @returns {Promise<Blob|null>}
+ */
+async function mediaToBlob(value) {
+    if (!value) return null;
+    if (value instanceof Blob) return value;
+    return dataURLToBlob(value);
+}
+
+/**
+ * Convert stored media (Blob or data URL) to a data URL
+ * @param {Blob|string|null} value
+ * @returns {Promise<string|null>}
+ */
+async function mediaToDataURL(value) {
+    if (!value) return null;
+    if (value instanceof Blob) return blobToDataURL(value);
+    return value;
+}
+
+/**
+ * Add the stored images and strokes to an entry. Loaded one entry at a
+ * time so large books are never fully in memory.
+ */
+async function withMedia(entry) {
+    // Entries that could not be saved (see handleSubmit) carry their media
+    if (entry.id === undefined) return entry;
+    return { ...entry, ...(await getEntryMedia(entry.id)), id: entry.id };
+}
+
+/**
+ * File-name-safe version of a name: "Jane Doe" -> jane-doe
+ */
+function slugify(text) {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/[\s_-]+/g, '-')
+        .slice(0, 40);
+}
+
+/**
+ * Base file name for an entry's media: 0001-jane-doe
+ */
+function entryFileName(entry, index) {
+    return `${String(index + 1).padStart(4, '0')}-${slugify(entry.name) || 'anonymous'}`;
+}
+
+/**
+ * Event details included in JSON exports and ZIP manifests
+ */
+function eventRecord(event) {
+    if (!event) return null;
+    return {
+        name: event.name,
+        date: event.date || '',
+        venue: event.venue || ''
+    };
+}
+
+/**
+ * Format an entry timestamp for people
+ */
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Quote a CSV field. Fields that spreadsheets would run as formulas are
+ * prefixed with an apostrophe.
+ */
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Build a CSV string from rows
+ * @param {Array<string>} header
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+function toCSV(header, rows) {
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * CSV row of an entry's id/name/designation/timestamp (ISO 8601)
+ */
+function entryCSVRow(entry) {
+    return [entry.id, entry.name || '', entry.designation || '', new Date(entry.timestamp).toISOString()];
+}
+
+/**
+ * Entries CSV from rows made by entryCSVRow()
+ */
+function entriesCSV(rows) {
+    return toCSV(['id', 'name', 'designation', 'timestamp'], rows);
+}
+
+// ============ FORMATS ============
+
+/**
+ * Entry fields shared by the JSON export and the ZIP manifest. Images are
+ * filled in by each format (data URLs or file paths).
+ */
+function entryRecord(entry) {
+    return {
+        id: entry.id,
+        uid: entry.uid,
+        name: entry.name || '',
+        designation: entry.designation || '',
+        timestamp: entry.timestamp,
+        photo: null,
+        signature: null,
+        ink: entry.ink || null,
+        history: entry.history || []
+    };
+}
+
+/**
+ * Visitor fields shared by the JSON export and the ZIP manifest
+ * (photo filled in by each format)
+ */
+function visitorRecord(visitor) {
+    return {
+        id: visitor.id,
+        name: visitor.name || '',
+        designation: visitor.designation || '',
+        createdAt: visitor.createdAt,
+        photo: null
+    };
+}
+
+/**
+ * JSON export with photos and signatures inlined as data URLs
+ * @param {Iterable|AsyncIterable} entries
+ * @param {Object} [options] - { event, visitors }
+ * @returns {Promise<Blob>}
+ */
+export async function buildJSONExport(entries, { event, visitors = [] } = {}) {
+    const exportData = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        event: eventRecord(event),
+        entries: [],
+        visitors: []
+    };
+
+    for await (const metadata of entries) {
+        const entry = await withMedia(metadata);
+        exportData.entries.push({
+            ...entryRecord(entry),
+            photo: await mediaToDataURL(entry.photo),
+            signature: await mediaToDataURL(entry.signature)
+        });
+    }
+
+    for (const visitor of visitors) {
+        exportData.visitors.push({ ...visitorRecord(visitor), photo: await mediaToDataURL(visitor.photo) });
+    }
+
+    const json = JSON.stringify(exportData, null, 2);
+    return new Blob([json], { type: 'application/json' });
+}
+
+/**
+ * CSV export of name, designation and timestamp
+ * @param {Iterable|AsyncIterable} entries
+ * @returns {Promise<Blob>}
+ */
+export async function buildCSVExport(entries) {
+    const rows = [];
+    for await (const entry of entries) {
+        rows.push(entryCSVRow(entry));
+    }
+
+    // Byte order mark so spreadsheet apps read the file as UTF-8
+    return new Blob(['\uFEFF', entriesCSV(rows)], { type: 'text/csv;charset=utf-8' });
+}
+
+/**
+ * JPEG bytes and size for the PDF writer
+ * @param {Blob|HTMLCanvasElement} source
+ * @param {number} maxSize - Longest side of the output
+ * @returns {Promise<{bytes: Uint8Array, width: number, height: number}>}
+ */
+async function pdfJPEG(source, maxSize) {
+    const { blob, width, height } = await encodeImage(source, maxSize, EXPORT_JPEG);
+    return { bytes: new Uint8Array(await blob.arrayBuffer()), width, height };
+}
+
+/**
+ * Photo as JPEG for the ZIP, re-encoding other formats at full size
+ */
+async function photoJPEG(value) {
+    const photo = await mediaToBlob(value);
+    if (!photo || photo.type === 'image/jpeg') return photo;
+
+    return (await encodeImage(photo, Infinity, EXPORT_JPEG)).blob;
+}
+
+/**
+ * ZIP export: photos/*.jpg, signatures/*.png, visitors/*.jpg, entries.csv
+ * and manifest.json
+ * @param {Iterable|AsyncIterable} entries
+ * @param {Object} [options] - { event, visitors, total (entry count for
+ *                            progress), onProgress(done, total) }
+ * @returns {Promise<Blob>}
+ */
+export async function buildZipExport(entries, { event, visitors = [], total = entries.length, onProgress } = {}) {
+    const files = [];
+    const manifestEntries = [];
+    const manifestVisitors = [];
+    const csvRows = [];
+    let index = 0;
+
+    for await (const metadata of entries) {
+        const entry = await withMedia(metadata);
+        const baseName = entryFileName(entry, index);
+        const date = new Date(entry.timestamp);
+        const record = entryRecord(entry);
+
+        const photo = await photoJPEG(entry.photo);
+        if (photo) {
+            record.photo = `photos/${baseName}.jpg`;
+            files.push({ name: record.photo, data: photo, date });
+        }
+
+        const signature = await mediaToBlob(entry.signature);
+        if (signature) {
+            record.signature = `signatures/${baseName}.png`;
+            files.push({ name: record.signature, data: signature, date });
+        }
+
+        manifestEntries.push(record);
+        csvRows.push(entryCSVRow(entry));
+
+        index++;
+        if (onProgress) onProgress(index, total);
+    }
+
+    for (const [visitorIndex, visitor] of visitors.entries()) {
+        const record = visitorRecord(visitor);
+
+        const photo = await photoJPEG(visitor.photo);
+        if (photo) {
+            record.photo = `visitors/${entryFileName(visitor, visitorIndex)}.jpg`;
+            files.push({ name: record.photo, data: photo, date: new Date(visitor.createdAt) });
+        }
+
+        manifestVisitors.push(record);
+    }
+
+    const manifest = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        event: eventRecord(event),
+        entries: manifestEntries,
+        visitors: manifestVisitors
+    };
+
+    files.push({ name: 'entries.csv', data: '\uFEFF' + entriesCSV(csvRows) });
+    files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+    return createZip(files);
+}
+
+/**
+ * Render an entry's handwriting as a print-quality JPEG
+ */
+async function signatureJPEG(entry) {
+    if (!isInkEmpty(entry.ink)) {
+        // Re-render the vector strokes at print resolution
+        const extent = getInkExtent(entry.ink);
+        const ratio = PDF_SIGNATURE_MAX_SIZE / Math.max(extent.width, extent.height);
+        const canvas = renderInkToCanvas(entry.ink, ratio);
+        return pdfJPEG(canvas, PDF_SIGNATURE_MAX_SIZE);
+    }
+
+    const signature = await mediaToBlob(entry.signature);
+    if (!signature) return null;
+
+    return pdfJPEG(signature, PDF_SIGNATURE_MAX_SIZE);
+}
+
+/**
+ * Draw text on a PDF page. Text the standard fonts cannot print (names in
+ * Devanagari, Chinese and so on) is drawn with the system fonts into an
+ * image, the way the handwriting is, instead of printing as '????'.
+ * @param {Object} pdf - From createPDF()
+ * @param {Object} page - From pdf.addPage()
+ * @param {string} text
+ * @param {number} x
+ * @param {number} top - Baseline
+ * @param {Object} [options] - As for page.text()
+ */
+async function drawText(pdf, page, text, x, top, options = {}) {
+    if (isPrintableText(text)) {
+        page.text(text, x, top, options);
+        return;
+    }
+
+    const { size = 12, font = 'regular', color = [0, 0, 0] } = options;
+    const ascent = size * 1.2;
+
+    if (!pdfTextImages.has(pdf)) pdfTextImages.set(pdf, new Map());
+    const added = pdfTextImages.get(pdf);
+    const key = JSON.stringify([text, size, font, color]);
+    if (!added.has(key)) {
+        added.set(key, await renderTextJPEG(pdf, text, { size, font, color, ascent }));
+    }
+
+    const image = added.get(key);
+    page.image(image.name, x, top - ascent, image.width / PDF_TEXT_SCALE, image.height / PDF_TEXT_SCALE);
+}
+
+/**
+ * Text as an image for drawText(), its baseline ascent points from the top
+ */
+async function renderTextJPEG(pdf, text, { size, font, color, ascent }) {
+    const style = { regular: '', bold: 'bold ', italic: 'italic ' }[font] || '';
+    const css = `${style}${size * PDF_TEXT_SCALE}px Helvetica, Arial, sans-serif`;
+
+    // Room below the baseline for descenders
+    const descent = size * 0.5;
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = css;
+    canvas.width = Math.max(1, Math.ceil(ctx.measureText(text).width) + 2);
+    canvas.height = Math.ceil((ascent + descent) * PDF_TEXT_SCALE);
+
+    // Resizing the canvas resets its state
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = css;
+    ctx.fillStyle = `rgb(${color.map(value => Math.round(value * 255)).join(', ')})`;
+    ctx.fillText(text, 1, ascent * PDF_TEXT_SCALE);
+
+    const jpeg = await pdfJPEG(canvas, Infinity);
+    return { name: pdf.addJPEG(jpeg.bytes, jpeg.width, jpeg.height), width: jpeg.width, height: jpeg.height };
+}
+
+/**
+ * Print-ready PDF book with one A4 landscape page per entry
+ * @param {Iterable|AsyncIterable} entries
+ * @param {Object} [options] - { event, total (entry count for page numbers
+ *                            and progress), onProgress(done, total) }
+ * @returns {Promise<Blob>}
+ */
+export async function buildPDFExport(entries, { event, total = entries.length, onProgress } = {}) {
+    const pdf = createPDF();
+    const title = event ? event.name : 'Visitor Book';
+    const footer = event ? [event.name, event.date, event.venue].filter(Boolean).join(' · ') : title;
+    const margin = 40;
+    const photoSize = 72;
+    const headerBottom = margin + photoSize + 16;
+    const footerTop = A4_LANDSCAPE.height - margin + 12;
+    const muted = [0.45, 0.45, 0.45];
+
+    let index = 0;
+    for await (const metadata of entries) {
+        const entry = await withMedia(metadata);
+        const page = pdf.addPage(A4_LANDSCAPE);
+        let textLeft = margin;
+
+        // Header: photo, name, designation, date
+        const photo = await mediaToBlob(entry.photo);
+        if (photo) {
+            const jpeg = await pdfJPEG(photo, PDF_PHOTO_MAX_SIZE);
+            const name = pdf.addJPEG(jpeg.bytes, jpeg.width, jpeg.height);
+
+            // Cover the circle, cropping the longer side
+            const scale = photoSize / Math.min(jpeg.width, jpeg.height);
+            const drawWidth = jpeg.width * scale;
+            const drawHeight = jpeg.height * scale;
+            page.image(name, margin - (drawWidth - photoSize) / 2, margin - (drawHeight - photoSize) / 2, drawWidth, drawHeight, { circle: true });
+            textLeft = margin + photoSize + 20;
+        }
+
+        await drawText(pdf, page, entry.name || 'Anonymous', textLeft, margin + 28, { size: 20, font: 'bold' });
+        if (entry.designation) {
+            await drawText(pdf, page, entry.designation, textLeft, margin + 48, { size: 12 });
+        }
+        page.text(formatDate(entry.timestamp), textLeft, margin + (entry.designation ? 66 : 48), { size: 10, color: muted });
+
+        page.line(margin, headerBottom, A4_LANDSCAPE.width - margin, headerBottom, { color: [0.7, 0.7, 0.7] });
+
+        // Handwriting, fitted into the rest of the page
+        const signature = await signatureJPEG(entry);
+        if (signature) {
+            const name = pdf.addJPEG(signature.bytes, signature.width, signature.height);
+            const boxTop = headerBottom + 16;
+            const boxWidth = A4_LANDSCAPE.width - margin * 2;
+            const boxHeight = footerTop - 24 - boxTop;
+            const scale = Math.min(boxWidth / signature.width, boxHeight / signature.height);
+            const width = signature.width * scale;
+            const height = signature.height * scale;
+            page.image(name, margin + (boxWidth - width) / 2, boxTop, width, height);
+        }
+
+        // Footer
+        await drawText(pdf, page, footer, margin, footerTop, { size: 9, font: 'italic', color: muted });
+        page.text(`${index + 1} / ${total}`, A4_LANDSCAPE.width - margin - 40, footerTop, { size: 9, color: muted });
+
+        index++;
+        if (onProgress) onProgress(index, total);
+    }
+
+    return pdf.build({ title });
+}
+
+// ============ DOWNLOAD ============
+
+/**
+ * File name for an export: visitorbook-gala-dinner-2024-01-31.zip
+ * @param {string} extension
+ * @param {Object} [event] - Exported event
+ * @returns {string}
+ */
+export function exportFileName(extension, event) {
+    const name = (event && slugify(event.name)) || 'export';
+    return `visitorbook-${name}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Save a Blob as a file download
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    // Give the browser time to start the download before freeing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
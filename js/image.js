@@ -0,0 +1,179 @@
+/**
+ * Image Module - the one place images are resized and encoded
+ *
+ * Photos are kept as a full-size rendition, which exports and prints use,
+ * and entries also store a small thumbnail for the lists. The largest
+ * side, format and quality come from the admin settings. A format the
+ * browser cannot encode falls back to JPEG. Exports encode their JPEGs
+ * here too (encodeImage).
+ */
+
+import { getSetting, setSetting } from './storage.js';
+
+const MAX_SIZE_SETTING = 'photoMaxSize';
+const FORMAT_SETTING = 'photoFormat';
+const QUALITY_SETTING = 'photoQuality';
+
+export const IMAGE_FORMATS = {
+    'image/jpeg': 'JPEG',
+    'image/webp': 'WebP',
+    'image/avif': 'AVIF'
+};
+export const PHOTO_SIZES = [400, 800, 1200, 1600, 2400];
+export const DEFAULT_PHOTO_MAX_SIZE = 1200;
+export const DEFAULT_PHOTO_FORMAT = 'image/jpeg';
+export const DEFAULT_PHOTO_QUALITY = 0.85;
+export const MIN_PHOTO_QUALITY = 0.5;
+
+// Longest side of the list thumbnails stored for entry photos
+export const THUMBNAIL_SIZE = 160;
+
+let supportedFormats = null;
+
+// ============ SETTINGS ============
+
+/**
+ * Current photo settings
+ * @returns {Promise<{maxSize: number, format: string, quality: number}>}
+ */
+export async function getImageSettings() {
+    return {
+        maxSize: await getSetting(MAX_SIZE_SETTING, DEFAULT_PHOTO_MAX_SIZE),
+        format: await getSetting(FORMAT_SETTING, DEFAULT_PHOTO_FORMAT),
+        quality: await getSetting(QUALITY_SETTING, DEFAULT_PHOTO_QUALITY)
+    };
+}
+
+/**
+ * Change the photo settings. Photos already saved are not touched.
+ * @param {Object} changes - Any of { maxSize (one of PHOTO_SIZES), format
+ *                           (MIME type), quality (MIN_PHOTO_QUALITY to 1) }
+ */
+export async function setImageSettings(changes) {
+    if ('maxSize' in changes && !PHOTO_SIZES.includes(changes.maxSize)) {
+        throw new Error('Unsupported photo size');
+    }
+    if ('format' in changes && !(await getSupportedFormats()).includes(changes.format)) {
+        throw new Error(`This browser cannot save ${IMAGE_FORMATS[changes.format] || changes.format} photos`);
+    }
+    if ('quality' in changes && !(changes.quality >= MIN_PHOTO_QUALITY && changes.quality <= 1)) {
+        throw new Error('Quality must be between 50% and 100%');
+    }
+
+    if ('maxSize' in changes) await setSetting(MAX_SIZE_SETTING, changes.maxSize);
+    if ('format' in changes) await setSetting(FORMAT_SETTING, changes.format);
+    if ('quality' in changes) await setSetting(QUALITY_SETTING, changes.quality);
+}
+
+/**
+ * Formats this browser can encode, JPEG first
+ * @returns {Promise<string[]>} - MIME types
+ */
+export function getSupportedFormats() {
+    if (!supportedFormats) {
+        supportedFormats = Promise.all(Object.keys(IMAGE_FORMATS).map(async (format) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 1;
+            canvas.height = 1;
+            // Browsers hand back a PNG for formats they cannot encode
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, format));
+            return blob && blob.type === format ? format : null;
+        })).then(formats => formats.filter(Boolean));
+    }
+    return supportedFormats;
+}
+
+// ============ RENDITIONS ============
+
+/**
+ * Full-size rendition of a photo, as stored and exported
+ * @param {Blob|HTMLCanvasElement} source - Image file, camera frame or cropped photo
+ * @returns {Promise<Blob>}
+ */
+export async function resizePhoto(source) {
+    const { maxSize } = await getImageSettings();
+    return resizeImage(source, maxSize);
+}
+
+/**
+ * Small rendition for the gallery and browse lists
+ * @param {Blob} photo
+ * @returns {Promise<Blob>}
+ */
+export function createThumbnail(photo) {
+    return resizeImage(photo, THUMBNAIL_SIZE);
+}
+
+/**
+ * Scale an image down to fit maxSize and encode it with the photo settings
+ * @param {Blob|HTMLCanvasElement} source
+ * @param {number} maxSize - Longest side in pixels
+ * @returns {Promise<Blob>}
+ */
+export async function resizeImage(source, maxSize) {
+    const { format, quality } = await getImageSettings();
+    return (await encodeImage(source, maxSize, { format, quality })).blob;
+}
+
+// ============ ENCODING ============
+
+/**
+ * Scale an image down to fit maxSize and encode it. The only place images
+ * are encoded, so each photo is compressed once. A format the browser
+ * cannot encode falls back to JPEG.
+ * @param {Blob|HTMLImageElement|HTMLCanvasElement} source
+ * @param {number} maxSize - Longest side in pixels (Infinity keeps the size)
+ * @param {Object} [options] - { format (MIME type), quality (0-1) }
+ * @returns {Promise<{blob: Blob, width: number, height: number}>}
+ */
+export async function encodeImage(source, maxSize, { format = DEFAULT_PHOTO_FORMAT, quality = DEFAULT_PHOTO_QUALITY } = {}) {
+    const image = source instanceof Blob ? await loadImage(source) : source;
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+
+    // Transparent areas would turn black in a JPEG
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    let blob = await canvasToBlob(canvas, format, quality);
+    if (blob.type !== format) blob = await canvasToBlob(canvas, DEFAULT_PHOTO_FORMAT, quality);
+    return { blob, width: canvas.width, height: canvas.height };
+}
+
+function canvasToBlob(canvas, format, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            (blob) => (blob ? resolve(blob) : reject(new Error('Failed to create blob'))),
+            format,
+            quality
+        );
+    });
+}
+
+/**
+ * Load a Blob into an image element
+ * @param {Blob} blob
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Failed to load image'));
+        };
+        img.src = url;
+    });
+}
@@ -0,0 +1,564 @@
+/**
+ * Import Module - restores entries and visitors from our export files
+ *
+ * Reads the JSON export (current format and the older plain entry array)
+ * and the ZIP export. Everything is validated before anything is written.
+ * Also reads guest lists (CSV or JSON) for pre-registering visitors in bulk.
+ */
+
+import { readZip } from './zip.js';
+import { EXPORT_FORMAT, EXPORT_VERSION } from './export.js';
+import { saveEntry, addVisitor, updateVisitor, deleteAllEntries, deleteAllVisitors } from './storage.js';
+
+const IMAGE_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    avif: 'image/avif'
+};
+
+/**
+ * Normalize a date value to an ISO string
+ * @returns {string|null} - null if the value is not a valid date
+ */
+function toISODate(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function isOptionalString(value) {
+    return value === undefined || value === null || typeof value === 'string';
+}
+
+function isOptionalImage(value) {
+    return value === undefined || value === null ||
+        (value instanceof Blob && value.type.startsWith('image/')) ||
+        (typeof value === 'string' && value.startsWith('data:image/'));
+}
+
+function isOptionalInk(value) {
+    return value === undefined || value === null || (
+        typeof value === 'object' &&
+        Array.isArray(value.strokes) &&
+        value.strokes.every(stroke => stroke && Array.isArray(stroke.points))
+    );
+}
+
+/**
+ * Validate and normalize an imported entry
+ * @returns {Object|null} - null if the record is invalid
+ */
+function validateEntry(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const timestamp = toISODate(raw.timestamp);
+    if (!timestamp) return null;
+
+    if (!isOptionalString(raw.name) || !isOptionalString(raw.designation)) return null;
+    if (!isOptionalImage(raw.photo) || !isOptionalImage(raw.signature)) return null;
+    if (!isOptionalInk(raw.ink)) return null;
+    if (raw.history !== undefined && !Array.isArray(raw.history)) return null;
+
+    return {
+        sourceId: raw.id,
+        uid: typeof raw.uid === 'string' && raw.uid ? raw.uid : undefined,
+        name: raw.name || '',
+        designation: raw.designation || '',
+        timestamp,
+        photo: raw.photo || null,
+        signature: raw.signature || null,
+        ink: raw.ink || null,
+        history: raw.history || []
+    };
+}
+
+/**
+ * Validate and normalize an imported visitor
+ * @returns {Object|null} - null if the record is invalid
+ */
+function validateVisitor(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (typeof raw.name !== 'string' || !raw.name.trim()) return null;
+    if (!isOptionalString(raw.designation) || !isOptionalImage(raw.photo)) return null;
+
+    return {
+        name: raw.name.trim(),
+        designation: raw.designation || '',
+        createdAt: toISODate(raw.createdAt),
+        photo: raw.photo || null
+    };
+}
+
+/**
+ * Check the format header of an export
+ */
+function checkFormat(data) {
+    if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+        throw new Error('This file is not a Visitor Book export');
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new Error('This export was made by a newer version of the app');
+    }
+}
+
+/**
+ * Replace a ZIP media path in the manifest with the image Blob
+ */
+function resolveMedia(files, path) {
+    if (!path) return null;
+    const blob = files.get(path);
+    if (!blob) {
+        // Not an image, so the record fails validation instead of losing its image
+        return false;
+    }
+
+    const extension = path.split('.').pop().toLowerCase();
+    return new Blob([blob], { type: IMAGE_TYPES[extension] || 'application/octet-stream' });
+}
+
+/**
+ * Read a ZIP export
+ */
+async function readZipExport(file) {
+    const files = await readZip(file);
+    const manifestFile = files.get('manifest.json');
+    if (!manifestFile) {
+        throw new Error('The ZIP file has no manifest.json');
+    }
+
+    const manifest = JSON.parse(await manifestFile.text());
+    checkFormat(manifest);
+
+    const entries = [];
+    for (const entry of manifest.entries || []) {
+        entries.push({
+            ...entry,
+            photo: resolveMedia(files, entry.photo),
+            signature: resolveMedia(files, entry.signature)
+        });
+    }
+
+    const visitors = [];
+    for (const visitor of manifest.visitors || []) {
+        visitors.push({ ...visitor, photo: resolveMedia(files, visitor.photo) });
+    }
+
+    return { entries, visitors };
+}
+
+/**
+ * Read a JSON export
+ */
+async function readJSONExport(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        console.error('Error parsing import file:', error);
+        throw new Error('The file is not valid JSON');
+    }
+
+    // Older exports were a plain array of entries
+    if (Array.isArray(data)) {
+        return { entries: data, visitors: [] };
+    }
+
+    checkFormat(data);
+    return { entries: data.entries || [], visitors: data.visitors || [] };
+}
+
+/**
+ * Read and validate an export file
+ * @param {File} file - .json or .zip export
+ * @returns {Promise<{entries: Array, visitors: Array, invalid: number}>}
+ */
+export async function readImportFile(file) {
+    const header = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    const isZip = header[0] === 0x50 && header[1] === 0x4B; // 'PK'
+
+    const raw = isZip ? await readZipExport(file) : await readJSONExport(file);
+
+    if (!Array.isArray(raw.entries) || !Array.isArray(raw.visitors)) {
+        throw new Error('This file is not a Visitor Book export');
+    }
+
+    const entries = raw.entries.map(validateEntry).filter(Boolean);
+    const visitors = raw.visitors.map(validateVisitor).filter(Boolean);
+
+    return {
+        entries,
+        visitors,
+        invalid: raw.entries.length + raw.visitors.length - entries.length - visitors.length
+    };
+}
+
+// ============ DUPLICATES ============
+
+function visitorKey(visitor) {
+    return `${(visitor.name || '').trim().toLowerCase()}|${(visitor.designation || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Split imported records into new ones and duplicates of existing data.
+ * An entry is a duplicate when an existing one has the same uid, or the
+ * same timestamp and the same id or name (exports without uids). A
+ * visitor is a duplicate when the name and designation match.
+ * @param {Object} data - From readImportFile()
+ * @param {Array} existingEntries
+ * @param {Array} existingVisitors
+ * @returns {Object} - { entries, visitors, duplicateEntries, duplicateVisitors }
+ */
+export function planImport(data, existingEntries, existingVisitors) {
+    const byTimestamp = new Map();
+    const addEntry = (timestamp, id, name) => {
+        if (!byTimestamp.has(timestamp)) byTimestamp.set(timestamp, []);
+        byTimestamp.get(timestamp).push({ id, name });
+    };
+    existingEntries.forEach(entry => addEntry(toISODate(entry.timestamp), entry.id, entry.name || ''));
+    const uids = new Set(existingEntries.map(entry => entry.uid).filter(Boolean));
+
+    const plan = { entries: [], visitors: [], duplicateEntries: [], duplicateVisitors: [] };
+
+    for (const entry of data.entries) {
+        const matches = byTimestamp.get(entry.timestamp) || [];
+        if ((entry.uid && uids.has(entry.uid)) || matches.some(match => match.id === entry.sourceId || match.name === entry.name)) {
+            plan.duplicateEntries.push(entry);
+        } else {
+            plan.entries.push(entry);
+            // Also catches duplicates within the file itself
+            addEntry(entry.timestamp, entry.sourceId, entry.name);
+            if (entry.uid) uids.add(entry.uid);
+        }
+    }
+
+    const visitorKeys = new Set(existingVisitors.map(visitorKey));
+    for (const visitor of data.visitors) {
+        const key = visitorKey(visitor);
+        if (visitorKeys.has(key)) {
+            plan.duplicateVisitors.push(visitor);
+        } else {
+            plan.visitors.push(visitor);
+            visitorKeys.add(key);
+        }
+    }
+
+    return plan;
+}
+
+// ============ APPLY ============
+
+/**
+ * Write an import plan to the database
+ * @param {Object} data - From readImportFile()
+ * @param {Object} plan - From planImport()
+ * @param {string} mode - 'merge' adds new records only, 'replace' clears
+ *                        the book first and imports the whole file
+ * @returns {Promise<{entries: number, visitors: number}>} - Records written
+ */
+export async function applyImport(data, plan, mode) {
+    let entries = plan.entries;
+    let visitors = plan.visitors;
+
+    if (mode === 'replace') {
+        // Drop only duplicates within the file
+        const filePlan = planImport(data, [], []);
+        entries = filePlan.entries;
+        visitors = filePlan.visitors;
+
+        await deleteAllEntries();
+        await deleteAllVisitors();
+    }
+
+    for (const entry of entries) {
+        await saveEntry({
+            uid: entry.uid,
+            photo: entry.photo,
+            signature: entry.signature,
+            ink: entry.ink,
+            name: entry.name,
+            designation: entry.designation,
+            timestamp: entry.timestamp,
+            history: entry.history
+        });
+    }
+
+    for (const visitor of visitors) {
+        await addVisitor({
+            photo: visitor.photo,
+            name: visitor.name,
+            designation: visitor.designation,
+            createdAt: visitor.createdAt
+        });
+    }
+
+    return { entries: entries.length, visitors: visitors.length };
+}
+
+// ============ GUEST LISTS ============
+
+// Accepted header names per visitor field, compared lowercased without spaces, '_' or '-'
+const LIST_COLUMNS = {
+    name: ['name', 'fullname', 'visitor', 'visitorname', 'guest', 'guestname'],
+    designation: ['designation', 'title', 'jobtitle', 'position', 'role'],
+    photo: ['photo', 'photofile', 'photofilename', 'image', 'picture', 'filename', 'file']
+};
+
+/**
+ * Split CSV text into rows of fields. Handles quoted fields, any line
+ * ending and the semicolon separator some spreadsheet locales use.
+ * @param {string} text
+ * @returns {Array<Array<string>>} - Blank rows are dropped
+ */
+export function parseCSV(text) {
+    const firstLine = text.slice(0, text.search(/\r|\n|$/));
+    const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char !== '"') {
+                field += char;
+            } else if (text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Find the visitor fields in a CSV header row
+ * @returns {Object|null} - Field to column index, or null if there is no name column
+ */
+function findListColumns(header) {
+    const cells = header.map(cell => cell.trim().toLowerCase().replace(/[\s_-]+/g, ''));
+    const columns = {};
+
+    for (const [field, names] of Object.entries(LIST_COLUMNS)) {
+        const index = cells.findIndex(cell => names.includes(cell));
+        if (index !== -1) columns[field] = index;
+    }
+
+    return 'name' in columns ? columns : null;
+}
+
+/**
+ * Turn CSV text into raw visitor rows. Without a recognizable header the
+ * columns are taken as name, designation, photo.
+ * @returns {{rows: Array<Object>, columns: Array<string>|null}} - columns
+ *          lists the header of each mapped field
+ */
+function readListCSV(text) {
+    const table = parseCSV(text);
+    if (table.length === 0) return { rows: [], columns: null };
+
+    let columns = findListColumns(table[0]);
+    let header = null;
+    if (columns) {
+        header = Object.entries(columns).map(([field, index]) => `${field}: "${table[0][index].trim()}"`);
+        table.shift();
+    } else {
+        columns = { name: 0, designation: 1, photo: 2 };
+    }
+
+    const rows = table.map(cells => {
+        const row = {};
+        for (const [field, index] of Object.entries(columns)) {
+            row[field] = (cells[index] || '').trim();
+        }
+        return row;
+    });
+
+    return { rows, columns: header };
+}
+
+/**
+ * Read photos for a guest list
+ * @param {Array<File>} files - Picked folder contents, or ZIP files
+ * @returns {Promise<Map<string, Blob>>} - Lowercased file name to image
+ */
+export async function readPhotoFiles(files) {
+    const photos = new Map();
+
+    const add = (path, blob) => {
+        const fileName = path.split('/').pop();
+        const type = IMAGE_TYPES[fileName.split('.').pop().toLowerCase()];
+        // Skips other files and macOS resource forks ("._photo.jpg")
+        if (!type || fileName.startsWith('.')) return;
+        photos.set(fileName.toLowerCase(), new Blob([blob], { type }));
+    };
+
+    for (const file of files) {
+        if (/\.zip$/i.test(file.name)) {
+            for (const [path, blob] of await readZip(file)) {
+                add(path, blob);
+            }
+        } else {
+            add(file.webkitRelativePath || file.name, file);
+        }
+    }
+
+    return photos;
+}
+
+/**
+ * Read a guest list for bulk pre-registration
+ * @param {File} file - CSV, or JSON (an array of visitors or { visitors })
+ * @param {Map<string, Blob>} [photos] - From readPhotoFiles(); matched by
+ *                                       file name, with or without extension
+ * @returns {Promise<{visitors: Array, invalid: number, missingPhotos: Array<string>, columns: Array<string>|null}>}
+ *          Visitors have no designation when the list has no such column
+ */
+export async function readGuestList(file, photos = new Map()) {
+    const text = await file.text();
+    let rows;
+    let columns = null;
+
+    if (/\.json$/i.test(file.name) || /^\s*[[{]/.test(text)) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            console.error('Error parsing guest list:', error);
+            throw new Error('The file is not valid JSON');
+        }
+        rows = Array.isArray(data) ? data : data && data.visitors;
+        if (!Array.isArray(rows)) {
+            throw new Error('The JSON file has no list of visitors');
+        }
+    } else {
+        ({ rows, columns } = readListCSV(text));
+    }
+
+    const byStem = new Map();
+    for (const [fileName, photo] of photos) {
+        const stem = fileName.replace(/\.[^.]+$/, '');
+        if (!byStem.has(stem)) byStem.set(stem, photo);
+    }
+
+    const visitors = [];
+    const missingPhotos = [];
+    let invalid = 0;
+
+    for (const row of rows) {
+        if (!row || typeof row.name !== 'string' || !row.name.trim() ||
+            !isOptionalString(row.designation) || !isOptionalString(row.photo)) {
+            invalid++;
+            continue;
+        }
+
+        let photo = null;
+        const reference = (row.photo || '').trim();
+        if (reference.startsWith('data:image/')) {
+            photo = reference;
+        } else if (reference) {
+            const fileName = reference.split(/[\\/]/).pop().toLowerCase();
+            photo = photos.get(fileName) || byStem.get(fileName) || null;
+            if (!photo) missingPhotos.push(reference);
+        }
+
+        visitors.push({
+            name: row.name.trim(),
+            designation: typeof row.designation === 'string' ? row.designation.trim() : undefined,
+            photo
+        });
+    }
+
+    return { visitors, invalid, missingPhotos, columns };
+}
+
+function nameKey(visitor) {
+    return visitor.name.trim().toLowerCase();
+}
+
+/**
+ * Match a guest list against the registered visitors. Lists are re-imported
+ * after designations or photos change, so rows are matched by name alone.
+ * @param {Array} visitors - From readGuestList()
+ * @param {Array} existingVisitors
+ * @returns {Object} - { add, update: [{ visitor, existing }], unchanged, duplicates }
+ */
+export function planGuestList(visitors, existingVisitors) {
+    const existingByName = new Map(existingVisitors.map(visitor => [nameKey(visitor), visitor]));
+    const seen = new Set();
+    const plan = { add: [], update: [], unchanged: [], duplicates: [] };
+
+    for (const visitor of visitors) {
+        const key = nameKey(visitor);
+        if (seen.has(key)) {
+            plan.duplicates.push(visitor);
+            continue;
+        }
+        seen.add(key);
+
+        const existing = existingByName.get(key);
+        if (!existing) {
+            plan.add.push(visitor);
+        } else if (visitor.photo || (visitor.designation !== undefined && visitor.designation !== (existing.designation || ''))) {
+            plan.update.push({ visitor, existing });
+        } else {
+            plan.unchanged.push(visitor);
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * Write a guest list plan to the database
+ * @param {Object} plan - From planGuestList()
+ * @param {Function} [preparePhoto] - Resolves a photo to the Blob to store,
+ *                                    or null to leave it out
+ * @returns {Promise<{added: number, updated: number}>}
+ */
+export async function applyGuestList(plan, preparePhoto = async photo => photo) {
+    for (const visitor of plan.add) {
+        await addVisitor({
+            name: visitor.name,
+            designation: visitor.designation || '',
+            photo: visitor.photo ? await preparePhoto(visitor.photo) : null
+        });
+    }
+
+    for (const { visitor, existing } of plan.update) {
+        const changes = {};
+        if (visitor.designation !== undefined) {
+            changes.designation = visitor.designation;
+        }
+        const photo = visitor.photo ? await preparePhoto(visitor.photo) : null;
+        if (photo) {
+            changes.photo = photo;
+        }
+        await updateVisitor(existing.id, changes);
+    }
+
+    return { added: plan.add.length, updated: plan.update.length };
+}
@@ -0,0 +1,603 @@
+/**
+ * Ink Module - vector stroke model and renderer for handwritten feedback
+ *
+ * Every stroke is kept as structured data so an entry can be re-rendered at
+ * any resolution, replayed or edited after it has been saved.
+ *
+ * Ink format:
+ * {
+ *     version: 2,
+ *     width, height,          // Logical page size (CSS pixels at capture time,
+ *                             // never smaller than the ink it holds)
+ *     strokes: [{
+ *         color,              // Hex color code
+ *         width,              // Base pen thickness
+ *         eraser,             // true for eraser strokes
+ *         pen,                // Pen type (see brush.js), absent in version 1 ink
+ *         pointerType,        // 'pen', 'touch' or 'mouse'
+ *         points: [{ x, y, pressure, t, tiltX?, tiltY?, twist? }]
+ *                             // t = ms since the first stroke began
+ *     }]
+ * }
+ *
+ * Version 1 strokes and eraser strokes use the original fixed-window
+ * renderer so saved entries keep their look.
+ */
+
+import { createBrushState, brushPoint, getMaxWidth } from './brush.js';
+
+export const INK_VERSION = 2;
+export const ERASER_SIZE = 20;
+
+/**
+ * Create an empty ink document
+ * @param {number} width - Page width
+ * @param {number} height - Page height
+ * @returns {Object}
+ */
+export function createInk(width, height) {
+    return {
+        version: INK_VERSION,
+        width: Math.round(width),
+        height: Math.round(height),
+        strokes: []
+    };
+}
+
+/**
+ * Create an empty stroke
+ * @param {Object} options - { color, width, eraser, pen, pointerType }
+ * @returns {Object}
+ */
+export function createStroke({ color, width, eraser = false, pen = null, pointerType = 'mouse' }) {
+    const stroke = {
+        color,
+        width,
+        eraser: Boolean(eraser),
+        pointerType,
+        points: []
+    };
+
+    if (pen && !stroke.eraser) {
+        stroke.pen = pen;
+    }
+
+    return stroke;
+}
+
+/**
+ * Append a point to a stroke
+ * @param {Object} stroke
+ * @param {Object} point - { x, y, pressure, t, tiltX?, tiltY?, twist? }
+ */
+export function addPoint(stroke, point) {
+    const data = {
+        x: Math.round(point.x * 10) / 10,
+        y: Math.round(point.y * 10) / 10,
+        pressure: Math.round(point.pressure * 1000) / 1000,
+        t: Math.round(point.t)
+    };
+
+    // Stylus orientation, only kept when reported
+    if (point.tiltX) data.tiltX = Math.round(point.tiltX);
+    if (point.tiltY) data.tiltY = Math.round(point.tiltY);
+    if (point.twist) data.twist = Math.round(point.twist);
+
+    stroke.points.push(data);
+}
+
+/**
+ * Check whether an ink document contains any strokes
+ * @param {Object|null} ink
+ * @returns {boolean}
+ */
+export function isInkEmpty(ink) {
+    return !ink || !Array.isArray(ink.strokes) || ink.strokes.length === 0;
+}
+
+/**
+ * Line width for the segment ending at a given point (fixed-window renderer)
+ */
+function segmentWidth(stroke, point) {
+    if (stroke.eraser) return ERASER_SIZE;
+    return stroke.width * (0.5 + point.pressure);
+}
+
+/**
+ * Draw the segment ending at point `index` using quadratic curves
+ * through the preceding points (version 1 and eraser strokes).
+ */
+function drawSegment(ctx, stroke, index) {
+    const start = Math.max(0, index - 3);
+    const points = stroke.points.slice(start, index + 1);
+    if (points.length < 2) return;
+
+    ctx.beginPath();
+    ctx.globalCompositeOperation = stroke.eraser ? 'destination-out' : 'source-over';
+    ctx.strokeStyle = stroke.eraser ? 'rgba(0,0,0,1)' : stroke.color;
+    ctx.lineWidth = segmentWidth(stroke, points[points.length - 1]);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    // If only 2 points, draw a simple line
+    if (points.length === 2) {
+        ctx.moveTo(points[0].x, points[0].y);
+        ctx.lineTo(points[1].x, points[1].y);
+    } else {
+        ctx.moveTo(points[0].x, points[0].y);
+
+        for (let i = 1; i < points.length - 1; i++) {
+            const midX = (points[i].x + points[i + 1].x) / 2;
+            const midY = (points[i].y + points[i + 1].y) / 2;
+            ctx.quadraticCurveTo(points[i].x, points[i].y, midX, midY);
+        }
+
+        const lastPoint = points[points.length - 1];
+        ctx.lineTo(lastPoint.x, lastPoint.y);
+    }
+
+    ctx.stroke();
+}
+
+// Length of the pieces a brush curve is split into so width can vary along it
+const BRUSH_STEP = 2;
+
+function midpoint(a, b) {
+    return {
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2,
+        width: (a.width + b.width) / 2,
+        angle: b.angle
+    };
+}
+
+/**
+ * Draw one piece of brush ink between two samples
+ */
+function drawBrushPiece(ctx, pen, from, to, width, angle) {
+    if (pen.nib) {
+        // Flat nib: sweep the nib edge from one position to the next
+        const thin = width * pen.nib.minRatio;
+        const dx = Math.cos(angle) * (width - thin) / 2;
+        const dy = Math.sin(angle) * (width - thin) / 2;
+
+        ctx.beginPath();
+        ctx.moveTo(from.x - dx, from.y - dy);
+        ctx.lineTo(from.x + dx, from.y + dy);
+        ctx.lineTo(to.x + dx, to.y + dy);
+        ctx.lineTo(to.x - dx, to.y - dy);
+        ctx.closePath();
+        ctx.fill();
+
+        // Hairline keeps strokes parallel to the nib from vanishing
+        ctx.lineWidth = thin;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        return;
+    }
+
+    ctx.lineWidth = width;
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+}
+
+/**
+ * Draw a quadratic curve of brush ink, varying width from start to end
+ */
+function drawBrushCurve(ctx, pen, start, control, end) {
+    const length = Math.hypot(control.x - start.x, control.y - start.y)
+        + Math.hypot(end.x - control.x, end.y - control.y);
+    const steps = Math.max(1, Math.ceil(length / BRUSH_STEP));
+
+    let previous = start;
+    for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        const u = 1 - t;
+        const point = {
+            x: u * u * start.x + 2 * u * t * control.x + t * t * end.x,
+            y: u * u * start.y + 2 * u * t * control.y + t * t * end.y
+        };
+        const width = start.width + (end.width - start.width) * t;
+        drawBrushPiece(ctx, pen, previous, point, width, end.angle);
+        previous = point;
+    }
+}
+
+/**
+ * Renderer for brush strokes: smooth curves between point midpoints with
+ * width and nib angle from the brush engine
+ */
+function createBrushRenderer(ctx, stroke) {
+    const state = createBrushState(stroke);
+    const samples = [];
+    let drawnUpTo = 0;
+    let finished = false;
+
+    const sampleAt = (index) => {
+        while (samples.length <= index) {
+            samples.push(brushPoint(state, stroke.points[samples.length]));
+        }
+        return samples[index];
+    };
+
+    const prepare = () => {
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.strokeStyle = stroke.color;
+        ctx.fillStyle = stroke.color;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+    };
+
+    return {
+        drawTo(index) {
+            const last = Math.min(index, stroke.points.length - 1);
+            if (last <= drawnUpTo) return;
+
+            prepare();
+            for (let i = drawnUpTo + 1; i <= last; i++) {
+                const previous = sampleAt(i - 1);
+                const current = sampleAt(i);
+                const start = i === 1 ? previous : midpoint(sampleAt(i - 2), previous);
+                drawBrushCurve(ctx, state.pen, start, previous, midpoint(previous, current));
+            }
+            drawnUpTo = last;
+        },
+
+        finish() {
+            if (finished || stroke.points.length === 0) return;
+            finished = true;
+            prepare();
+
+            const last = stroke.points.length - 1;
+            const end = sampleAt(last);
+
+            // A tap leaves a dot
+            if (last === 0) {
+                ctx.beginPath();
+                ctx.arc(end.x, end.y, end.width / 2, 0, Math.PI * 2);
+                ctx.fill();
+                return;
+            }
+
+            const start = midpoint(sampleAt(last - 1), end);
+            drawBrushCurve(ctx, state.pen, start, end, end);
+        }
+    };
+}
+
+/**
+ * Renderer for version 1 and eraser strokes
+ */
+function createWindowRenderer(ctx, stroke) {
+    let drawnUpTo = 0;
+
+    return {
+        drawTo(index) {
+            const last = Math.min(index, stroke.points.length - 1);
+            for (let i = Math.max(drawnUpTo + 1, 1); i <= last; i++) {
+                drawSegment(ctx, stroke, i);
+            }
+            drawnUpTo = Math.max(drawnUpTo, last);
+        },
+
+        finish() {}
+    };
+}
+
+/**
+ * Create an incremental renderer for a stroke. Points can keep being added to
+ * the stroke; drawTo() only draws the segments that have not been drawn yet,
+ * and finish() draws the stroke's end once no more points will come.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} stroke
+ * @returns {{drawTo: Function, finish: Function}}
+ */
+export function createStrokeRenderer(ctx, stroke) {
+    if (stroke.pen && !stroke.eraser) {
+        return createBrushRenderer(ctx, stroke);
+    }
+    return createWindowRenderer(ctx, stroke);
+}
+
+/**
+ * Render a whole ink document onto a context (in page coordinates)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} ink
+ */
+export function renderInk(ctx, ink) {
+    if (isInkEmpty(ink)) return;
+
+    for (const stroke of ink.strokes) {
+        const renderer = createStrokeRenderer(ctx, stroke);
+        renderer.drawTo(stroke.points.length - 1);
+        renderer.finish();
+    }
+    ctx.globalCompositeOperation = 'source-over';
+}
+
+/**
+ * Size needed to show every stroke without cropping: the page size, grown
+ * to include any ink (and its line width) beyond the page edges.
+ * @param {Object} ink
+ * @returns {{width: number, height: number}}
+ */
+export function getInkExtent(ink) {
+    let width = ink.width;
+    let height = ink.height;
+
+    for (const stroke of ink.strokes) {
+        const halfWidth = (stroke.eraser ? ERASER_SIZE : getMaxWidth(stroke)) / 2;
+        for (const point of stroke.points) {
+            width = Math.max(width, point.x + halfWidth);
+            height = Math.max(height, point.y + halfWidth);
+        }
+    }
+
+    return { width: Math.ceil(width), height: Math.ceil(height) };
+}
+
+/**
+ * Render an ink document onto a new canvas covering its full extent
+ * @param {Object} ink
+ * @param {number} [pixelRatio=1] - Device pixels per page unit
+ * @returns {HTMLCanvasElement}
+ */
+export function renderInkToCanvas(ink, pixelRatio = 1) {
+    const extent = getInkExtent(ink);
+    const output = document.createElement('canvas');
+    output.width = Math.round(extent.width * pixelRatio);
+    output.height = Math.round(extent.height * pixelRatio);
+
+    const outputCtx = output.getContext('2d');
+    outputCtx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    renderInk(outputCtx, ink);
+
+    return output;
+}
+
+// Replay with skipPauses: longer pauses between strokes are shortened to this
+export const REPLAY_PAUSE_LIMIT_MS = 1200;
+
+/**
+ * Build the replay timeline: every point with its playback time
+ * @param {Object} ink
+ * @param {number} maxGap - Longest pause between strokes (Infinity keeps
+ *                          the pauses as written)
+ */
+function buildTimeline(ink, maxGap) {
+    const timeline = [];
+    let offset = 0;
+    let previousEnd = null;
+
+    ink.strokes.forEach((stroke, strokeIndex) => {
+        if (stroke.points.length === 0) return;
+
+        const start = stroke.points[0].t;
+        if (previousEnd !== null && start - previousEnd > maxGap) {
+            offset += start - previousEnd - maxGap;
+        }
+
+        stroke.points.forEach((point, pointIndex) => {
+            timeline.push({
+                strokeIndex,
+                pointIndex,
+                last: pointIndex === stroke.points.length - 1,
+                time: Math.max(0, point.t - offset)
+            });
+        });
+        previousEnd = stroke.points[stroke.points.length - 1].t;
+    });
+
+    // Older or edited ink may not be in time order
+    timeline.sort((a, b) => a.time - b.time || a.strokeIndex - b.strokeIndex || a.pointIndex - b.pointIndex);
+    return timeline;
+}
+
+/**
+ * Create a player that re-draws an ink document stroke by stroke at the
+ * speed it was written, pauses included unless skipPauses is set
+ * @param {HTMLCanvasElement} canvas - Canvas to play into
+ * @param {Object} ink - Ink document
+ * @param {Object} [options]
+ * @param {Function} [options.onStateChange] - Called with { playing, finished }
+ * @param {boolean} [options.skipPauses] - Shorten pauses between strokes to
+ *                                         REPLAY_PAUSE_LIMIT_MS
+ * @returns {Object} - Player controls
+ */
+export function createInkPlayer(canvas, ink, { onStateChange, skipPauses = false } = {}) {
+    const ctx = canvas.getContext('2d');
+    const extent = getInkExtent(ink);
+    const timelineFor = (skip) => buildTimeline(ink, skip ? REPLAY_PAUSE_LIMIT_MS : Infinity);
+    let timeline = timelineFor(skipPauses);
+
+    let speed = 1;
+    let playing = false;
+    let elapsed = 0;
+    let cursor = 0;            // Next timeline item to draw
+    let lastFrameTime = null;
+    let frameRequest = null;
+    let renderers = [];
+
+    const notify = () => {
+        if (onStateChange) {
+            onStateChange({ playing, finished: cursor >= timeline.length });
+        }
+    };
+
+    const rendererFor = (strokeIndex) => {
+        if (!renderers[strokeIndex]) {
+            renderers[strokeIndex] = createStrokeRenderer(ctx, ink.strokes[strokeIndex]);
+        }
+        return renderers[strokeIndex];
+    };
+
+    const clear = () => {
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.restore();
+        renderers = [];
+    };
+
+    // Draw every timeline item up to (not including) `end`
+    const drawUntil = (end) => {
+        for (; cursor < end; cursor++) {
+            const item = timeline[cursor];
+            const renderer = rendererFor(item.strokeIndex);
+            renderer.drawTo(item.pointIndex);
+            if (item.last) {
+                renderer.finish();
+            }
+        }
+        ctx.globalCompositeOperation = 'source-over';
+    };
+
+    const frame = (now) => {
+        if (!playing) return;
+
+        if (lastFrameTime !== null) {
+            elapsed += (now - lastFrameTime) * speed;
+        }
+        lastFrameTime = now;
+
+        let end = cursor;
+        while (end < timeline.length && timeline[end].time <= elapsed) end++;
+        drawUntil(end);
+
+        if (cursor >= timeline.length) {
+            playing = false;
+            frameRequest = null;
+            notify();
+            return;
+        }
+
+        frameRequest = requestAnimationFrame(frame);
+    };
+
+    const player = {
+        /**
+         * Size the canvas (CSS pixels) and redraw what has been played so far
+         * @param {number} width
+         * @param {number} height
+         */
+        resize(width, height) {
+            const ratio = window.devicePixelRatio || 1;
+            canvas.style.width = `${width}px`;
+            canvas.style.height = `${height}px`;
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+
+            const scale = Math.min(width / extent.width, height / extent.height) * ratio;
+            const offsetX = (canvas.width - extent.width * scale) / 2;
+            const offsetY = (canvas.height - extent.height * scale) / 2;
+
+            const played = cursor;
+            clear();
+            ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+            cursor = 0;
+            drawUntil(played);
+        },
+
+        play() {
+            if (playing || timeline.length === 0) return;
+
+            // Start over once the end has been reached
+            if (cursor >= timeline.length) {
+                player.restart();
+            }
+
+            playing = true;
+            lastFrameTime = null;
+            frameRequest = requestAnimationFrame(frame);
+            notify();
+        },
+
+        pause() {
+            if (!playing) return;
+            playing = false;
+            if (frameRequest !== null) {
+                cancelAnimationFrame(frameRequest);
+                frameRequest = null;
+            }
+            notify();
+        },
+
+        toggle() {
+            if (playing) {
+                player.pause();
+            } else {
+                player.play();
+            }
+        },
+
+        restart() {
+            elapsed = 0;
+            cursor = 0;
+            lastFrameTime = null;
+            const transform = ctx.getTransform();
+            clear();
+            ctx.setTransform(transform);
+        },
+
+        /**
+         * @param {number} value - Playback rate (1 = original speed)
+         */
+        setSpeed(value) {
+            speed = value;
+        },
+
+        /**
+         * Switch between the pauses as written and shortened pauses,
+         * carrying on from the same point of the writing
+         * @param {boolean} value
+         */
+        setSkipPauses(value) {
+            if (value === skipPauses) return;
+            skipPauses = value;
+
+            // Continue from the time of the last point drawn so far
+            const last = cursor > 0 ? timeline[cursor - 1] : null;
+            timeline = timelineFor(skipPauses);
+            elapsed = last
+                ? timeline.find(item => item.strokeIndex === last.strokeIndex && item.pointIndex === last.pointIndex).time
+                : 0;
+
+            // The order can differ where strokes overlap in time
+            const transform = ctx.getTransform();
+            clear();
+            ctx.setTransform(transform);
+            cursor = 0;
+            let end = 0;
+            while (end < timeline.length && timeline[end].time <= elapsed) end++;
+            drawUntil(end);
+        },
+
+        getSpeed() {
+            return speed;
+        },
+
+        isPlaying() {
+            return playing;
+        },
+
+        destroy() {
+            player.pause();
+            renderers = [];
+        }
+    };
+
+    return player;
+}
+
+/**
+ * Deep copy an ink document (safe to store or hand to other modules)
+ * @param {Object} ink
+ * @returns {Object}
+ */
+export function cloneInk(ink) {
+    return JSON.parse(JSON.stringify(ink));
+}
@@ -0,0 +1,279 @@
+/**
+ * PDF Module - minimal PDF writer for printable exports
+ *
+ * Supports what the visitor book needs: pages, JPEG images, text in the
+ * standard Helvetica fonts, lines and circular image clipping. Text uses
+ * WinAnsi encoding, so characters outside Latin-1 would print as '?';
+ * check with isPrintableText() and draw such text as an image instead.
+ */
+
+// Page sizes in points (1/72 inch)
+export const A4_LANDSCAPE = { width: 842, height: 595 };
+
+const FONTS = {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    italic: 'Helvetica-Oblique'
+};
+
+/**
+ * Encode a string as Latin-1 bytes
+ */
+function latin1(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        bytes[i] = code < 256 ? code : 63; // '?'
+    }
+    return bytes;
+}
+
+/**
+ * Escape text for a PDF string literal
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/[‘’]/g, "'")
+        .replace(/[“”]/g, '"')
+        .replace(/[–—]/g, '-')
+        .replace(/\\/g, '\\\\')
+        .replace(/\(/g, '\\(')
+        .replace(/\)/g, '\\)')
+        .replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Whether the standard fonts can print every character of the text
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isPrintableText(text) {
+    const escaped = escapeText(text);
+    for (let i = 0; i < escaped.length; i++) {
+        if (escaped.charCodeAt(i) > 255) return false;
+    }
+    return true;
+}
+
+/**
+ * Text string for the document info: a literal when Latin-1 will do,
+ * otherwise UTF-16BE hex so viewers show any script
+ */
+function infoString(text) {
+    if (isPrintableText(text)) return `(${escapeText(text)})`;
+
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    }
+    return `<${hex}>`;
+}
+
+/**
+ * Format a number for PDF content streams
+ */
+function num(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Create a PDF document builder
+ * @returns {Object}
+ */
+export function createPDF() {
+    const objects = [];        // Object bodies (Uint8Array parts), index = object number - 1
+    const pages = [];
+    const pageRefs = [];
+    const images = [];
+
+    const reserve = () => {
+        objects.push(null);
+        return objects.length;
+    };
+
+    const setObject = (ref, ...parts) => {
+        objects[ref - 1] = parts.map(part => (typeof part === 'string' ? latin1(part) : part));
+    };
+
+    const catalogRef = reserve();
+    const pagesRef = reserve();
+    const fontRefs = {};
+    for (const [key, baseFont] of Object.entries(FONTS)) {
+        fontRefs[key] = reserve();
+        setObject(fontRefs[key], `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`);
+    }
+
+    const fontResources = Object.entries(fontRefs)
+        .map(([key, ref]) => `/F${key} ${ref} 0 R`)
+        .join(' ');
+
+    return {
+        /**
+         * Add a JPEG image
+         * @param {Uint8Array} bytes - JPEG file bytes (RGB)
+         * @param {number} width - Pixel width
+         * @param {number} height - Pixel height
+         * @returns {string} - Image name for page.image()
+         */
+        addJPEG(bytes, width, height) {
+            const ref = reserve();
+            const name = `Im${images.length + 1}`;
+            setObject(
+                ref,
+                `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${bytes.length} >>\nstream\n`,
+                bytes,
+                '\nendstream'
+            );
+            images.push({ name, ref });
+            return name;
+        },
+
+        /**
+         * Add a page. Coordinates are from the top-left corner, in points.
+         * @param {Object} [size] - { width, height }
+         * @returns {Object} - Page drawing API
+         */
+        addPage(size = A4_LANDSCAPE) {
+            const ops = [];
+            const usedImages = new Set();
+            const y = (value) => size.height - value;
+
+            const page = {
+                width: size.width,
+                height: size.height,
+
+                /**
+                 * Draw text with its baseline at (x, top)
+                 * @param {string} text
+                 * @param {number} x
+                 * @param {number} top
+                 * @param {Object} [options] - { size, font: 'regular'|'bold'|'italic', color: [r, g, b] (0-1) }
+                 */
+                text(text, x, top, { size: fontSize = 12, font = 'regular', color = [0, 0, 0] } = {}) {
+                    ops.push(
+                        'BT',
+                        `${color.map(num).join(' ')} rg`,
+                        `/F${font} ${num(fontSize)} Tf`,
+                        `${num(x)} ${num(y(top))} Td`,
+                        `(${escapeText(text)}) Tj`,
+                        'ET'
+                    );
+                },
+
+                /**
+                 * Draw a straight line
+                 */
+                line(x1, y1, x2, y2, { width = 0.5, color = [0, 0, 0] } = {}) {
+                    ops.push(
+                        `${color.map(num).join(' ')} RG`,
+                        `${num(width)} w`,
+                        `${num(x1)} ${num(y(y1))} m ${num(x2)} ${num(y(y2))} l S`
+                    );
+                },
+
+                /**
+                 * Draw an image into a box
+                 * @param {string} name - From addJPEG()
+                 * @param {number} x - Left
+                 * @param {number} top - Top
+                 * @param {number} width
+                 * @param {number} height
+                 * @param {Object} [options] - { circle: true } clips to a circle
+                 */
+                image(name, x, top, width, height, { circle = false } = {}) {
+                    usedImages.add(name);
+                    ops.push('q');
+
+                    if (circle) {
+                        // Circle from four Bezier curves
+                        const r = Math.min(width, height) / 2;
+                        const cx = x + width / 2;
+                        const cy = y(top + height / 2);
+                        const k = r * 0.5523;
+                        ops.push(
+                            `${num(cx + r)} ${num(cy)} m`,
+                            `${num(cx + r)} ${num(cy + k)} ${num(cx + k)} ${num(cy + r)} ${num(cx)} ${num(cy + r)} c`,
+                            `${num(cx - k)} ${num(cy + r)} ${num(cx - r)} ${num(cy + k)} ${num(cx - r)} ${num(cy)} c`,
+                            `${num(cx - r)} ${num(cy - k)} ${num(cx - k)} ${num(cy - r)} ${num(cx)} ${num(cy - r)} c`,
+                            `${num(cx + k)} ${num(cy - r)} ${num(cx + r)} ${num(cy - k)} ${num(cx + r)} ${num(cy)} c`,
+                            'W n'
+                        );
+                    }
+
+                    ops.push(
+                        `${num(width)} 0 0 ${num(height)} ${num(x)} ${num(y(top + height))} cm`,
+                        `/${name} Do`,
+                        'Q'
+                    );
+                }
+            };
+
+            const pageRef = reserve();
+            const contentRef = reserve();
+            pageRefs.push(pageRef);
+
+            // Written on build() once all drawing is done
+            page.finish = () => {
+                const content = latin1(ops.join('\n'));
+                setObject(contentRef, `<< /Length ${content.length} >>\nstream\n`, content, '\nendstream');
+
+                const xobjects = images
+                    .filter(image => usedImages.has(image.name))
+                    .map(image => `/${image.name} ${image.ref} 0 R`)
+                    .join(' ');
+
+                setObject(
+                    pageRef,
+                    `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${size.width} ${size.height}] ` +
+                    `/Resources << /Font << ${fontResources} >> /XObject << ${xobjects} >> >> /Contents ${contentRef} 0 R >>`
+                );
+            };
+            pages.push(page);
+
+            return page;
+        },
+
+        /**
+         * Assemble the PDF file
+         * @param {Object} [info] - { title }
+         * @returns {Blob} - application/pdf blob
+         */
+        build(info = {}) {
+            pages.forEach(page => page.finish());
+
+            setObject(catalogRef, `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`);
+            setObject(pagesRef, `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`);
+
+            const infoRef = reserve();
+            setObject(infoRef, `<< /Title ${infoString(info.title || 'Visitor Book')} /Producer (Visitor Book) >>`);
+
+            const output = [latin1('%PDF-1.4\n%âãÏÓ\n')];
+            let offset = output[0].length;
+            const offsets = [];
+
+            objects.forEach((parts, index) => {
+                offsets.push(offset);
+                const chunk = [latin1(`${index + 1} 0 obj\n`), ...parts, latin1('\nendobj\n')];
+                for (const part of chunk) {
+                    output.push(part);
+                    offset += part.length;
+                }
+            });
+
+            const xref = [
+                'xref',
+                `0 ${objects.length + 1}`,
+                '0000000000 65535 f ',
+                ...offsets.map(value => `${String(value).padStart(10, '0')} 00000 n `),
+                'trailer',
+                `<< /Size ${objects.length + 1} /Root ${catalogRef} 0 R /Info ${infoRef} 0 R >>`,
+                'startxref',
+                String(offset),
+                '%%EOF'
+            ].join('\n');
+            output.push(latin1(xref + '\n'));
+
+            return new Blob(output, { type: 'application/pdf' });
+        }
+    };
+}
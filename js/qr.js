@@ -0,0 +1,442 @@
+/**
+ * QR Module - minimal QR code encoder
+ *
+ * Encodes text in alphanumeric mode (or UTF-8 byte mode for other text) at
+ * error correction level M, versions 1 to 25. That covers the transfer
+ * frames (see transfer.js); reading codes is left to the browser's
+ * BarcodeDetector.
+ */
+
+const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+const MAX_VERSION = 25;
+
+// Level M per version: [EC codewords per block, blocks, data codewords per
+// block, extra blocks with one more data codeword]
+const EC_BLOCKS = [
+    null,
+    [10, 1, 16, 0], [16, 1, 28, 0], [26, 1, 44, 0], [18, 2, 32, 0], [24, 2, 43, 0],
+    [16, 4, 27, 0], [18, 4, 31, 0], [22, 2, 38, 2], [22, 3, 36, 2], [26, 4, 43, 1],
+    [30, 1, 50, 4], [22, 6, 36, 2], [22, 8, 37, 1], [24, 4, 40, 5], [24, 5, 41, 5],
+    [28, 7, 45, 3], [28, 10, 46, 1], [26, 9, 43, 4], [26, 3, 44, 11], [26, 3, 41, 13],
+    [26, 17, 42, 0], [28, 17, 46, 0], [28, 4, 47, 14], [28, 6, 45, 14], [28, 8, 47, 13]
+];
+
+// Format information bits for level M
+const EC_LEVEL_BITS = 0;
+
+// ============ DATA ============
+
+/**
+ * Whether text can use the denser alphanumeric mode
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isAlphanumeric(text) {
+    for (const char of text) {
+        if (!ALPHANUMERIC.includes(char)) return false;
+    }
+    return true;
+}
+
+function dataCodewords(version) {
+    const [, blocks, perBlock, extraBlocks] = EC_BLOCKS[version];
+    return (blocks + extraBlocks) * perBlock + extraBlocks;
+}
+
+function countBits(alphanumeric, version) {
+    if (alphanumeric) return version < 10 ? 9 : version < 27 ? 11 : 13;
+    return version < 10 ? 8 : 16;
+}
+
+function appendBits(bits, value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+    }
+}
+
+/**
+ * Encode text as a bit stream of one segment
+ */
+function segmentBits(text, alphanumeric) {
+    const bits = [];
+
+    if (alphanumeric) {
+        for (let i = 0; i + 1 < text.length; i += 2) {
+            appendBits(bits, ALPHANUMERIC.indexOf(text[i]) * 45 + ALPHANUMERIC.indexOf(text[i + 1]), 11);
+        }
+        if (text.length % 2 === 1) {
+            appendBits(bits, ALPHANUMERIC.indexOf(text[text.length - 1]), 6);
+        }
+        return { bits, count: text.length };
+    }
+
+    const bytes = new TextEncoder().encode(text);
+    bytes.forEach(byte => appendBits(bits, byte, 8));
+    return { bits, count: bytes.length };
+}
+
+/**
+ * Build the data codewords for the smallest version that fits
+ */
+function encodeData(text) {
+    const alphanumeric = isAlphanumeric(text);
+    const segment = segmentBits(text, alphanumeric);
+
+    for (let version = 1; version <= MAX_VERSION; version++) {
+        const capacity = dataCodewords(version) * 8;
+        const length = 4 + countBits(alphanumeric, version) + segment.bits.length;
+        if (length > capacity) continue;
+
+        const bits = [];
+        appendBits(bits, alphanumeric ? 0b0010 : 0b0100, 4);
+        appendBits(bits, segment.count, countBits(alphanumeric, version));
+        bits.push(...segment.bits);
+
+        // Terminator, then pad to whole bytes and fill with the pad codewords
+        appendBits(bits, 0, Math.min(4, capacity - bits.length));
+        appendBits(bits, 0, (8 - (bits.length % 8)) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            appendBits(bits, pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+        return { version, codewords };
+    }
+
+    throw new Error('Too much data for a QR code');
+}
+
+// ============ ERROR CORRECTION ============
+
+/**
+ * Multiply in GF(256) modulo x^8 + x^4 + x^3 + x^2 + 1
+ */
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+/**
+ * Split the data into blocks, add error correction and interleave
+ */
+function addErrorCorrection(version, codewords) {
+    const [ecLength, blocks, perBlock, extraBlocks] = EC_BLOCKS[version];
+    const divisor = reedSolomonDivisor(ecLength);
+    const dataBlocks = [];
+    const ecBlocks = [];
+
+    let offset = 0;
+    for (let i = 0; i < blocks + extraBlocks; i++) {
+        const length = perBlock + (i < blocks ? 0 : 1);
+        const block = codewords.slice(offset, offset + length);
+        offset += length;
+        dataBlocks.push(block);
+        ecBlocks.push(reedSolomonRemainder(block, divisor));
+    }
+
+    const result = [];
+    for (let i = 0; i <= perBlock; i++) {
+        dataBlocks.forEach(block => {
+            if (i < block.length) result.push(block[i]);
+        });
+    }
+    for (let i = 0; i < ecLength; i++) {
+        ecBlocks.forEach(block => result.push(block[i]));
+    }
+    return result;
+}
+
+// ============ MATRIX ============
+
+function alignmentPositions(version) {
+    if (version === 1) return [];
+
+    const size = version * 4 + 17;
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const result = [6];
+    for (let position = size - 7; result.length < count; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+}
+
+/**
+ * Module grid with the function patterns (finders, timing, alignment,
+ * format and version areas) marked so data and masks skip them
+ */
+function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+        positions.forEach((cy, j) => {
+            // Skip the corners taken by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    const matrix = { size, modules, reserved, set };
+    drawFormatBits(matrix, 0);
+    return matrix;
+}
+
+function drawFormatBits({ size, set }, mask) {
+    const data = (EC_LEVEL_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+}
+
+/**
+ * Place the codewords in the zigzag order, two columns at a time from the
+ * bottom right
+ */
+function drawCodewords({ size, modules, reserved }, codewords) {
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (reserved[y][x] || i >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                i++;
+            }
+        }
+    }
+}
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function applyMask({ size, modules, reserved }, mask) {
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!reserved[y][x] && MASKS[mask](x, y)) {
+                modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+}
+
+// ============ MASK PENALTY ============
+
+// Dark-light-dark-dark-dark-light-dark with four light modules on one side
+const FINDER_LIKE = ['10111010000', '00001011101'];
+
+function linePenalty(line) {
+    let penalty = 0;
+    let run = 1;
+    for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) {
+            run++;
+            continue;
+        }
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+    }
+
+    const text = line.map(dark => (dark ? '1' : '0')).join('');
+    for (const pattern of FINDER_LIKE) {
+        for (let index = text.indexOf(pattern); index >= 0; index = text.indexOf(pattern, index + 1)) {
+            penalty += 40;
+        }
+    }
+    return penalty;
+}
+
+/**
+ * Score a masked symbol (lower is easier to scan)
+ */
+function penaltyScore({ size, modules }) {
+    let penalty = 0;
+    let dark = 0;
+
+    for (let i = 0; i < size; i++) {
+        penalty += linePenalty(modules[i]);
+        penalty += linePenalty(modules.map(row => row[i]));
+    }
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return penalty;
+}
+
+// ============ PUBLIC ============
+
+/**
+ * Encode text as a QR code
+ * @param {string} text
+ * @returns {{size: number, modules: Array<Array<boolean>>}} - modules[y][x], true is dark
+ * @throws {Error} - If the text does not fit in version 25
+ */
+export function encodeQR(text) {
+    const { version, codewords } = encodeData(text);
+    const matrix = createMatrix(version);
+    drawCodewords(matrix, addErrorCorrection(version, codewords));
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        applyMask(matrix, mask);
+        drawFormatBits(matrix, mask);
+        const penalty = penaltyScore(matrix);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        // Masking again undoes it
+        applyMask(matrix, mask);
+    }
+
+    applyMask(matrix, bestMask);
+    drawFormatBits(matrix, bestMask);
+
+    return { size: matrix.size, modules: matrix.modules };
+}
+
+/**
+ * Draw a QR code on a canvas, scaled to whole pixels per module
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} qr - From encodeQR()
+ * @param {number} [pixelSize] - Target width and height of the canvas
+ */
+export function drawQR(canvas, qr, pixelSize = canvas.width) {
+    // Four modules of quiet zone on every side
+    const span = qr.size + 8;
+    const scale = Math.max(1, Math.floor(pixelSize / span));
+
+    canvas.width = span * scale;
+    canvas.height = span * scale;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#000000';
+
+    for (let y = 0; y < qr.size; y++) {
+        for (let x = 0; x < qr.size; x++) {
+            if (qr.modules[y][x]) {
+                ctx.fillRect((x + 4) * scale, (y + 4) * scale, scale, scale);
+            }
+        }
+    }
+}
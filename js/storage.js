@@ -1,13 +1,47 @@
 /**
  * IndexedDB Storage Module for Visitor Book
+ *
+ * Entry records hold only the fields needed for listing. Full-size images
+ * and strokes live in the media store and list thumbnails in the
+ * thumbnails store, both keyed by entry ID. Deleting an entry or visitor
+ * moves it to the trash store, from where it can be restored until purged.
+ * Saved and edited entries wait in the outbox store until sync.js has
+ * uploaded them.
  */
 
+import { isInkEmpty } from './ink.js';
+
 const DB_NAME = 'VisitorBookDB';
-const DB_VERSION = 2;
+const DB_VERSION = 8;
 const ENTRIES_STORE = 'entries';
+const MEDIA_STORE = 'media';
+const THUMBNAILS_STORE = 'thumbnails';
 const VISITORS_STORE = 'visitors';
+const SETTINGS_STORE = 'settings';
+const EVENTS_STORE = 'events';
+const TRASH_STORE = 'trash';
+const OUTBOX_STORE = 'outbox';
+
+const ACTIVE_EVENT_SETTING = 'activeEventId';
+
+// Entries per page when queryEntries() is called without a limit
+const DEFAULT_PAGE_SIZE = 50;
+const MEDIA_MIGRATED_SETTING = 'mediaStoredAsBlobs';
+
+// Storage counts as running low past either limit
+const STORAGE_LOW_FRACTION = 0.9;
+const STORAGE_LOW_BYTES = 200 * 1024 * 1024;
+
+// Image fields that hold Blobs (or data URLs where Blobs are unsupported)
+const MEDIA_FIELDS = {
+    [MEDIA_STORE]: ['photo', 'signature'],
+    [VISITORS_STORE]: ['photo'],
+    [EVENTS_STORE]: ['cover']
+};
 
 let db = null;
+let activeEventId = null;
+let blobSupport = null;
 
 /**
  * Initialize the database
@@ -28,6 +62,12 @@ export async function initDB() {
 
         request.onsuccess = () => {
             db = request.result;
+            // The page and the service worker both keep the database open;
+            // let a newer version of the app upgrade it
+            db.onversionchange = () => {
+                db.close();
+                db = null;
+            };
             console.log('Database initialized');
             resolve(db);
         };
@@ -52,60 +92,405 @@ export async function initDB() {
                 });
                 store.createIndex('name', 'name', { unique: false });
             }
+
+            // Create settings store (key/value app settings)
+            if (!database.objectStoreNames.contains(SETTINGS_STORE)) {
+                database.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+            }
+
+            // Entries and visitors are scoped to an event
+            const transaction = event.target.transaction;
+            const entriesStore = transaction.objectStore(ENTRIES_STORE);
+            if (!entriesStore.indexNames.contains('eventTimestamp')) {
+                entriesStore.createIndex('eventTimestamp', ['eventId', 'timestamp'], { unique: false });
+            }
+            const visitorsStore = transaction.objectStore(VISITORS_STORE);
+            if (!visitorsStore.indexNames.contains('eventId')) {
+                visitorsStore.createIndex('eventId', 'eventId', { unique: false });
+            }
+
+            // Data migrations both rewrite entries, so they run one after another
+            const migrations = [];
+
+            // Create events store and move existing data into a first event
+            if (!database.objectStoreNames.contains(EVENTS_STORE)) {
+                const store = database.createObjectStore(EVENTS_STORE, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                store.createIndex('date', 'date', { unique: false });
+                migrations.push(migrateToEvents);
+            }
+
+            // Create media and thumbnail stores and move images out of entries
+            if (!database.objectStoreNames.contains(MEDIA_STORE)) {
+                database.createObjectStore(MEDIA_STORE, { keyPath: 'id' });
+                database.createObjectStore(THUMBNAILS_STORE, { keyPath: 'id' });
+                migrations.push(splitEntryMedia);
+            }
+
+            // Lowercased name and designation for prefix search
+            if (!entriesStore.indexNames.contains('eventName')) {
+                entriesStore.createIndex('eventName', ['eventId', 'searchName'], { unique: false });
+                entriesStore.createIndex('eventDesignation', ['eventId', 'searchDesignation'], { unique: false });
+                migrations.push(addSearchKeys);
+            }
+
+            // Deleted entries and visitors
+            if (!database.objectStoreNames.contains(TRASH_STORE)) {
+                const store = database.createObjectStore(TRASH_STORE, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                store.createIndex('eventDeletedAt', ['eventId', 'deletedAt'], { unique: false });
+                store.createIndex('deletedAt', 'deletedAt', { unique: false });
+            }
+
+            // Entries waiting to be uploaded, keyed by entry ID
+            if (!database.objectStoreNames.contains(OUTBOX_STORE)) {
+                database.createObjectStore(OUTBOX_STORE, { keyPath: 'entryId' });
+                migrations.push(queueExistingEntries);
+            }
+
+            const runNext = () => {
+                const migration = migrations.shift();
+                if (migration) migration(transaction, runNext);
+            };
+            runNext();
         };
     });
 }
 
+/**
+ * Create the first event and assign all existing entries and visitors to it
+ * @param {IDBTransaction} transaction - The version change transaction
+ * @param {Function} done - Called once every record is updated
+ */
+function migrateToEvents(transaction, done) {
+    const now = new Date().toISOString();
+    const request = transaction.objectStore(EVENTS_STORE).add({
+        name: 'Visitor Book',
+        date: now.slice(0, 10),
+        venue: '',
+        cover: null,
+        createdAt: now
+    });
+
+    request.onsuccess = () => {
+        const eventId = request.result;
+        transaction.objectStore(SETTINGS_STORE).put({ key: ACTIVE_EVENT_SETTING, value: eventId });
+
+        let pending = 2;
+        [ENTRIES_STORE, VISITORS_STORE].forEach(storeName => {
+            transaction.objectStore(storeName).openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor) {
+                    cursor.update({ ...cursor.value, eventId });
+                    cursor.continue();
+                } else if (--pending === 0) {
+                    console.log('Existing data moved to event:', eventId);
+                    done();
+                }
+            };
+        });
+    };
+}
+
+/**
+ * Move the images and strokes of existing entries into the media store
+ * @param {IDBTransaction} transaction - The version change transaction
+ * @param {Function} done - Called once every entry is split
+ */
+function splitEntryMedia(transaction, done) {
+    const mediaStore = transaction.objectStore(MEDIA_STORE);
+    let moved = 0;
+
+    transaction.objectStore(ENTRIES_STORE).openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) {
+            console.log('Entry media moved to media store:', moved);
+            done();
+            return;
+        }
+
+        const { photo, signature, ink, ...entry } = cursor.value;
+        mediaStore.put({ id: entry.id, photo: photo || null, signature: signature || null, ink: ink || null });
+        cursor.update(withMediaFlags(entry, photo, ink));
+        moved++;
+        cursor.continue();
+    };
+}
+
+/**
+ * Fill in the search fields of existing entries
+ * @param {IDBTransaction} transaction - The version change transaction
+ * @param {Function} done - Called once every entry is updated
+ */
+function addSearchKeys(transaction, done) {
+    transaction.objectStore(ENTRIES_STORE).openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (cursor) {
+            cursor.update(withSearchKeys(cursor.value));
+            cursor.continue();
+        } else {
+            done();
+        }
+    };
+}
+
+/**
+ * Give existing entries a uid and put them all in the outbox
+ * @param {IDBTransaction} transaction - The version change transaction
+ * @param {Function} done - Called once every entry is queued
+ */
+function queueExistingEntries(transaction, done) {
+    const outbox = transaction.objectStore(OUTBOX_STORE);
+    const queuedAt = new Date().toISOString();
+
+    transaction.objectStore(ENTRIES_STORE).openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) {
+            done();
+            return;
+        }
+
+        const entry = { ...cursor.value, uid: cursor.value.uid || crypto.randomUUID(), sync: 'pending' };
+        cursor.update(entry);
+        outbox.put(outboxRecord(entry.id, queuedAt));
+        cursor.continue();
+    };
+}
+
+/**
+ * A fresh outbox record for an entry that needs uploading
+ */
+function outboxRecord(entryId, queuedAt = new Date().toISOString()) {
+    return { entryId, queuedAt, attempts: 0, nextAttemptAt: queuedAt, lastError: null };
+}
+
+/**
+ * Add the lowercased fields used by the name and designation indexes
+ */
+function withSearchKeys(entry) {
+    return {
+        ...entry,
+        searchName: searchKey(entry.name),
+        searchDesignation: searchKey(entry.designation)
+    };
+}
+
+function searchKey(text) {
+    return (text || '').trim().toLowerCase();
+}
+
+/**
+ * Add the flags the entry list needs without loading media
+ */
+function withMediaFlags(entry, photo, ink) {
+    return {
+        ...entry,
+        hasPhoto: Boolean(photo),
+        hasInk: !isInkEmpty(ink)
+    };
+}
+
+/**
+ * Key range covering every entry of an event in the eventTimestamp index
+ */
+function eventRange(eventId) {
+    // Arrays sort after strings, so [id, []] is past every [id, timestamp]
+    return IDBKeyRange.bound([eventId], [eventId, []]);
+}
+
+// ============ MEDIA ============
+
+/**
+ * Whether this browser can store Blobs in IndexedDB. Some older WebKit
+ * versions throw DataCloneError; those keep images as data URLs.
+ * @returns {Promise<boolean>}
+ */
+export function isBlobStorageSupported() {
+    if (!blobSupport) {
+        blobSupport = (async () => {
+            await initDB();
+            try {
+                await setSetting('blobSupportCheck', new Blob(['ok'], { type: 'text/plain' }));
+                const stored = await getSetting('blobSupportCheck');
+                await setSetting('blobSupportCheck', null);
+                return stored instanceof Blob && (await stored.text()) === 'ok';
+            } catch (error) {
+                console.warn('Blobs cannot be stored in IndexedDB, using data URLs:', error);
+                return false;
+            }
+        })();
+    }
+    return blobSupport;
+}
+
+/**
+ * Decode a data URL synchronously (usable inside a transaction)
+ * @param {string} dataURL
+ * @returns {Blob}
+ */
+function decodeDataURL(dataURL) {
+    const comma = dataURL.indexOf(',');
+    const header = dataURL.slice(5, comma);
+    const data = dataURL.slice(comma + 1);
+    const type = header.split(';')[0] || 'application/octet-stream';
+
+    if (!header.endsWith(';base64')) {
+        return new Blob([decodeURIComponent(data)], { type });
+    }
+
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+}
+
+function isDataURL(value) {
+    return typeof value === 'string' && value.startsWith('data:');
+}
+
+/**
+ * Convert an image to the form this browser stores
+ * @param {Blob|string|null} value - Blob or data URL
+ * @returns {Promise<Blob|string|null>}
+ */
+async function toStoredMedia(value) {
+    if (!value) return null;
+
+    if (await isBlobStorageSupported()) {
+        return isDataURL(value) ? decodeDataURL(value) : value;
+    }
+    return value instanceof Blob ? blobToDataURL(value) : value;
+}
+
+/**
+ * Convert images saved as data URLs by earlier versions to Blobs.
+ * Runs once; later calls return immediately.
+ * @returns {Promise<number>} - Number of records converted
+ */
+export async function migrateMediaToBlobs() {
+    if (!(await isBlobStorageSupported()) || await getSetting(MEDIA_MIGRATED_SETTING, false)) {
+        return 0;
+    }
+
+    let converted = 0;
+
+    for (const [storeName, fields] of Object.entries(MEDIA_FIELDS)) {
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).openCursor();
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+
+                const record = cursor.value;
+                const stale = fields.filter(field => isDataURL(record[field]));
+                if (stale.length > 0) {
+                    stale.forEach(field => {
+                        record[field] = decodeDataURL(record[field]);
+                    });
+                    cursor.update(record);
+                    converted++;
+                }
+                cursor.continue();
+            };
+
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    await setSetting(MEDIA_MIGRATED_SETTING, true);
+    console.log('Images converted to Blobs:', converted);
+    return converted;
+}
+
 // ============ FEEDBACK ENTRIES ============
 
 /**
- * Save a visitor entry
- * @param {Object} entry - Entry object with photo, signature, name
+ * Save a visitor entry to the active event
+ * @param {Object} entry - Entry object with photo, signature, ink, name and
+ *                         optionally a list thumbnail of the photo
  * @returns {Promise<number>} - The ID of the saved entry
  */
 export async function saveEntry(entry) {
     await initDB();
+    const eventId = await getActiveEventId();
+    const photo = await toStoredMedia(entry.photo);
+    const signature = await toStoredMedia(entry.signature);
+    const thumbnail = await toStoredMedia(entry.thumbnail);
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([ENTRIES_STORE], 'readwrite');
+        const transaction = db.transaction([ENTRIES_STORE, MEDIA_STORE, THUMBNAILS_STORE, OUTBOX_STORE], 'readwrite');
         const store = transaction.objectStore(ENTRIES_STORE);
 
-        const entryData = {
-            photo: entry.photo,           // Blob
-            signature: entry.signature,   // Blob
+        const entryData = withSearchKeys(withMediaFlags({
+            uid: entry.uid || crypto.randomUUID(), // Same on every device and the sync backend
+            sync: 'pending',              // 'pending', 'synced' or 'failed' (see sync.js)
             name: entry.name || '',       // Optional name
             designation: entry.designation || '', // Optional designation
-            timestamp: new Date().toISOString()
-        };
+            timestamp: entry.timestamp || new Date().toISOString(), // Kept as-is for imports
+            history: entry.history || [], // Corrections (see updateEntry)
+            eventId: eventId
+        }, photo, entry.ink));
 
         const request = store.add(entryData);
 
         request.onsuccess = () => {
+            const id = request.result;
+            transaction.objectStore(MEDIA_STORE).add({
+                id: id,
+                photo: photo,             // Blob (data URL if Blobs are unsupported)
+                signature: signature,     // Blob (data URL if Blobs are unsupported)
+                ink: entry.ink || null    // Vector strokes (see ink.js)
+            });
+            if (thumbnail) {
+                transaction.objectStore(THUMBNAILS_STORE).put({ id, photo: thumbnail });
+            }
+            transaction.objectStore(OUTBOX_STORE).put(outboxRecord(id));
+        };
+
+        transaction.oncomplete = () => {
             console.log('Entry saved with ID:', request.result);
             resolve(request.result);
         };
 
-        request.onerror = () => {
-            console.error('Failed to save entry:', request.error);
-            reject(request.error);
+        transaction.onerror = () => {
+            console.error('Failed to save entry:', transaction.error);
+            reject(transaction.error);
+        };
+
+        // A full disk aborts the transaction when it commits, without an error event
+        transaction.onabort = () => {
+            console.error('Saving entry aborted:', transaction.error);
+            reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
         };
     });
 }
 
 /**
- * Get all entries, sorted by timestamp (newest first)
+ * Get all entries of an event, sorted by timestamp (newest first).
+ * Entries carry hasPhoto/hasInk flags; use getEntryMedia() for the images.
+ * @param {number} [eventId] - Defaults to the active event
  * @returns {Promise<Array>} - Array of entry objects
  */
-export async function getAllEntries() {
+export async function getAllEntries(eventId) {
     await initDB();
+    const scope = eventId ?? await getActiveEventId();
 
     return new Promise((resolve, reject) => {
         const transaction = db.transaction([ENTRIES_STORE], 'readonly');
         const store = transaction.objectStore(ENTRIES_STORE);
-        const index = store.index('timestamp');
+        const index = store.index('eventTimestamp');
 
         const entries = [];
-        const request = index.openCursor(null, 'prev'); // Descending order
+        const request = index.openCursor(eventRange(scope), 'prev'); // Descending order
 
         request.onsuccess = (event) => {
             const cursor = event.target.result;
@@ -125,207 +510,1229 @@ export async function getAllEntries() {
 }
 
 /**
- * Get a single entry by ID
- * @param {number} id - Entry ID
- * @returns {Promise<Object>} - Entry object
+ * Query one page of an event's entries. Filters are applied while walking
+ * an index, so only the returned page is held in memory.
+ *
+ * A name or designation prefix is looked up through its index, so those
+ * results come back in alphabetical order of that field (reversed for
+ * 'name-desc'); otherwise the sort option picks the order.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.eventId] - Defaults to the active event
+ * @param {string} [options.sort] - 'newest' (default), 'oldest', 'name' or 'name-desc'
+ * @param {string} [options.from] - Earliest timestamp, inclusive (ISO string)
+ * @param {string} [options.to] - Latest timestamp, exclusive (ISO string)
+ * @param {string} [options.name] - Name prefix (case-insensitive)
+ * @param {string} [options.designation] - Designation prefix (case-insensitive)
+ * @param {string} [options.text] - Words that must each start a word of the
+ *                                  name or designation (case-insensitive)
+ * @param {boolean} [options.hasPhoto] - Only entries with (true) or without (false) a photo
+ * @param {number} [options.limit] - Page size
+ * @param {Object} [options.after] - `next` from the previous page
+ * @returns {Promise<{entries: Array, next: Object|null}>} - next is null on the last page
  */
-export async function getEntry(id) {
+export async function queryEntries(options = {}) {
     await initDB();
+    const eventId = options.eventId ?? await getActiveEventId();
+    const limit = options.limit || DEFAULT_PAGE_SIZE;
+    const plan = planQuery(eventId, options);
+    const after = options.after || null;
 
     return new Promise((resolve, reject) => {
         const transaction = db.transaction([ENTRIES_STORE], 'readonly');
-        const store = transaction.objectStore(ENTRIES_STORE);
-        const request = store.get(id);
+        const index = transaction.objectStore(ENTRIES_STORE).index(plan.index);
+
+        // Resume from the previous page's last record
+        let { lower, upper, upperOpen } = plan;
+        if (after && plan.direction === 'next') lower = after.key;
+        if (after && plan.direction === 'prev') {
+            upper = after.key;
+            upperOpen = false;
+        }
+
+        const entries = [];
+        let positioned = !after;
+        const request = index.openCursor(IDBKeyRange.bound(lower, upper, false, upperOpen), plan.direction);
 
         request.onsuccess = () => {
-            resolve(request.result);
+            const cursor = request.result;
+            if (!cursor) {
+                resolve({ entries, next: null });
+                return;
+            }
+
+            if (!positioned) {
+                if (indexedDB.cmp(cursor.key, after.key) === 0 && cursor.primaryKey !== after.primaryKey &&
+                    (plan.direction === 'next') === (cursor.primaryKey < after.primaryKey)) {
+                    // Same key as the last record, but not past it yet
+                    cursor.continuePrimaryKey(after.key, after.primaryKey);
+                    return;
+                }
+                positioned = true;
+                if (indexedDB.cmp(cursor.key, after.key) === 0 && cursor.primaryKey === after.primaryKey) {
+                    cursor.continue();
+                    return;
+                }
+            }
+
+            if (plan.matches(cursor.value)) {
+                entries.push(cursor.value);
+                if (entries.length === limit) {
+                    resolve({ entries, next: { key: cursor.key, primaryKey: cursor.primaryKey } });
+                    return;
+                }
+            }
+            cursor.continue();
         };
 
         request.onerror = () => {
-            console.error('Failed to get entry:', request.error);
+            console.error('Failed to query entries:', request.error);
             reject(request.error);
         };
     });
 }
 
 /**
- * Delete an entry by ID
- * @param {number} id - Entry ID
- * @returns {Promise<void>}
+ * Pick the index, key range and remaining filters for a query
  */
-export async function deleteEntry(id) {
+function planQuery(eventId, { sort = 'newest', from, to, name, designation, text, hasPhoto }) {
+    const namePrefix = searchKey(name);
+    const designationPrefix = searchKey(designation);
+    const words = searchKey(text).split(/\s+/).filter(Boolean);
+
+    const checks = [];
+    if (words.length > 0) checks.push(entry => matchesWords(entry, words));
+    if (typeof hasPhoto === 'boolean') checks.push(entry => Boolean(entry.hasPhoto) === hasPhoto);
+
+    let plan;
+    if (namePrefix || designationPrefix || sort === 'name' || sort === 'name-desc') {
+        // Prefix searches walk only the matching part of their index
+        const [index, prefix] = namePrefix || !designationPrefix
+            ? ['eventName', namePrefix]
+            : ['eventDesignation', designationPrefix];
+        if (namePrefix && designationPrefix) {
+            checks.push(entry => (entry.searchDesignation || '').startsWith(designationPrefix));
+        }
+        if (from) checks.push(entry => entry.timestamp >= from);
+        if (to) checks.push(entry => entry.timestamp < to);
+
+        plan = {
+            index,
+            direction: sort === 'name-desc' ? 'prev' : 'next',
+            lower: [eventId, prefix],
+            upper: prefix ? [eventId, prefix + '\uffff'] : [eventId, []],
+            upperOpen: false
+        };
+    } else {
+        // Date range straight from the timestamp index ([] sorts after every string)
+        plan = {
+            index: 'eventTimestamp',
+            direction: sort === 'oldest' ? 'next' : 'prev',
+            lower: [eventId, from || ''],
+            upper: to ? [eventId, to] : [eventId, []],
+            upperOpen: true
+        };
+    }
+
+    plan.filtered = checks.length > 0;
+    plan.matches = entry => checks.every(check => check(entry));
+    return plan;
+}
+
+/**
+ * Whether every search word starts a word of the entry's name or designation
+ */
+function matchesWords(entry, words) {
+    const parts = `${entry.searchName || ''} ${entry.searchDesignation || ''}`.split(/\s+/);
+    return words.every(word => parts.some(part => part.startsWith(word)));
+}
+
+/**
+ * Count the entries matching a query
+ * @param {Object} [options] - Filters as for queryEntries()
+ * @returns {Promise<number>}
+ */
+export async function countEntries(options = {}) {
     await initDB();
+    const eventId = options.eventId ?? await getActiveEventId();
+    const plan = planQuery(eventId, options);
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([ENTRIES_STORE], 'readwrite');
-        const store = transaction.objectStore(ENTRIES_STORE);
-        const request = store.delete(id);
+        const transaction = db.transaction([ENTRIES_STORE], 'readonly');
+        const index = transaction.objectStore(ENTRIES_STORE).index(plan.index);
+        const range = IDBKeyRange.bound(plan.lower, plan.upper, false, plan.upperOpen);
+
+        // Without extra filters the index can count on its own
+        let count = 0;
+        const request = plan.filtered ? index.openCursor(range) : index.count(range);
 
         request.onsuccess = () => {
-            console.log('Entry deleted:', id);
-            resolve();
+            if (!plan.filtered) {
+                resolve(request.result);
+                return;
+            }
+
+            const cursor = request.result;
+            if (cursor) {
+                if (plan.matches(cursor.value)) count++;
+                cursor.continue();
+            } else {
+                resolve(count);
+            }
         };
 
         request.onerror = () => {
-            console.error('Failed to delete entry:', request.error);
+            console.error('Failed to count entries:', request.error);
             reject(request.error);
         };
     });
 }
 
 /**
- * Get total count of entries
- * @returns {Promise<number>}
+ * Walk every entry matching a query, one page at a time
+ * @param {Object} [options] - As for queryEntries()
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* iterateEntries(options = {}) {
+    let after = null;
+    do {
+        const page = await queryEntries({ ...options, after });
+        yield* page.entries;
+        after = page.next;
+    } while (after);
+}
+
+/**
+ * Get a single entry by ID, including its media
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object>} - Entry object
  */
-export async function getEntryCount() {
+export async function getEntry(id) {
     await initDB();
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([ENTRIES_STORE], 'readonly');
-        const store = transaction.objectStore(ENTRIES_STORE);
-        const request = store.count();
+        const transaction = db.transaction([ENTRIES_STORE, MEDIA_STORE], 'readonly');
+        const entryRequest = transaction.objectStore(ENTRIES_STORE).get(id);
+        const mediaRequest = transaction.objectStore(MEDIA_STORE).get(id);
 
-        request.onsuccess = () => {
-            resolve(request.result);
+        transaction.oncomplete = () => {
+            const entry = entryRequest.result;
+            resolve(entry && { ...entry, ...mediaRequest.result, id });
         };
 
-        request.onerror = () => {
-            reject(request.error);
+        transaction.onerror = () => {
+            console.error('Failed to get entry:', transaction.error);
+            reject(transaction.error);
         };
     });
 }
 
 /**
- * Delete all entries
- * @returns {Promise<void>}
+ * Get the full-size media of an entry
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object|null>} - { photo, signature, ink }
  */
-export async function deleteAllEntries() {
+export async function getEntryMedia(id) {
     await initDB();
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([ENTRIES_STORE], 'readwrite');
-        const store = transaction.objectStore(ENTRIES_STORE);
-        const request = store.clear();
+        const transaction = db.transaction([MEDIA_STORE], 'readonly');
+        const request = transaction.objectStore(MEDIA_STORE).get(id);
 
         request.onsuccess = () => {
-            console.log('All entries deleted');
-            resolve();
+            resolve(request.result || null);
         };
 
         request.onerror = () => {
-            console.error('Failed to delete all entries:', request.error);
+            console.error('Failed to get entry media:', request.error);
             reject(request.error);
         };
     });
 }
 
-// ============ PRE-REGISTERED VISITORS ============
-
 /**
- * Add a pre-registered visitor
- * @param {Object} visitor - Visitor object with photo and name
- * @returns {Promise<number>} - The ID of the saved visitor
+ * Get the list thumbnail of an entry's photo
+ * @param {number} id - Entry ID
+ * @returns {Promise<Blob|string|null>} - null if none has been made yet
  */
-export async function addVisitor(visitor) {
+export async function getThumbnail(id) {
     await initDB();
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([VISITORS_STORE], 'readwrite');
-        const store = transaction.objectStore(VISITORS_STORE);
-
-        const visitorData = {
-            photo: visitor.photo,    // Blob
-            name: visitor.name,      // Name
-            designation: visitor.designation || '', // Designation
-            createdAt: new Date().toISOString()
-        };
-
-        const request = store.add(visitorData);
+        const transaction = db.transaction([THUMBNAILS_STORE], 'readonly');
+        const request = transaction.objectStore(THUMBNAILS_STORE).get(id);
 
         request.onsuccess = () => {
-            console.log('Visitor added with ID:', request.result);
-            resolve(request.result);
+            resolve(request.result ? request.result.photo : null);
         };
 
         request.onerror = () => {
-            console.error('Failed to add visitor:', request.error);
+            console.error('Failed to get thumbnail:', request.error);
             reject(request.error);
         };
     });
 }
 
 /**
- * Get all pre-registered visitors
- * @returns {Promise<Array>} - Array of visitor objects
+ * Save the list thumbnail of an entry's photo
+ * @param {number} id - Entry ID
+ * @param {Blob} thumbnail - Small JPEG
+ * @returns {Promise<void>}
  */
-export async function getAllVisitors() {
+export async function saveThumbnail(id, thumbnail) {
     await initDB();
+    const photo = await toStoredMedia(thumbnail);
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([VISITORS_STORE], 'readonly');
-        const store = transaction.objectStore(VISITORS_STORE);
-        const request = store.getAll();
+        const transaction = db.transaction([THUMBNAILS_STORE], 'readwrite');
+        const request = transaction.objectStore(THUMBNAILS_STORE).put({ id, photo });
 
         request.onsuccess = () => {
-            resolve(request.result);
+            resolve();
         };
 
         request.onerror = () => {
-            console.error('Failed to get visitors:', request.error);
+            console.error('Failed to save thumbnail:', request.error);
             reject(request.error);
         };
     });
 }
 
 /**
- * Get a single visitor by ID
- * @param {number} id - Visitor ID
- * @returns {Promise<Object>} - Visitor object
+ * Correct an entry's name, designation or photo. Each change is added to
+ * the entry's history as { at, changes: { field: { from, to } } }; photo
+ * changes are recorded as 'added', 'replaced' or 'removed'.
+ * @param {number} id - Entry ID
+ * @param {Object} changes - Any of { name, designation, photo (Blob or
+ *                           null to remove), thumbnail (of the new photo) }
+ * @returns {Promise<Object>} - The updated entry
  */
-export async function getVisitor(id) {
+export async function updateEntry(id, changes) {
     await initDB();
+    const replacePhoto = 'photo' in changes;
+    const photo = replacePhoto ? await toStoredMedia(changes.photo) : null;
+    const thumbnail = replacePhoto ? await toStoredMedia(changes.thumbnail) : null;
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([VISITORS_STORE], 'readonly');
-        const store = transaction.objectStore(VISITORS_STORE);
+        const transaction = db.transaction([ENTRIES_STORE, MEDIA_STORE, THUMBNAILS_STORE, OUTBOX_STORE], 'readwrite');
+        const store = transaction.objectStore(ENTRIES_STORE);
         const request = store.get(id);
+        let updated = null;
 
         request.onsuccess = () => {
-            resolve(request.result);
+            const entry = request.result;
+            if (!entry) {
+                reject(new Error(`Entry ${id} not found`));
+                transaction.abort();
+                return;
+            }
+
+            const recorded = {};
+            ['name', 'designation'].forEach(field => {
+                if (!(field in changes)) return;
+                const value = (changes[field] || '').trim();
+                if (value !== (entry[field] || '')) {
+                    recorded[field] = { from: entry[field] || '', to: value };
+                    entry[field] = value;
+                }
+            });
+
+            if (replacePhoto && (photo || entry.hasPhoto)) {
+                recorded.photo = !photo ? 'removed' : entry.hasPhoto ? 'replaced' : 'added';
+                entry.hasPhoto = Boolean(photo);
+
+                const mediaStore = transaction.objectStore(MEDIA_STORE);
+                mediaStore.get(id).onsuccess = (e) => {
+                    mediaStore.put({ ...e.target.result, id, photo });
+                };
+
+                const thumbnails = transaction.objectStore(THUMBNAILS_STORE);
+                if (thumbnail) {
+                    thumbnails.put({ id, photo: thumbnail });
+                } else {
+                    // Made again from the new photo when next listed
+                    thumbnails.delete(id);
+                }
+            }
+
+            if (Object.keys(recorded).length > 0) {
+                entry.history = [...(entry.history || []), { at: new Date().toISOString(), changes: recorded }];
+                entry.sync = 'pending';
+                store.put(withSearchKeys(entry));
+                transaction.objectStore(OUTBOX_STORE).put(outboxRecord(id));
+            }
+            updated = withSearchKeys(entry);
         };
 
-        request.onerror = () => {
-            console.error('Failed to get visitor:', request.error);
-            reject(request.error);
+        transaction.oncomplete = () => {
+            console.log('Entry updated:', id);
+            resolve(updated);
+        };
+
+        transaction.onerror = () => {
+            console.error('Failed to update entry:', transaction.error);
+            reject(transaction.error);
         };
     });
 }
 
 /**
- * Delete a pre-registered visitor by ID
- * @param {number} id - Visitor ID
+ * Move an entry to the trash
+ * @param {number} id - Entry ID
  * @returns {Promise<void>}
  */
-export async function deleteVisitor(id) {
+export async function deleteEntry(id) {
     await initDB();
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([VISITORS_STORE], 'readwrite');
-        const store = transaction.objectStore(VISITORS_STORE);
-        const request = store.delete(id);
+        const transaction = db.transaction([ENTRIES_STORE, MEDIA_STORE, THUMBNAILS_STORE, OUTBOX_STORE, TRASH_STORE], 'readwrite');
+        trashEntry(transaction, id, new Date().toISOString());
 
-        request.onsuccess = () => {
-            console.log('Visitor deleted:', id);
+        transaction.oncomplete = () => {
+            console.log('Entry moved to trash:', id);
             resolve();
         };
 
+        transaction.onerror = () => {
+            console.error('Failed to delete entry:', transaction.error);
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Get the number of entries in an event
+ * @param {number} [eventId] - Defaults to the active event
+ * @returns {Promise<number>}
+ */
+export async function getEntryCount(eventId) {
+    await initDB();
+    const scope = eventId ?? await getActiveEventId();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([ENTRIES_STORE], 'readonly');
+        const store = transaction.objectStore(ENTRIES_STORE);
+        const request = store.index('eventTimestamp').count(eventRange(scope));
+
+        request.onsuccess = () => {
+            resolve(request.result);
+        };
+
         request.onerror = () => {
-            console.error('Failed to delete visitor:', request.error);
             reject(request.error);
         };
     });
 }
 
+/**
+ * Move all entries of the active event to the trash
+ * @returns {Promise<void>}
+ */
+export async function deleteAllEntries() {
+    await initDB();
+    const eventId = await getActiveEventId();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([ENTRIES_STORE, MEDIA_STORE, THUMBNAILS_STORE, OUTBOX_STORE, TRASH_STORE], 'readwrite');
+        const store = transaction.objectStore(ENTRIES_STORE);
+        const request = store.index('eventTimestamp').openKeyCursor(eventRange(eventId));
+        const deletedAt = new Date().toISOString();
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                trashEntry(transaction, cursor.primaryKey, deletedAt);
+                cursor.continue();
+            }
+        };
+
+        transaction.oncomplete = () => {
+            console.log('All entries moved to trash for event:', eventId);
+            resolve();
+        };
+
+        transaction.onerror = () => {
+            console.error('Failed to delete all entries:', transaction.error);
+            reject(transaction.error);
+        };
+    });
+}
+
+// ============ PRE-REGISTERED VISITORS ============
+
+/**
+ * Add a pre-registered visitor to the active event
+ * @param {Object} visitor - Visitor object with photo and name
+ * @returns {Promise<number>} - The ID of the saved visitor
+ */
+export async function addVisitor(visitor) {
+    await initDB();
+    const eventId = await getActiveEventId();
+    const photo = await toStoredMedia(visitor.photo);
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([VISITORS_STORE], 'readwrite');
+        const store = transaction.objectStore(VISITORS_STORE);
+
+        const visitorData = {
+            photo: photo,            // Blob (data URL if Blobs are unsupported)
+            name: visitor.name,      // Name
+            designation: visitor.designation || '', // Designation
+            createdAt: visitor.createdAt || new Date().toISOString(), // Kept as-is for imports
+            eventId: eventId
+        };
+
+        const request = store.add(visitorData);
+
+        request.onsuccess = () => {
+            console.log('Visitor added with ID:', request.result);
+            resolve(request.result);
+        };
+
+        request.onerror = () => {
+            console.error('Failed to add visitor:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * Get all pre-registered visitors of an event
+ * @param {number} [eventId] - Defaults to the active event
+ * @returns {Promise<Array>} - Array of visitor objects
+ */
+export async function getAllVisitors(eventId) {
+    await initDB();
+    const scope = eventId ?? await getActiveEventId();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([VISITORS_STORE], 'readonly');
+        const store = transaction.objectStore(VISITORS_STORE);
+        const request = store.index('eventId').getAll(scope);
+
+        request.onsuccess = () => {
+            resolve(request.result);
+        };
+
+        request.onerror = () => {
+            console.error('Failed to get visitors:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * Get a single visitor by ID
+ * @param {number} id - Visitor ID
+ * @returns {Promise<Object>} - Visitor object
+ */
+export async function getVisitor(id) {
+    await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([VISITORS_STORE], 'readonly');
+        const store = transaction.objectStore(VISITORS_STORE);
+        const request = store.get(id);
+
+        request.onsuccess = () => {
+            resolve(request.result);
+        };
+
+        request.onerror = () => {
+            console.error('Failed to get visitor:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * Update a pre-registered visitor
+ * @param {number} id - Visitor ID
+ * @param {Object} changes - Any of { name, designation, photo (Blob or null to remove) }
+ * @returns {Promise<Object>} - The updated visitor
+ */
+export async function updateVisitor(id, changes) {
+    await initDB();
+    if ('photo' in changes) {
+        changes = { ...changes, photo: await toStoredMedia(changes.photo) };
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([VISITORS_STORE], 'readwrite');
+        const store = transaction.objectStore(VISITORS_STORE);
+        const request = store.get(id);
+        let updated = null;
+
+        request.onsuccess = () => {
+            if (!request.result) {
+                reject(new Error(`Visitor ${id} not found`));
+                transaction.abort();
+                return;
+            }
+            updated = { ...request.result, ...changes, id };
+            store.put(updated);
+        };
+
+        transaction.oncomplete = () => {
+            console.log('Visitor updated:', id);
+            resolve(updated);
+        };
+
+        transaction.onerror = () => {
+            console.error('Failed to update visitor:', transaction.error);
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Move a pre-registered visitor to the trash
+ * @param {number} id - Visitor ID
+ * @returns {Promise<void>}
+ */
+export async function deleteVisitor(id) {
+    return deleteVisitors([id]);
+}
+
+/**
+ * Move several pre-registered visitors to the trash in one transaction
+ * @param {Array<number>} ids - Visitor IDs
+ * @returns {Promise<void>}
+ */
+export async function deleteVisitors(ids) {
+    await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([VISITORS_STORE, TRASH_STORE], 'readwrite');
+        const deletedAt = new Date().toISOString();
+        ids.forEach(id => trashVisitor(transaction, id, deletedAt));
+
+        transaction.oncomplete = () => {
+            console.log('Visitors moved to trash:', ids.length);
+            resolve();
+        };
+
+        transaction.onerror = () => {
+            console.error('Failed to delete visitors:', transaction.error);
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Move all pre-registered visitors of the active event to the trash
+ * @returns {Promise<void>}
+ */
+export async function deleteAllVisitors() {
+    await initDB();
+    const eventId = await getActiveEventId();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([VISITORS_STORE, TRASH_STORE], 'readwrite');
+        const store = transaction.objectStore(VISITORS_STORE);
+        const request = store.index('eventId').openKeyCursor(eventId);
+        const deletedAt = new Date().toISOString();
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                trashVisitor(transaction, cursor.primaryKey, deletedAt);
+                cursor.continue();
+            }
+        };
+
+        transaction.oncomplete = () => {
+            console.log('All visitors moved to trash for event:', eventId);
+            resolve();
+        };
+
+        transaction.onerror = () => {
+            console.error('Failed to delete all visitors:', transaction.error);
+            reject(transaction.error);
+        };
+    });
+}
+
+// ============ TRASH ============
+
+/**
+ * Move an entry with its media and thumbnail into the trash. Trashed
+ * entries are not uploaded.
+ * @param {IDBTransaction} transaction - Covers the entry, media, thumbnail, outbox and trash stores
+ * @param {number} id - Entry ID
+ * @param {string} deletedAt - ISO timestamp
+ */
+function trashEntry(transaction, id, deletedAt) {
+    const stores = [ENTRIES_STORE, MEDIA_STORE, THUMBNAILS_STORE].map(name => transaction.objectStore(name));
+    const found = [];
+    transaction.objectStore(OUTBOX_STORE).delete(id);
+    let pending = stores.length;
+
+    stores.forEach((store, index) => {
+        store.get(id).onsuccess = (e) => {
+            found[index] = e.target.result || null;
+            store.delete(id);
+            if (--pending > 0) return;
+
+            const [record, media, thumbnail] = found;
+            if (!record) return;
+            transaction.objectStore(TRASH_STORE).add({
+                type: 'entry',
+                eventId: record.eventId,
+                deletedAt,
+                record,
+                media,
+                thumbnail
+            });
+        };
+    });
+}
+
+/**
+ * Move a visitor into the trash
+ * @param {IDBTransaction} transaction - Covers the visitors and trash stores
+ * @param {number} id - Visitor ID
+ * @param {string} deletedAt - ISO timestamp
+ */
+function trashVisitor(transaction, id, deletedAt) {
+    const store = transaction.objectStore(VISITORS_STORE);
+
+    store.get(id).onsuccess = (e) => {
+        const record = e.target.result;
+        if (!record) return;
+
+        store.delete(id);
+        transaction.objectStore(TRASH_STORE).add({
+            type: 'visitor',
+            eventId: record.eventId,
+            deletedAt,
+            record
+        });
+    };
+}
+
+/**
+ * Get the trash of an event, most recently deleted first
+ * @param {number} [eventId] - Defaults to the active event
+ * @returns {Promise<Array>} - { id, type: 'entry'|'visitor', eventId, deletedAt,
+ *                             record, media, thumbnail }
+ */
+export async function getTrash(eventId) {
+    await initDB();
+    const scope = eventId ?? await getActiveEventId();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([TRASH_STORE], 'readonly');
+        const index = transaction.objectStore(TRASH_STORE).index('eventDeletedAt');
+        const request = index.getAll(IDBKeyRange.bound([scope], [scope, []]));
+
+        request.onsuccess = () => {
+            resolve(request.result.reverse());
+        };
+
+        request.onerror = () => {
+            console.error('Failed to get trash:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * Put a trashed entry or visitor back where it was, under its old ID
+ * @param {number} id - Trash item ID
+ * @returns {Promise<Object>} - The restored trash item
+ */
+export async function restoreFromTrash(id) {
+    await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([TRASH_STORE, ENTRIES_STORE, MEDIA_STORE, THUMBNAILS_STORE, OUTBOX_STORE, VISITORS_STORE], 'readwrite');
+        const trash = transaction.objectStore(TRASH_STORE);
+        const request = trash.get(id);
+        let item = null;
+
+        request.onsuccess = () => {
+            item = request.result;
+            if (!item) {
+                reject(new Error(`Trash item ${id} not found`));
+                transaction.abort();
+                return;
+            }
+
+            if (item.type === 'entry') {
+                // Uploaded again in case the backend missed it
+                const uid = item.record.uid || crypto.randomUUID();
+                transaction.objectStore(ENTRIES_STORE).put({ ...item.record, uid, sync: 'pending' });
+                transaction.objectStore(OUTBOX_STORE).put(outboxRecord(item.record.id));
+                if (item.media) transaction.objectStore(MEDIA_STORE).put(item.media);
+                if (item.thumbnail) transaction.objectStore(THUMBNAILS_STORE).put(item.thumbnail);
+            } else {
+                transaction.objectStore(VISITORS_STORE).put(item.record);
+            }
+            trash.delete(id);
+        };
+
+        transaction.oncomplete = () => {
+            console.log('Restored from trash:', item.type, item.record.id);
+            resolve(item);
+        };
+
+        transaction.onerror = () => {
+            console.error('Failed to restore from trash:', transaction.error);
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Permanently delete trash items
+ * @param {string} indexName - 'eventDeletedAt' or 'deletedAt'
+ * @param {IDBKeyRange} range - Keys of that index to delete
+ * @returns {Promise<number>} - Items deleted
+ */
+async function purgeTrashRange(indexName, range) {
+    await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([TRASH_STORE], 'readwrite');
+        const store = transaction.objectStore(TRASH_STORE);
+        const request = store.index(indexName).openKeyCursor(range);
+        let purged = 0;
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                purged++;
+                cursor.continue();
+            }
+        };
+
+        transaction.oncomplete = () => {
+            if (purged > 0) console.log('Trash items purged:', purged);
+            resolve(purged);
+        };
+
+        transaction.onerror = () => {
+            console.error('Failed to purge trash:', transaction.error);
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Permanently delete trashed entries with one of these uids, of any event.
+ * Used after a restore brought the same entries back, so restoring them
+ * from the trash later cannot create a second copy of one uid.
+ * @param {Iterable<string>} uids
+ * @returns {Promise<number>} - Items deleted
+ */
+export async function purgeTrashedEntries(uids) {
+    const wanted = new Set(uids);
+    if (wanted.size === 0) return 0;
+    await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([TRASH_STORE], 'readwrite');
+        const request = transaction.objectStore(TRASH_STORE).openCursor();
+        let purged = 0;
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            const item = cursor.value;
+            if (item.type === 'entry' && wanted.has(item.record.uid)) {
+                cursor.delete();
+                purged++;
+            }
+            cursor.continue();
+        };
+
+        transaction.oncomplete = () => {
+            if (purged > 0) console.log('Trashed copies of restored entries purged:', purged);
+            resolve(purged);
+        };
+
+        transaction.onerror = () => {
+            console.error('Failed to purge trashed entries:', transaction.error);
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Permanently delete everything in the active event's trash
+ * @returns {Promise<number>} - Items deleted
+ */
+export async function emptyTrash() {
+    await initDB();
+    const eventId = await getActiveEventId();
+    return purgeTrashRange('eventDeletedAt', IDBKeyRange.bound([eventId], [eventId, []]));
+}
+
+/**
+ * Permanently delete trash items of all events that are past the retention period
+ * @param {number} retentionDays - 0 keeps items until the trash is emptied
+ * @returns {Promise<number>} - Items deleted
+ */
+export async function purgeExpiredTrash(retentionDays) {
+    if (!(retentionDays > 0)) return 0;
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    return purgeTrashRange('deletedAt', IDBKeyRange.upperBound(cutoff, true));
+}
+
+// ============ SYNC OUTBOX ============
+
+/**
+ * Get the entries waiting to be uploaded, the longest waiting first
+ * @returns {Promise<Array>} - { entryId, queuedAt, attempts, nextAttemptAt, lastError }
+ */
+export async function getOutbox() {
+    await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([OUTBOX_STORE], 'readonly');
+        const request = transaction.objectStore(OUTBOX_STORE).getAll();
+
+        request.onsuccess = () => {
+            resolve(request.result.sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt)));
+        };
+
+        request.onerror = () => {
+            console.error('Failed to get outbox:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * Record the outcome of an upload. Nothing changes if the entry was
+ * edited or deleted while it was uploading.
+ * @param {Object} record - The outbox record that was uploaded
+ * @param {Object|null} failure - null on success, else { error, nextAttemptAt }
+ * @returns {Promise<string|null>} - The entry's new sync status, or null if unchanged
+ */
+async function settleOutboxRecord(record, failure) {
+    await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([OUTBOX_STORE, ENTRIES_STORE], 'readwrite');
+        const outbox = transaction.objectStore(OUTBOX_STORE);
+        const entries = transaction.objectStore(ENTRIES_STORE);
+        let status = null;
+
+        outbox.get(record.entryId).onsuccess = (e) => {
+            const current = e.target.result;
+            if (!current || current.queuedAt !== record.queuedAt) return;
+
+            if (failure) {
+                outbox.put({
+                    ...current,
+                    attempts: current.attempts + 1,
+                    nextAttemptAt: failure.nextAttemptAt,
+                    lastError: failure.error
+                });
+            } else {
+                outbox.delete(record.entryId);
+            }
+
+            entries.get(record.entryId).onsuccess = (event) => {
+                const entry = event.target.result;
+                if (!entry) return;
+                status = failure ? 'failed' : 'synced';
+                entries.put(failure ? { ...entry, sync: status } : { ...entry, sync: status, syncedAt: new Date().toISOString() });
+            };
+        };
+
+        transaction.oncomplete = () => {
+            resolve(status);
+        };
+
+        transaction.onerror = () => {
+            console.error('Failed to update outbox:', transaction.error);
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Mark an uploaded entry as synced
+ * @param {Object} record - From getOutbox()
+ * @returns {Promise<string|null>} - 'synced', or null if the entry changed meanwhile
+ */
+export function markEntrySynced(record) {
+    return settleOutboxRecord(record, null);
+}
+
+/**
+ * Keep an entry in the outbox after a failed upload
+ * @param {Object} record - From getOutbox()
+ * @param {string} error - What went wrong
+ * @param {string} nextAttemptAt - ISO timestamp of the next try
+ * @returns {Promise<string|null>} - 'failed', or null if the entry changed meanwhile
+ */
+export function markEntrySyncFailed(record, error, nextAttemptAt) {
+    return settleOutboxRecord(record, { error, nextAttemptAt });
+}
+
+// ============ EVENTS ============
+
+/**
+ * Add an event
+ * @param {Object} eventData - { name, date (YYYY-MM-DD), venue, cover (Blob) }
+ * @returns {Promise<number>} - The ID of the saved event
+ */
+export async function addEvent(eventData) {
+    await initDB();
+    const cover = await toStoredMedia(eventData.cover);
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([EVENTS_STORE], 'readwrite');
+        const store = transaction.objectStore(EVENTS_STORE);
+
+        const request = store.add({
+            name: eventData.name,
+            date: eventData.date || '',
+            venue: eventData.venue || '',
+            cover: cover,
+            createdAt: new Date().toISOString()
+        });
+
+        request.onsuccess = () => {
+            console.log('Event added with ID:', request.result);
+            resolve(request.result);
+        };
+
+        request.onerror = () => {
+            console.error('Failed to add event:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * Update an event's details
+ * @param {number} id - Event ID
+ * @param {Object} changes - Any of { name, date, venue, cover }
+ * @returns {Promise<void>}
+ */
+export async function updateEvent(id, changes) {
+    await initDB();
+    if ('cover' in changes) {
+        changes = { ...changes, cover: await toStoredMedia(changes.cover) };
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([EVENTS_STORE], 'readwrite');
+        const store = transaction.objectStore(EVENTS_STORE);
+        const request = store.get(id);
+
+        request.onsuccess = () => {
+            if (!request.result) {
+                reject(new Error(`Event ${id} not found`));
+                return;
+            }
+            store.put({ ...request.result, ...changes, id });
+        };
+
+        transaction.oncomplete = () => {
+            console.log('Event updated:', id);
+            resolve();
+        };
+
+        transaction.onerror = () => {
+            console.error('Failed to update event:', transaction.error);
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Get all events, sorted by date (newest first)
+ * @returns {Promise<Array>} - Array of event objects
+ */
+export async function getAllEvents() {
+    await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([EVENTS_STORE], 'readonly');
+        const request = transaction.objectStore(EVENTS_STORE).index('date').getAll();
+
+        request.onsuccess = () => {
+            resolve(request.result.reverse());
+        };
+
+        request.onerror = () => {
+            console.error('Failed to get events:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * Get a single event by ID
+ * @param {number} id - Event ID
+ * @returns {Promise<Object>} - Event object
+ */
+export async function getEvent(id) {
+    await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([EVENTS_STORE], 'readonly');
+        const request = transaction.objectStore(EVENTS_STORE).get(id);
+
+        request.onsuccess = () => {
+            resolve(request.result);
+        };
+
+        request.onerror = () => {
+            console.error('Failed to get event:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * Get the ID of the event new entries and visitors belong to
+ * @returns {Promise<number>}
+ */
+export async function getActiveEventId() {
+    if (activeEventId !== null) return activeEventId;
+
+    const saved = await getSetting(ACTIVE_EVENT_SETTING);
+    if (saved !== null && await getEvent(saved)) {
+        activeEventId = saved;
+    } else {
+        // Saved event is missing - fall back to the most recent one
+        const [latest] = await getAllEvents();
+        activeEventId = latest.id;
+        await setSetting(ACTIVE_EVENT_SETTING, activeEventId);
+    }
+
+    return activeEventId;
+}
+
+/**
+ * Switch the active event
+ * @param {number} id - Event ID
+ * @returns {Promise<void>}
+ */
+export async function setActiveEventId(id) {
+    activeEventId = id;
+    await setSetting(ACTIVE_EVENT_SETTING, id);
+}
+
+// ============ SETTINGS ============
+
+/**
+ * Get a setting value
+ * @param {string} key - Setting name
+ * @param {*} defaultValue - Returned when the setting has never been saved
+ * @returns {Promise<*>}
+ */
+export async function getSetting(key, defaultValue = null) {
+    await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SETTINGS_STORE], 'readonly');
+        const store = transaction.objectStore(SETTINGS_STORE);
+        const request = store.get(key);
+
+        request.onsuccess = () => {
+            resolve(request.result ? request.result.value : defaultValue);
+        };
+
+        request.onerror = () => {
+            console.error('Failed to get setting:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+/**
+ * Save a setting value
+ * @param {string} key - Setting name
+ * @param {*} value - Any structured-cloneable value
+ * @returns {Promise<void>}
+ */
+export async function setSetting(key, value) {
+    await initDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SETTINGS_STORE], 'readwrite');
+        const store = transaction.objectStore(SETTINGS_STORE);
+        const request = store.put({ key, value });
+
+        request.onsuccess = () => {
+            resolve();
+        };
+
+        request.onerror = () => {
+            console.error('Failed to save setting:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+// ============ STORAGE QUOTA ============
+
+/**
+ * Ask the browser not to evict our data when the device runs low on space
+ * @returns {Promise<boolean>} - Whether storage is persistent
+ */
+export async function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) return false;
+
+    try {
+        return (await navigator.storage.persisted()) || (await navigator.storage.persist());
+    } catch (error) {
+        console.error('Failed to request persistent storage:', error);
+        return false;
+    }
+}
+
+/**
+ * Get how much space the app uses and may use
+ * @returns {Promise<Object|null>} - { usage, quota, available (bytes),
+ *          persisted, low }, or null if the browser cannot tell
+ */
+export async function getStorageStatus() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+
+    try {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        if (!quota) return null;
+
+        const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+        const available = Math.max(0, quota - usage);
+
+        return {
+            usage,
+            quota,
+            available,
+            persisted,
+            low: usage / quota >= STORAGE_LOW_FRACTION || available < STORAGE_LOW_BYTES
+        };
+    } catch (error) {
+        console.error('Failed to estimate storage:', error);
+        return null;
+    }
+}
+
+/**
+ * Whether an error means the storage quota is used up
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isQuotaExceededError(error) {
+    return Boolean(error) && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || // Older Firefox
+        error.code === 22
+    );
+}
+
 // ============ UTILITIES ============
 
 /**
@@ -0,0 +1,328 @@
+/**
+ * Sync Module - uploads entries to a self-hosted backend
+ *
+ * Every saved or edited entry waits in the outbox store (storage.js) until
+ * the backend has it, so tablets keep working offline and several tablets
+ * at one event end up in one combined book on the server. Failed uploads
+ * are retried with exponential backoff.
+ *
+ * The page uploads when it loads, after each save and when the connection
+ * returns. Where Background Sync is available, sw.js also runs this module
+ * and uploads the outbox itself when the connection returns, even with the
+ * app closed, then tells open pages the new statuses.
+ *
+ * Backend contract (JSON over HTTP, CORS enabled):
+ *
+ *   PUT {endpoint}/entries/{uid}   -> 200 or 201, any body
+ *       { uid, deviceId, event: { name, date, venue }, name, designation,
+ *         timestamp, history, ink, photo, signature }
+ *       photo and signature are data URLs or null. Uploading the same uid
+ *       again replaces the entry, so retries and edits are safe.
+ *
+ * A token, if set, is sent as "Authorization: Bearer <token>".
+ * tools/mock-sync-server.js implements the contract for local testing.
+ */
+
+import { getOutbox, markEntrySynced, markEntrySyncFailed, getEntry, getEvent, getSetting, setSetting, blobToDataURL } from './storage.js';
+
+const ENDPOINT_SETTING = 'syncEndpoint';
+const TOKEN_SETTING = 'syncToken';
+const DEVICE_SETTING = 'syncDeviceId';
+const LAST_SYNC_SETTING = 'lastSyncAt';
+
+// Tag shared with sw.js
+const SYNC_TAG = 'visitorbook-outbox';
+
+// Retry after 30s, doubling up to an hour
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+
+// The service worker imports this module too
+const IN_WORKER = typeof window === 'undefined';
+
+let settings = null;
+let running = null;
+let retryTimer = null;
+let changeCallback = null;
+
+// Statuses changed since the entries were loaded, by entry ID
+const statuses = new Map();
+
+/**
+ * Load the sync settings
+ * @returns {Promise<{endpoint: string, token: string, deviceId: string, lastSyncAt: string|null}>}
+ */
+export async function getSyncSettings() {
+    if (!settings) await loadSettings();
+    return { ...settings, lastSyncAt: await getSetting(LAST_SYNC_SETTING) };
+}
+
+async function loadSettings() {
+    let deviceId = await getSetting(DEVICE_SETTING);
+    if (!deviceId) {
+        deviceId = crypto.randomUUID();
+        await setSetting(DEVICE_SETTING, deviceId);
+    }
+
+    settings = {
+        endpoint: await getSetting(ENDPOINT_SETTING, ''),
+        token: await getSetting(TOKEN_SETTING, ''),
+        deviceId
+    };
+}
+
+/**
+ * Change the backend. An empty endpoint turns sync off.
+ * @param {Object} changes - { endpoint, token }
+ * @returns {Promise<void>}
+ */
+export async function setSyncSettings({ endpoint, token }) {
+    const url = (endpoint || '').trim().replace(/\/+$/, '');
+    if (url && !/^https?:\/\/[^/]+/i.test(url)) {
+        throw new Error('The sync address must start with http:// or https://');
+    }
+
+    await getSyncSettings();
+    await setSetting(ENDPOINT_SETTING, url);
+    await setSetting(TOKEN_SETTING, (token || '').trim());
+    settings = { ...settings, endpoint: url, token: (token || '').trim() };
+
+    if (url) requestSync();
+}
+
+/**
+ * Whether a backend is configured (settings must have been loaded)
+ * @returns {boolean}
+ */
+export function isSyncEnabled() {
+    return Boolean(settings && settings.endpoint);
+}
+
+/**
+ * Current sync status of an entry
+ * @param {Object} entry - Entry metadata
+ * @returns {string} - 'pending', 'synced' or 'failed'
+ */
+export function getEntrySyncStatus(entry) {
+    return statuses.get(entry.id) || entry.sync || 'pending';
+}
+
+/**
+ * Delay before the next try after a number of failed attempts, with
+ * jitter so tablets that went offline together do not retry together
+ */
+function retryDelay(attempts) {
+    const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+    return delay * (0.8 + Math.random() * 0.4);
+}
+
+/**
+ * Build the upload body for an entry
+ */
+async function entryPayload(entry) {
+    const event = await getEvent(entry.eventId);
+    const media = async (value) => (value instanceof Blob ? blobToDataURL(value) : value || null);
+
+    return {
+        uid: entry.uid,
+        deviceId: settings.deviceId,
+        event: event ? { name: event.name, date: event.date || '', venue: event.venue || '' } : null,
+        name: entry.name || '',
+        designation: entry.designation || '',
+        timestamp: entry.timestamp,
+        history: entry.history || [],
+        ink: entry.ink || null,
+        photo: await media(entry.photo),
+        signature: await media(entry.signature)
+    };
+}
+
+/**
+ * Upload one entry
+ * @throws {Error} - With offline set for network failures
+ */
+async function upload(entry) {
+    const body = JSON.stringify(await entryPayload(entry));
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.token) headers.Authorization = `Bearer ${settings.token}`;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    let response;
+    try {
+        response = await fetch(`${settings.endpoint}/entries/${encodeURIComponent(entry.uid)}`, {
+            method: 'PUT',
+            headers,
+            body,
+            signal: controller.signal
+        });
+    } catch (error) {
+        const networkError = new Error(error.name === 'AbortError' ? 'The server did not answer in time' : 'The server could not be reached');
+        networkError.offline = true;
+        throw networkError;
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    if (!response.ok) {
+        throw new Error(`The server answered ${response.status} ${response.statusText}`.trim());
+    }
+}
+
+function setStatus(result, entryId, status) {
+    if (!status) return;
+    statuses.set(entryId, status);
+    result.statuses[entryId] = status;
+}
+
+/**
+ * Upload the outbox. Runs one at a time; stops at the first network error
+ * since the rest would fail the same way.
+ * @param {Object} [options] - { force: also retry entries still backing off }
+ * @returns {Promise<{uploaded: number, failed: number, pending: number, statuses: Object}>}
+ *          statuses maps the IDs of entries that changed to their new status
+ */
+export function syncNow(options = {}) {
+    if (running) {
+        // A forced run must not be answered by a run that skipped entries
+        return options.force ? running.then(() => syncNow(options)) : running;
+    }
+
+    running = runSync(options).finally(() => {
+        running = null;
+    });
+    return running;
+}
+
+async function runSync({ force = false } = {}) {
+    // Read again each run: the page may have changed them for the worker
+    await loadSettings();
+    const result = { uploaded: 0, failed: 0, pending: 0, statuses: {} };
+
+    if (!isSyncEnabled()) return result;
+
+    const outbox = await getOutbox();
+    const now = new Date().toISOString();
+
+    for (const record of outbox) {
+        if (!force && record.nextAttemptAt > now) continue;
+
+        const entry = await getEntry(record.entryId);
+        if (!entry) continue;
+
+        try {
+            await upload(entry);
+            setStatus(result, entry.id, await markEntrySynced(record));
+            result.uploaded++;
+        } catch (error) {
+            console.error('Failed to upload entry:', entry.id, error);
+            const nextAttemptAt = new Date(Date.now() + retryDelay(record.attempts + 1)).toISOString();
+            setStatus(result, entry.id, await markEntrySyncFailed(record, error.message, nextAttemptAt));
+            result.failed++;
+
+            if (error.offline) break;
+        }
+    }
+
+    if (result.uploaded > 0) {
+        await setSetting(LAST_SYNC_SETTING, new Date().toISOString());
+    }
+
+    result.pending = await scheduleRetry();
+    if (changeCallback) changeCallback(result);
+
+    return result;
+}
+
+/**
+ * Set a timer for the earliest entry still waiting, and ask for a
+ * Background Sync so an open page is nudged when the connection returns
+ * @returns {Promise<number>} - Number of entries still waiting
+ */
+async function scheduleRetry() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+
+    const outbox = await getOutbox();
+    // The worker is retried by the browser when its sync event fails
+    if (outbox.length === 0 || !isSyncEnabled() || IN_WORKER) return outbox.length;
+
+    const delay = Math.max(1000, new Date(outbox[0].nextAttemptAt).getTime() - Date.now());
+    retryTimer = setTimeout(() => syncNow(), Math.min(delay, RETRY_MAX_MS));
+
+    await registerBackgroundSync();
+    return outbox.length;
+}
+
+async function registerBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return false;
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (!registration.sync) return false;
+        await registration.sync.register(SYNC_TAG);
+        return true;
+    } catch (error) {
+        console.log('Background Sync unavailable:', error);
+        return false;
+    }
+}
+
+/**
+ * Upload new and edited entries soon
+ * @param {number} [entryId] - Entry that was just saved or edited
+ */
+export function requestSync(entryId) {
+    // Its status is back to pending in storage
+    if (entryId !== undefined) statuses.delete(entryId);
+    if (!isSyncEnabled()) return;
+
+    if (navigator.onLine === false) {
+        // The online listener picks it up once the connection returns
+        registerBackgroundSync();
+        return;
+    }
+    syncNow().catch(error => {
+        console.error('Sync failed:', error);
+    });
+}
+
+/**
+ * Upload from the service worker's Background Sync event
+ * @returns {Promise<Object>} - As for syncNow()
+ */
+export function syncInBackground() {
+    return syncNow({ force: true });
+}
+
+/**
+ * Take over the statuses of a Background Sync run in the service worker
+ */
+function handleWorkerMessage(event) {
+    if (!event.data || event.data.type !== 'sync-complete') return;
+
+    for (const [entryId, status] of Object.entries(event.data.statuses || {})) {
+        statuses.set(Number(entryId), status);
+    }
+    if (changeCallback) changeCallback(event.data);
+}
+
+/**
+ * Start syncing
+ * @param {Function} [onChange] - Called with the result of each sync run
+ */
+export async function initSync(onChange) {
+    changeCallback = onChange;
+    await getSyncSettings();
+
+    window.addEventListener('online', () => syncNow({ force: true }).catch(error => {
+        console.error('Sync failed:', error);
+    }));
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+    }
+
+    requestSync();
+}
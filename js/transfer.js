@@ -0,0 +1,394 @@
+/**
+ * Transfer Module - moves entries between tablets without a server
+ *
+ * A bundle is a ZIP export (see export.js) of the chosen entries plus a
+ * signature.json holding the SHA-256 of every file and an HMAC over those
+ * hashes. The HMAC key comes from a transfer code that staff set to the
+ * same value on every tablet, so a bundle from another book, or one that
+ * was damaged on the way, is refused before anything is imported. The
+ * HMAC only proves the sender knows the code: the contents go through the
+ * same validation as any import file and are never trusted as markup.
+ *
+ * Bundles travel as files (download, USB stick or the share sheet) or as
+ * a loop of QR codes that the receiving tablet scans with its camera.
+ * Each QR frame is alphanumeric text:
+ *
+ *   VB1/<session>/<index>/<count>/<Z|R>/<base45 data>
+ *
+ * where Z means the bundle bytes are gzipped and R that they are not.
+ */
+
+import { buildZipExport } from './export.js';
+import { readImportFile } from './import.js';
+import { createZip, readZip } from './zip.js';
+import { getSetting, setSetting } from './storage.js';
+
+const BUNDLE_FORMAT = 'visitorbook-bundle';
+const BUNDLE_VERSION = 1;
+const SIGNATURE_FILE = 'signature.json';
+
+// The derived key is stored, never the code itself
+const TRANSFER_KEY_SETTING = 'transferKey';
+const KEY_SALT = 'visitorbook-transfer';
+const KEY_ITERATIONS = 200000;
+
+const FRAME_PREFIX = 'VB1';
+// Bytes per QR frame: 600 base45 characters, about a version 16 code
+const FRAME_BYTES = 400;
+const SCAN_INTERVAL_MS = 150;
+
+const BASE45 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+const textEncoder = new TextEncoder();
+
+// ============ TRANSFER CODE ============
+
+/**
+ * Derive the signing key from a transfer code
+ * @param {string} code
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(code) {
+    const material = await crypto.subtle.importKey('raw', textEncoder.encode(code), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: textEncoder.encode(KEY_SALT), iterations: KEY_ITERATIONS, hash: 'SHA-256' },
+        material,
+        { name: 'HMAC', hash: 'SHA-256', length: 256 },
+        false,
+        ['sign', 'verify']
+    );
+}
+
+/**
+ * Set the transfer code shared by the tablets of one book
+ * @param {string} code - At least 6 characters
+ * @returns {Promise<void>}
+ */
+export async function setTransferCode(code) {
+    if (typeof code !== 'string' || code.trim().length < 6) {
+        throw new Error('The transfer code must be at least 6 characters');
+    }
+    await setSetting(TRANSFER_KEY_SETTING, await deriveKey(code.trim()));
+}
+
+/**
+ * Whether a transfer code has been set on this tablet
+ * @returns {Promise<boolean>}
+ */
+export async function hasTransferCode() {
+    return Boolean(await getSetting(TRANSFER_KEY_SETTING));
+}
+
+async function getTransferKey() {
+    const key = await getSetting(TRANSFER_KEY_SETTING);
+    if (!key) {
+        throw new Error('Set a transfer code on the admin screen first (the same on every tablet)');
+    }
+    return key;
+}
+
+// ============ BUNDLES ============
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * SHA-256 of every file except the signature, sorted by name
+ * @param {Map<string, Blob>} files
+ * @returns {Promise<Object>} - File name to hex digest
+ */
+async function hashFiles(files) {
+    const digests = {};
+    const names = [...files.keys()].filter(name => name !== SIGNATURE_FILE).sort();
+    for (const name of names) {
+        digests[name] = toHex(await crypto.subtle.digest('SHA-256', await files.get(name).arrayBuffer()));
+    }
+    return digests;
+}
+
+/**
+ * The signed part of signature.json
+ */
+function signedText({ createdAt, entries, files }) {
+    return JSON.stringify({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION, createdAt, entries, files });
+}
+
+/**
+ * Package entries as a signed bundle
+ * @param {Array} entries - Entry metadata (media is loaded one at a time)
+ * @param {Object} [options] - { event, onProgress(done, total) }
+ * @returns {Promise<Blob>} - application/zip blob
+ */
+export async function buildBundle(entries, { event, onProgress } = {}) {
+    const key = await getTransferKey();
+    const zip = await buildZipExport(entries, { event, total: entries.length, onProgress });
+    const files = await readZip(zip);
+
+    const signature = {
+        createdAt: new Date().toISOString(),
+        entries: entries.length,
+        files: await hashFiles(files)
+    };
+    const mac = await crypto.subtle.sign('HMAC', key, textEncoder.encode(signedText(signature)));
+
+    return createZip([
+        ...[...files].map(([name, data]) => ({ name, data })),
+        { name: SIGNATURE_FILE, data: JSON.stringify({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION, ...signature, mac: toHex(mac) }, null, 2) }
+    ]);
+}
+
+/**
+ * Check a bundle's signature and read its entries
+ * @param {Blob} file - Bundle file, or one rebuilt from QR frames
+ * @returns {Promise<{entries: Array, visitors: Array, invalid: number, createdAt: string}>}
+ * @throws {Error} - If the bundle is not signed with this tablet's transfer code
+ */
+export async function readBundle(file) {
+    let files;
+    try {
+        files = await readZip(file);
+    } catch (error) {
+        console.error('Error reading bundle:', error);
+        throw new Error('This file is not a transfer bundle');
+    }
+
+    const signatureFile = files.get(SIGNATURE_FILE);
+    if (!signatureFile) {
+        throw new Error('This file is not a transfer bundle. Use "Restore from export" for exports.');
+    }
+
+    let signature;
+    try {
+        signature = JSON.parse(await signatureFile.text());
+    } catch (error) {
+        throw new Error('This file is not a transfer bundle');
+    }
+    if (!signature || signature.format !== BUNDLE_FORMAT || typeof signature.mac !== 'string') {
+        throw new Error('This file is not a transfer bundle');
+    }
+    if (signature.version > BUNDLE_VERSION) {
+        throw new Error('This bundle was made by a newer version of the app');
+    }
+
+    const key = await getTransferKey();
+    const digests = await hashFiles(files);
+    const valid = JSON.stringify(digests) === JSON.stringify(signature.files) &&
+        await crypto.subtle.verify('HMAC', key, fromHex(signature.mac), textEncoder.encode(signedText({ ...signature, files: digests })));
+    if (!valid) {
+        throw new Error('The bundle was made with a different transfer code, or was damaged on the way');
+    }
+
+    return { ...(await readImportFile(file)), createdAt: signature.createdAt };
+}
+
+/**
+ * Offer a bundle to the share sheet (nearby share, mail, messaging)
+ * @param {Blob} blob
+ * @param {string} filename
+ * @returns {Promise<boolean>} - false if files cannot be shared here
+ */
+export async function shareBundle(blob, filename) {
+    const file = new File([blob], filename, { type: 'application/zip' });
+    if (!navigator.canShare || !navigator.canShare({ files: [file] })) return false;
+
+    await navigator.share({ files: [file], title: 'Visitor Book entries' });
+    return true;
+}
+
+/**
+ * Whether the share sheet can take files in this browser
+ * @returns {boolean}
+ */
+export function isShareSupported() {
+    return typeof navigator.canShare === 'function';
+}
+
+// ============ QR FRAMES ============
+
+/**
+ * Base45 (RFC 9285) fits QR alphanumeric mode: 2 bytes in 3 characters
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase45(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 2) {
+        if (i + 1 < bytes.length) {
+            const n = bytes[i] * 256 + bytes[i + 1];
+            text += BASE45[n % 45] + BASE45[Math.floor(n / 45) % 45] + BASE45[Math.floor(n / 2025)];
+        } else {
+            text += BASE45[bytes[i] % 45] + BASE45[Math.floor(bytes[i] / 45)];
+        }
+    }
+    return text;
+}
+
+function fromBase45(text) {
+    const bytes = [];
+    for (let i = 0; i < text.length; i += 3) {
+        const digits = [...text.slice(i, i + 3)].map(char => BASE45.indexOf(char));
+        if (digits.includes(-1) || digits.length === 1) {
+            throw new Error('Invalid QR frame');
+        }
+
+        const n = digits.reduce((sum, digit, position) => sum + digit * 45 ** position, 0);
+        if (digits.length === 3) {
+            if (n > 0xFFFF) throw new Error('Invalid QR frame');
+            bytes.push(n >> 8, n & 0xFF);
+        } else {
+            if (n > 0xFF) throw new Error('Invalid QR frame');
+            bytes.push(n);
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+async function transform(blob, stream) {
+    return new Response(blob.stream().pipeThrough(stream)).blob();
+}
+
+/**
+ * Split a bundle into QR frame texts
+ * @param {Blob} bundle
+ * @returns {Promise<string[]>}
+ */
+export async function bundleFrames(bundle) {
+    let data = bundle;
+    let codec = 'R';
+    if (typeof CompressionStream === 'function') {
+        const compressed = await transform(bundle, new CompressionStream('gzip'));
+        if (compressed.size < bundle.size) {
+            data = compressed;
+            codec = 'Z';
+        }
+    }
+
+    const bytes = new Uint8Array(await data.arrayBuffer());
+    const count = Math.max(1, Math.ceil(bytes.length / FRAME_BYTES));
+    const session = crypto.getRandomValues(new Uint32Array(1))[0].toString(36).toUpperCase();
+
+    const frames = [];
+    for (let index = 0; index < count; index++) {
+        const chunk = bytes.subarray(index * FRAME_BYTES, (index + 1) * FRAME_BYTES);
+        frames.push(`${FRAME_PREFIX}/${session}/${index}/${count}/${codec}/${toBase45(chunk)}`);
+    }
+    return frames;
+}
+
+/**
+ * Collect scanned frames in any order until the bundle is complete.
+ * A frame from a different bundle starts over.
+ * @returns {Object} - { add(text), isComplete(), toBlob() }
+ */
+export function createFrameCollector() {
+    const pattern = new RegExp(`^${FRAME_PREFIX}/([0-9A-Z]+)/(\\d+)/(\\d+)/([ZR])/(.*)$`, 's');
+    let session = null;
+    let count = 0;
+    let codec = 'R';
+    let chunks = new Map();
+
+    return {
+        /**
+         * @param {string} text - Scanned QR text
+         * @returns {{received: number, total: number}|null} - null if not a transfer frame
+         */
+        add(text) {
+            const match = pattern.exec(text);
+            if (!match) return null;
+
+            const [, frameSession, index, total, frameCodec, data] = match;
+            if (frameSession !== session) {
+                session = frameSession;
+                count = Number(total);
+                codec = frameCodec;
+                chunks = new Map();
+            }
+
+            const position = Number(index);
+            if (position < count && !chunks.has(position)) {
+                chunks.set(position, fromBase45(data));
+            }
+            return { received: chunks.size, total: count };
+        },
+
+        isComplete() {
+            return session !== null && chunks.size === count;
+        },
+
+        async toBlob() {
+            const parts = [];
+            for (let i = 0; i < count; i++) parts.push(chunks.get(i));
+
+            const blob = new Blob(parts, { type: 'application/zip' });
+            if (codec === 'R') return blob;
+            if (typeof DecompressionStream !== 'function') {
+                throw new Error('This browser cannot unpack the scanned bundle. Transfer it as a file instead.');
+            }
+            return new Blob([await transform(blob, new DecompressionStream('gzip'))], { type: 'application/zip' });
+        }
+    };
+}
+
+/**
+ * Whether this browser can scan QR codes with the camera
+ * @returns {boolean}
+ */
+export function isQRScanSupported() {
+    return 'BarcodeDetector' in window && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Scan a looping QR transfer with the back camera
+ * @param {HTMLVideoElement} video - Shows the camera picture
+ * @param {Object} [options] - { onProgress({received, total}), signal (AbortSignal) }
+ * @returns {Promise<Blob>} - The bundle, ready for readBundle()
+ */
+export async function scanBundle(video, { onProgress, signal } = {}) {
+    const formats = await BarcodeDetector.getSupportedFormats();
+    if (!formats.includes('qr_code')) {
+        throw new Error('This browser cannot read QR codes. Transfer the bundle as a file instead.');
+    }
+
+    const detector = new BarcodeDetector({ formats: ['qr_code'] });
+    const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment', width: { ideal: 1920 }, height: { ideal: 1080 } },
+        audio: false
+    });
+
+    const collector = createFrameCollector();
+    try {
+        video.srcObject = stream;
+        await video.play();
+
+        while (!collector.isComplete()) {
+            if (signal && signal.aborted) {
+                throw new DOMException('Scan cancelled', 'AbortError');
+            }
+
+            const codes = video.readyState >= 2 ? await detector.detect(video) : [];
+            for (const code of codes) {
+                const progress = collector.add(code.rawValue);
+                if (progress && onProgress) onProgress(progress);
+            }
+            await wait(SCAN_INTERVAL_MS);
+        }
+
+        return await collector.toBlob();
+    } finally {
+        stream.getTracks().forEach(track => track.stop());
+        video.srcObject = null;
+    }
+}
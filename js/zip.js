@@ -0,0 +1,194 @@
+/**
+ * ZIP Module - minimal ZIP archive writer and reader
+ *
+ * Files are stored without compression: photos and signatures are already
+ * compressed (JPEG/PNG), so deflating them again gains almost nothing.
+ * The reader also handles deflated files, so archives that were unpacked
+ * and re-zipped by other tools can still be read.
+ */
+
+const textEncoder = new TextEncoder();
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 of some bytes
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS date/time fields
+ */
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Normalize file data to bytes
+ * @param {Uint8Array|ArrayBuffer|Blob|string} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+    return textEncoder.encode(String(data));
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Uint8Array|ArrayBuffer|Blob|string, date?: Date}>} files
+ * @returns {Promise<Blob>} - application/zip blob
+ */
+export async function createZip(files) {
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const nameBytes = textEncoder.encode(file.name);
+        const data = await toBytes(file.data);
+        const crc = crc32(data);
+        const { time, date } = toDosDateTime(file.date || new Date());
+
+        // Local file header
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true);             // Version needed
+        header.setUint16(6, 0x0800, true);         // UTF-8 file names
+        header.setUint16(8, 0, true);              // Stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        parts.push(header, nameBytes, data);
+
+        // Central directory record
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, 0x02014B50, true);
+        record.setUint16(4, 20, true);             // Version made by
+        record.setUint16(6, 20, true);             // Version needed
+        record.setUint16(8, 0x0800, true);
+        record.setUint16(10, 0, true);
+        record.setUint16(12, time, true);
+        record.setUint16(14, date, true);
+        record.setUint32(16, crc, true);
+        record.setUint32(20, data.length, true);
+        record.setUint32(24, data.length, true);
+        record.setUint16(28, nameBytes.length, true);
+        record.setUint16(30, 0, true);             // Extra field length
+        record.setUint16(32, 0, true);             // Comment length
+        record.setUint16(34, 0, true);             // Disk number
+        record.setUint16(36, 0, true);             // Internal attributes
+        record.setUint32(38, 0, true);             // External attributes
+        record.setUint32(42, offset, true);
+
+        centralDirectory.push(record, nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(4, 0, true);
+    end.setUint16(6, 0, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    end.setUint16(20, 0, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+/**
+ * Read the files of a ZIP archive
+ * @param {Blob} blob
+ * @returns {Promise<Map<string, Blob>>} - File name to contents (directories are skipped)
+ */
+export async function readZip(blob) {
+    // The end of central directory record is in the last 64 KB (+ record size)
+    const tailStart = Math.max(0, blob.size - 65557);
+    const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+
+    let endOffset = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === 0x06054B50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('Not a ZIP file');
+    }
+
+    const count = tail.getUint16(endOffset + 10, true);
+    const directorySize = tail.getUint32(endOffset + 12, true);
+    const directoryOffset = tail.getUint32(endOffset + 16, true);
+    const directory = new DataView(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+    const textDecoder = new TextDecoder();
+    const files = new Map();
+
+    let position = 0;
+    for (let i = 0; i < count; i++) {
+        if (directory.getUint32(position, true) !== 0x02014B50) {
+            throw new Error('Corrupt ZIP directory');
+        }
+
+        const method = directory.getUint16(position + 10, true);
+        const compressedSize = directory.getUint32(position + 20, true);
+        const nameLength = directory.getUint16(position + 28, true);
+        const extraLength = directory.getUint16(position + 30, true);
+        const commentLength = directory.getUint16(position + 32, true);
+        const headerOffset = directory.getUint32(position + 42, true);
+        const name = textDecoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        // The local header's name/extra lengths can differ from the directory's
+        const local = new DataView(await blob.slice(headerOffset, headerOffset + 30).arrayBuffer());
+        const dataStart = headerOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+        const data = blob.slice(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            files.set(name, data);
+        } else if (method === 8) {
+            const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            files.set(name, await new Response(stream).blob());
+        } else {
+            throw new Error(`Unsupported compression in ${name}`);
+        }
+    }
+
+    return files;
+}
@@ -1,4 +1,7 @@
-const CACHE_NAME = 'visitorbook-v9';
+// Module worker (registered with type: 'module') so it shares the uploader
+import { syncInBackground } from './js/sync.js';
+
+const CACHE_NAME = 'visitorbook-v38';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
@@ -7,14 +10,43 @@ const ASSETS_TO_CACHE = [
     '/js/app.js',
     '/js/canvas.js',
     '/js/camera.js',
+    '/js/crop.js',
+    '/js/image.js',
+    '/js/ink.js',
+    '/js/brush.js',
     '/js/storage.js',
+    '/js/export.js',
+    '/js/zip.js',
+    '/js/pdf.js',
+    '/js/import.js',
+    '/js/auth.js',
+    '/js/backup.js',
+    '/js/sync.js',
+    '/js/transfer.js',
+    '/js/qr.js',
     '/manifest.json'
 ];
 
+const SYNC_TAG = 'visitorbook-outbox';
+
 function isNavigationRequest(request) {
     return request.mode === 'navigate';
 }
 
+// Upload the outbox from here, so entries reach the server even when the app
+// is closed, then tell open pages so their badges update. Rejects while
+// entries are still waiting, so the browser tries again later.
+async function syncOutbox() {
+    const result = await syncInBackground();
+
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach((client) => client.postMessage({ type: 'sync-complete', statuses: result.statuses }));
+
+    if (result.pending > 0) {
+        throw new Error(`${result.pending} entries still waiting to upload`);
+    }
+}
+
 // Install event - cache assets
 self.addEventListener('install', (event) => {
     event.waitUntil(
@@ -42,6 +74,13 @@ self.addEventListener('activate', (event) => {
     );
 });
 
+// Background Sync - the connection is back
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(syncOutbox());
+    }
+});
+
 // Fetch event - network-first strategy with offline fallback
 self.addEventListener('fetch', (event) => {
     // Skip non-GET requests
@@ -0,0 +1,150 @@
+/**
+ * Mock sync backend for testing js/sync.js locally
+ *
+ * Implements the contract documented in js/sync.js and keeps the entries
+ * in memory:
+ *
+ *   PUT /entries/:uid   store an entry (201 when new, 200 when replaced)
+ *   GET /entries        list the stored entries, without images
+ *   GET /entries/:uid   one stored entry
+ *
+ * Usage: npm run mock-sync -- [--port 8787] [--token secret] [--fail-rate 0.3]
+ * --fail-rate answers that share of uploads with 503 to exercise retries.
+ */
+
+const http = require('http');
+
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+function readOptions(args) {
+    const options = { port: 8787, token: '', failRate: 0 };
+
+    for (let i = 0; i < args.length; i++) {
+        const value = args[i + 1];
+        switch (args[i]) {
+            case '--port': options.port = Number(value); i++; break;
+            case '--token': options.token = value || ''; i++; break;
+            case '--fail-rate': options.failRate = Number(value); i++; break;
+            default:
+                console.error(`Unknown option: ${args[i]}`);
+                process.exit(1);
+        }
+    }
+
+    return options;
+}
+
+const options = readOptions(process.argv.slice(2));
+const entries = new Map();
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// Entry without its images, for listings and the log
+function summary(entry) {
+    return {
+        ...entry,
+        photo: entry.photo ? `${entry.photo.length} chars` : null,
+        signature: entry.signature ? `${entry.signature.length} chars` : null,
+        ink: entry.ink ? `${(entry.ink.strokes || []).length} strokes` : null
+    };
+}
+
+async function handlePut(req, res, uid) {
+    if (options.failRate > 0 && Math.random() < options.failRate) {
+        console.log(`PUT ${uid} -> 503 (simulated failure)`);
+        send(res, 503, { error: 'Simulated failure' });
+        return;
+    }
+
+    let entry;
+    try {
+        entry = JSON.parse(await readBody(req));
+    } catch (error) {
+        send(res, 400, { error: `Invalid body: ${error.message}` });
+        return;
+    }
+
+    if (!entry || entry.uid !== uid || !entry.timestamp) {
+        send(res, 422, { error: 'Body must be an entry with a matching uid and a timestamp' });
+        return;
+    }
+
+    const status = entries.has(uid) ? 200 : 201;
+    entries.set(uid, { ...entry, receivedAt: new Date().toISOString() });
+    console.log(`PUT ${uid} -> ${status}`, JSON.stringify(summary(entry)));
+    send(res, status, { uid });
+}
+
+const server = http.createServer(async (req, res) => {
+    // The app runs on another origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (options.token && req.headers.authorization !== `Bearer ${options.token}`) {
+        send(res, 401, { error: 'Unauthorized' });
+        return;
+    }
+
+    const path = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '');
+    const match = path.match(/^\/entries(?:\/([^/]+))?$/);
+    if (!match) {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    const uid = match[1] && decodeURIComponent(match[1]);
+
+    try {
+        if (req.method === 'PUT' && uid) {
+            await handlePut(req, res, uid);
+        } else if (req.method === 'GET' && uid) {
+            if (entries.has(uid)) {
+                send(res, 200, entries.get(uid));
+            } else {
+                send(res, 404, { error: 'Not found' });
+            }
+        } else if (req.method === 'GET') {
+            send(res, 200, [...entries.values()].map(summary));
+        } else {
+            send(res, 405, { error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error(error);
+        send(res, 500, { error: error.message });
+    }
+});
+
+server.listen(options.port, () => {
+    console.log(`Mock sync server on http://localhost:${options.port}`);
+    if (options.token) console.log('Requires the token given with --token');
+    if (options.failRate > 0) console.log(`Failing ${Math.round(options.failRate * 100)}% of uploads`);
+});